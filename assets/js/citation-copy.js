@@ -0,0 +1,74 @@
+/**
+ * Citation Copy for Roman Korol's Website
+ * Adds "Copy" buttons next to the BibTeX, RIS and CSL-JSON downloads of each
+ * publication. The citation is read from the same file the download link points to.
+ */
+
+(function() {
+    'use strict';
+
+    // How long the button shows "Copied" before going back to "Copy"
+    const FEEDBACK_DELAY = 2000;
+
+    /**
+     * Show a short message on the button, then restore its label
+     */
+    function flash(button, message) {
+        const label = button.getAttribute('data-label') || button.textContent;
+        button.setAttribute('data-label', label);
+        button.textContent = message;
+        clearTimeout(button.feedbackTimer);
+        button.feedbackTimer = setTimeout(function() {
+            button.textContent = label;
+        }, FEEDBACK_DELAY);
+    }
+
+    /**
+     * Copy the citation file behind a button to the clipboard
+     * Safari only allows clipboard writes started by the click itself, so the pending
+     * download is handed to the clipboard as a promise where ClipboardItem exists.
+     */
+    function copy(button) {
+        const container = button.closest('.cite');
+        const text = fetch(button.getAttribute('data-href')).then(function(response) {
+            if (!response.ok) throw new Error(response.status + ' ' + response.statusText);
+            return response.text();
+        });
+
+        const written = window.ClipboardItem && navigator.clipboard.write ?
+            navigator.clipboard.write([new window.ClipboardItem({
+                'text/plain': text.then(function(citation) {
+                    return new Blob([citation], { type: 'text/plain' });
+                })
+            })]) :
+            text.then(function(citation) {
+                return navigator.clipboard.writeText(citation);
+            });
+
+        written.then(function() {
+            flash(button, container.getAttribute('data-copied'));
+        }, function() {
+            flash(button, container.getAttribute('data-failed'));
+        });
+    }
+
+    /**
+     * Show the copy buttons where the clipboard can be used; the download links work without them
+     */
+    function init() {
+        if (!navigator.clipboard || !window.fetch || window.location.protocol === 'file:') return;
+
+        document.querySelectorAll('.cite-copy').forEach(function(button) {
+            button.hidden = false;
+            button.addEventListener('click', function() {
+                copy(button);
+            });
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
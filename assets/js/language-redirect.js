@@ -0,0 +1,98 @@
+/**
+ * Language Redirect for Roman Korol's Website
+ * Runs on the site root (index.html) and the not-found page (404.html). Sends the visitor
+ * to the page they asked for in their language: the language saved by the last page they
+ * visited (korolgroup-language), else the first of their browser languages the site is
+ * written in, else the default. Deep links keep their page, query and hash: /team.html
+ * opens fr/equipe.html for a French reader, and /fr/team.html always does.
+ */
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'korolgroup-language';
+
+    const script = document.currentScript;
+    const map = window.siteLanguageMap;
+    if (!script || !map) return;
+
+    // From this page to the site root: "" on index.html, "/" on 404.html
+    const root = new URL(script.getAttribute('data-base') || './', window.location.href);
+    const notFound = script.hasAttribute('data-not-found');
+
+    /**
+     * The site's locale for a language tag ("fr-CA" -> "fr"), or null
+     */
+    function supported(tag) {
+        const primary = String(tag || '').toLowerCase().split(/[-_]/)[0];
+        return map.locales.indexOf(primary) !== -1 ? primary : null;
+    }
+
+    /**
+     * The saved language, else the first supported browser language, else the default
+     */
+    function chooseLocale() {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(STORAGE_KEY);
+        } catch (e) {
+            // Storage can be blocked; fall back to the browser languages
+        }
+        if (supported(saved)) return supported(saved);
+
+        const preferred = navigator.languages && navigator.languages.length > 0 ?
+            navigator.languages : [navigator.language || navigator.userLanguage];
+        for (let i = 0; i < preferred.length; i++) {
+            if (supported(preferred[i])) return supported(preferred[i]);
+        }
+        return map.defaultLocale;
+    }
+
+    /**
+     * The page asked for, as { locale, page } where `locale` is set when the path
+     * names a language folder, or null when no page of the site matches
+     */
+    function requestedPage() {
+        let path = window.location.pathname;
+        path = path.indexOf(root.pathname) === 0 ? path.slice(root.pathname.length) : '';
+        try {
+            path = decodeURIComponent(path);
+        } catch (e) {
+            // Keep the path as it is
+        }
+
+        const parts = path.split('/');
+        const locale = parts.length > 1 && supported(parts[0]) === parts[0] ? parts.shift() : null;
+        let file = parts.join('/');
+        if (file === '' || /\/$/.test(file)) {
+            file += 'index.html';
+        } else if (!/\.html$/.test(file)) {
+            file += '.html';
+        }
+
+        const page = map.pages.find(function(entry) {
+            return map.locales.some(function(candidate) {
+                return entry[candidate] === file;
+            });
+        });
+        return page ? { locale: locale, page: page } : null;
+    }
+
+    const request = requestedPage();
+    // 404.html stays for paths that match no page; index.html always goes somewhere
+    if (!request && notFound) return;
+
+    const locale = (request && request.locale) || chooseLocale();
+    const page = request ? request.page : map.pages.find(function(entry) {
+        return entry[map.defaultLocale] === 'index.html';
+    });
+    if (!page) return;
+
+    const target = new URL(locale + '/' + page[locale], root);
+    // A page listed in the map but missing on the server would bring us back here
+    if (target.pathname === window.location.pathname) return;
+
+    target.search = window.location.search;
+    target.hash = window.location.hash;
+    window.location.replace(target.href);
+})();
@@ -0,0 +1,49 @@
+/**
+ * Language Switcher for Roman Korol's Website
+ * The EN | FR links of each page are generated to point at the same page in the other
+ * language (the page-equivalence map in language-map.js). This keeps the current query
+ * and #anchor on them, so switching language stays at the same place; element ids are
+ * the same in both languages (npm run test:parity).
+ */
+
+(function() {
+    'use strict';
+
+    /**
+     * Point each link at its page with the current query and hash
+     */
+    function update(links) {
+        Array.prototype.forEach.call(links, function(link) {
+            const url = new URL(link.getAttribute('data-page'), window.location.href);
+            url.search = window.location.search;
+            url.hash = window.location.hash;
+            link.href = url.href;
+        });
+    }
+
+    /**
+     * Initialize the language links; without JavaScript they open the page's top
+     * The URL can change without an event (the publication filter replaces its query),
+     * so each link is pointed again when it is followed.
+     */
+    function init() {
+        const links = document.querySelectorAll('.language-toggle a[hreflang]');
+        Array.prototype.forEach.call(links, function(link) {
+            link.setAttribute('data-page', link.getAttribute('href'));
+            link.addEventListener('click', function() {
+                update([link]);
+            });
+        });
+
+        update(links);
+        window.addEventListener('hashchange', function() {
+            update(links);
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
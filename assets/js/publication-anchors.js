@@ -0,0 +1,39 @@
+/**
+ * Publication Anchors for Roman Korol's Website
+ * Links from before each publication had its own page point at the list with the
+ * entry's number (publications.html#12). Those entries start collapsed, so this opens
+ * the one named in the address and scrolls to it.
+ */
+
+(function() {
+    'use strict';
+
+    /**
+     * Expand and show the publication whose anchor is in the address
+     */
+    function openFromHash() {
+        const anchor = decodeURIComponent(window.location.hash.slice(1));
+        if (!anchor) return;
+
+        const details = document.getElementById(anchor);
+        const entry = details && details.closest('.publication');
+        if (!entry || entry.getAttribute('data-anchor') !== anchor) return;
+
+        if (details.className === 'hidden') details.className = 'unhidden';
+        entry.scrollIntoView();
+    }
+
+    /**
+     * Handle the address on load and whenever the hash changes
+     */
+    function init() {
+        openFromHash();
+        window.addEventListener('hashchange', openFromHash);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
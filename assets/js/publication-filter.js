@@ -0,0 +1,168 @@
+/**
+ * Publication Filter for Roman Korol's Website
+ * Narrows the publication list by year range, status, co-author, journal and text.
+ * The filter state is kept in the URL (?from=2019&status=published&q=isotope) so a
+ * filtered view can be shared. Reads the data-* attributes of each li.publication.
+ */
+
+(function() {
+    'use strict';
+
+    const FIELDS = ['q', 'from', 'to', 'status', 'author', 'journal'];
+    const SEARCH_DELAY = 150;
+
+    /**
+     * Lowercase and strip accents, so "resume" finds "résumé"
+     */
+    function normalize(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    /**
+     * Searchable data for one list entry
+     */
+    function describe(item) {
+        const title = item.querySelector('h3');
+        const abstract = item.querySelector('.abstract');
+        return {
+            element: item,
+            year: Number(item.getAttribute('data-year')),
+            status: item.getAttribute('data-status') || '',
+            authors: (item.getAttribute('data-authors') || '').split('|'),
+            journal: item.getAttribute('data-journal') || '',
+            text: normalize((title ? title.textContent : '') + ' ' + (abstract ? abstract.textContent : ''))
+        };
+    }
+
+    /**
+     * Current filter values from the form
+     */
+    function readForm(form) {
+        const state = {};
+        FIELDS.forEach(function(name) {
+            state[name] = form.elements[name].value.trim();
+        });
+        return state;
+    }
+
+    /**
+     * Fill the form from the query string; unknown select values are ignored
+     */
+    function restoreForm(form) {
+        const params = new URLSearchParams(window.location.search);
+        FIELDS.forEach(function(name) {
+            const value = params.get(name);
+            if (value === null) return;
+
+            const field = form.elements[name];
+            if (field.tagName === 'SELECT' && !Array.prototype.some.call(field.options, function(option) {
+                return option.value === value;
+            })) {
+                return;
+            }
+            field.value = value;
+        });
+    }
+
+    /**
+     * Mirror the filter state in the URL without adding history entries
+     */
+    function saveState(state) {
+        const params = new URLSearchParams(window.location.search);
+        FIELDS.forEach(function(name) {
+            if (state[name]) {
+                params.set(name, state[name]);
+            } else {
+                params.delete(name);
+            }
+        });
+        const query = params.toString();
+        window.history.replaceState(null, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+    }
+
+    /**
+     * True when an entry passes every active filter
+     */
+    function matches(entry, state, terms) {
+        let from = state.from ? Number(state.from) : -Infinity;
+        let to = state.to ? Number(state.to) : Infinity;
+        if (from > to) {
+            const swap = from;
+            from = to;
+            to = swap;
+        }
+
+        return entry.year >= from && entry.year <= to &&
+            (!state.status || entry.status === state.status) &&
+            (!state.author || entry.authors.indexOf(state.author) !== -1) &&
+            (!state.journal || entry.journal === state.journal) &&
+            terms.every(function(term) {
+                return entry.text.indexOf(term) !== -1;
+            });
+    }
+
+    /**
+     * Show the matching entries and update the count and the URL
+     */
+    function apply(form, entries) {
+        const state = readForm(form);
+        const terms = normalize(state.q).split(/\s+/).filter(Boolean);
+        let shown = 0;
+
+        entries.forEach(function(entry) {
+            const visible = matches(entry, state, terms);
+            // The theme sets display on list items, which would override the hidden attribute
+            entry.element.style.display = visible ? '' : 'none';
+            if (visible) shown++;
+        });
+
+        form.querySelector('.publication-filter-count').textContent = form.getAttribute('data-count')
+            .replace('{shown}', shown)
+            .replace('{total}', entries.length);
+        const empty = document.querySelector('.publication-filter-empty');
+        if (empty) empty.hidden = shown > 0;
+
+        saveState(state);
+    }
+
+    /**
+     * Initialize the filter bar; without JavaScript the full list stays visible
+     */
+    function init() {
+        const form = document.getElementById('publication-filter');
+        if (!form) return;
+
+        const entries = Array.prototype.map.call(document.querySelectorAll('li.publication'), describe);
+        let timer = null;
+
+        restoreForm(form);
+        form.hidden = false;
+        apply(form, entries);
+
+        form.addEventListener('change', function() {
+            apply(form, entries);
+        });
+        form.elements.q.addEventListener('input', function() {
+            clearTimeout(timer);
+            timer = setTimeout(function() {
+                apply(form, entries);
+            }, SEARCH_DELAY);
+        });
+        form.addEventListener('reset', function() {
+            // Fields are cleared after the reset event
+            setTimeout(function() {
+                apply(form, entries);
+            }, 0);
+        });
+        form.addEventListener('submit', function(event) {
+            event.preventDefault();
+            apply(form, entries);
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -0,0 +1,418 @@
+/**
+ * Site Search for Roman Korol's Website
+ * Searches the index that content:generate writes next to each locale's pages
+ * (search-index.js), entirely in the browser and without a network connection.
+ * Matching ignores case and accents; titles rank above keywords, keywords above text.
+ */
+
+(function() {
+    'use strict';
+
+    const MAX_RESULTS = 8;
+    const SNIPPET_LENGTH = 160;
+    const SEARCH_DELAY = 100;
+    const MIN_WORD_LENGTH = 2;
+
+    // An index word that only starts with a query word scores this share of an exact match
+    const PREFIX_SHARE = 0.5;
+
+    /**
+     * Lowercase, strip accents and expand the œ/æ ligatures, so "equipe" finds "équipe"
+     * Must match foldText in content/scripts/search-index.js
+     */
+    function fold(text) {
+        return text.normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/œ/g, 'oe')
+            .replace(/æ/g, 'ae');
+    }
+
+    /**
+     * Folded words of a query
+     */
+    function wordsOf(text) {
+        return fold(text).split(/[^a-z0-9]+/).filter(function(word) {
+            return word.length >= MIN_WORD_LENGTH;
+        });
+    }
+
+    /**
+     * Fold a text character by character, remembering where each folded character
+     * came from, so matches found in the folded text can be marked in the original
+     */
+    function foldWithMap(text) {
+        let folded = '';
+        const map = [];
+        for (let i = 0; i < text.length; i++) {
+            const part = fold(text[i]);
+            for (let j = 0; j < part.length; j++) {
+                folded += part[j];
+                map.push(i);
+            }
+        }
+        map.push(text.length);
+        return { folded: folded, map: map };
+    }
+
+    /**
+     * Ranges of the original text where a query word starts a word, merged and in order
+     */
+    function matchRanges(text, terms) {
+        const source = foldWithMap(text);
+        const ranges = [];
+
+        terms.forEach(function(term) {
+            let at = source.folded.indexOf(term);
+            while (at !== -1) {
+                if (at === 0 || !/[a-z0-9]/.test(source.folded[at - 1])) {
+                    ranges.push([source.map[at], source.map[at + term.length - 1] + 1]);
+                }
+                at = source.folded.indexOf(term, at + 1);
+            }
+        });
+
+        return ranges.sort(function(a, b) {
+            return a[0] - b[0];
+        }).reduce(function(merged, range) {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push(range);
+            }
+            return merged;
+        }, []);
+    }
+
+    /**
+     * Append a text to an element with the query words wrapped in <mark>
+     */
+    function appendHighlighted(element, text, terms) {
+        let last = 0;
+        matchRanges(text, terms).forEach(function(range) {
+            element.appendChild(document.createTextNode(text.slice(last, range[0])));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(range[0], range[1]);
+            element.appendChild(mark);
+            last = range[1];
+        });
+        element.appendChild(document.createTextNode(text.slice(last)));
+    }
+
+    /**
+     * Part of a document's text around the first match, cut at word boundaries
+     */
+    function snippetOf(text, terms) {
+        if (text.length <= SNIPPET_LENGTH) return text;
+
+        const ranges = matchRanges(text, terms);
+        let start = ranges.length > 0 ? Math.max(0, ranges[0][0] - SNIPPET_LENGTH / 4) : 0;
+        if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+        let end = Math.min(text.length, start + SNIPPET_LENGTH);
+        if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+        return (start > 0 ? '… ' : '') + text.slice(start, end) + (end < text.length ? ' …' : '');
+    }
+
+    /**
+     * Ranked documents matching every word of the query
+     * A query word matches index words equal to it or starting with it; each document
+     * keeps its best score per query word, and the scores add up across query words.
+     */
+    function search(index, query) {
+        const terms = wordsOf(query);
+        let totals = null;
+
+        terms.forEach(function(term) {
+            const scores = new Map();
+            index.wordList.forEach(function(word) {
+                if (word.indexOf(term) !== 0) return;
+                const share = word === term ? 1 : PREFIX_SHARE;
+                const postings = index.words[word];
+                for (let i = 0; i < postings.length; i += 2) {
+                    scores.set(postings[i], Math.max(scores.get(postings[i]) || 0, postings[i + 1] * share));
+                }
+            });
+
+            if (totals === null) {
+                totals = scores;
+            } else {
+                totals.forEach(function(total, doc) {
+                    if (scores.has(doc)) {
+                        totals.set(doc, total + scores.get(doc));
+                    } else {
+                        totals.delete(doc);
+                    }
+                });
+            }
+        });
+
+        if (totals === null) return { terms: terms, docs: [] };
+        return {
+            terms: terms,
+            docs: Array.from(totals.keys()).sort(function(a, b) {
+                return totals.get(b) - totals.get(a) || a - b;
+            }).map(function(doc) {
+                return index.docs[doc];
+            })
+        };
+    }
+
+    /**
+     * Show or hide the results list
+     */
+    function setOpen(ui, open) {
+        ui.list.hidden = !open;
+        ui.input.setAttribute('aria-expanded', open ? 'true' : 'false');
+        if (!open) setActive(ui, -1);
+    }
+
+    /**
+     * Mark one result as the active option (-1 for none)
+     */
+    function setActive(ui, position) {
+        const options = ui.list.querySelectorAll('[role="option"]:not([aria-disabled])');
+        ui.active = position;
+        Array.prototype.forEach.call(options, function(option, i) {
+            option.setAttribute('aria-selected', i === position ? 'true' : 'false');
+        });
+
+        if (position >= 0 && options[position]) {
+            ui.input.setAttribute('aria-activedescendant', options[position].id);
+            options[position].scrollIntoView({ block: 'nearest' });
+        } else {
+            ui.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Render the results of the current query
+     */
+    function render(ui, query, results) {
+        const docs = results.docs.slice(0, MAX_RESULTS);
+        ui.list.textContent = '';
+
+        docs.forEach(function(doc, i) {
+            const item = document.createElement('li');
+            item.className = 'site-search-result';
+            item.id = 'site-search-result-' + i;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', 'false');
+
+            const link = document.createElement('a');
+            link.className = 'site-search-link';
+            // Result URLs are relative to the locale folder, where the index lives
+            link.href = new URL(doc[0], ui.indexUrl).href;
+            link.tabIndex = -1;
+
+            const kind = document.createElement('span');
+            kind.className = 'site-search-kind';
+            kind.textContent = ui.index.kinds[doc[1]] || doc[1];
+            link.appendChild(kind);
+
+            const title = document.createElement('strong');
+            title.className = 'site-search-title';
+            appendHighlighted(title, doc[2], results.terms);
+            link.appendChild(title);
+
+            if (doc[3]) {
+                const snippet = document.createElement('span');
+                snippet.className = 'site-search-snippet';
+                appendHighlighted(snippet, snippetOf(doc[3], results.terms), results.terms);
+                link.appendChild(snippet);
+            }
+
+            item.appendChild(link);
+            item.addEventListener('mousemove', function() {
+                if (ui.active !== i) setActive(ui, i);
+            });
+            ui.list.appendChild(item);
+        });
+
+        const form = ui.form;
+        let status;
+        if (docs.length === 0) {
+            status = form.getAttribute('data-none').replace('{query}', query.trim());
+            const empty = document.createElement('li');
+            empty.className = 'site-search-empty';
+            empty.setAttribute('role', 'option');
+            empty.setAttribute('aria-disabled', 'true');
+            empty.textContent = status;
+            ui.list.appendChild(empty);
+        } else {
+            status = results.docs.length === 1 ? form.getAttribute('data-one') :
+                form.getAttribute('data-count').replace('{count}', results.docs.length);
+        }
+        ui.status.textContent = status;
+
+        setActive(ui, -1);
+        setOpen(ui, true);
+    }
+
+    /**
+     * Search for the current input, once the index is loaded
+     */
+    function update(ui) {
+        const query = ui.input.value;
+
+        if (wordsOf(query).length === 0) {
+            ui.list.textContent = '';
+            ui.status.textContent = '';
+            setOpen(ui, false);
+            return;
+        }
+        if (ui.failed) {
+            ui.status.textContent = ui.form.getAttribute('data-unavailable');
+            return;
+        }
+        if (!ui.index) {
+            loadIndex(ui);
+            return;
+        }
+
+        render(ui, query, search(ui.index, query));
+    }
+
+    /**
+     * Load the index of this locale on first use; it is a script, so it works from file:// too
+     */
+    function loadIndex(ui) {
+        if (ui.index || ui.loading) return;
+
+        if (window.siteSearchIndex) {
+            ui.index = window.siteSearchIndex;
+            ui.index.wordList = Object.keys(ui.index.words);
+            return;
+        }
+
+        ui.loading = true;
+        const script = document.createElement('script');
+        script.src = ui.indexUrl;
+        script.onload = function() {
+            ui.loading = false;
+            if (!window.siteSearchIndex) {
+                script.onerror();
+                return;
+            }
+            loadIndex(ui);
+            update(ui);
+        };
+        script.onerror = function() {
+            ui.loading = false;
+            ui.failed = true;
+            update(ui);
+        };
+        document.head.appendChild(script);
+    }
+
+    /**
+     * Follow the active result, or the first one when none is active
+     */
+    function openResult(ui) {
+        const links = ui.list.querySelectorAll('[role="option"] a');
+        const link = links[Math.max(ui.active, 0)];
+        if (!link || ui.list.hidden) return;
+
+        setOpen(ui, false);
+        window.location.href = link.href;
+    }
+
+    /**
+     * Arrow keys move through the results, Enter opens one, Escape closes the list
+     * and then clears the query
+     */
+    function handleKey(ui, event) {
+        const count = ui.list.querySelectorAll('[role="option"]:not([aria-disabled])').length;
+
+        switch (event.key) {
+        case 'ArrowDown':
+        case 'ArrowUp':
+            if (count === 0) return;
+            event.preventDefault();
+            if (ui.list.hidden) setOpen(ui, true);
+            setActive(ui, event.key === 'ArrowDown' ?
+                (ui.active + 1) % count :
+                (ui.active <= 0 ? count : ui.active) - 1);
+            break;
+        case 'Enter':
+            event.preventDefault();
+            openResult(ui);
+            break;
+        case 'Escape':
+            if (!ui.list.hidden) {
+                setOpen(ui, false);
+            } else {
+                ui.input.value = '';
+                update(ui);
+            }
+            break;
+        case 'Tab':
+            setOpen(ui, false);
+            break;
+        }
+    }
+
+    /**
+     * Initialize the search box; without JavaScript it stays hidden
+     */
+    function init() {
+        const form = document.getElementById('site-search');
+        if (!form) return;
+
+        const ui = {
+            form: form,
+            input: form.querySelector('input[type="search"]'),
+            list: form.querySelector('[role="listbox"]'),
+            status: form.querySelector('.site-search-status'),
+            indexUrl: new URL(form.getAttribute('data-index'), window.location.href).href,
+            index: null,
+            loading: false,
+            failed: false,
+            active: -1
+        };
+        let timer = null;
+
+        form.hidden = false;
+
+        ui.input.addEventListener('focus', function() {
+            loadIndex(ui);
+            if (ui.list.childElementCount > 0 && ui.input.value) setOpen(ui, true);
+        });
+        ui.input.addEventListener('input', function() {
+            clearTimeout(timer);
+            timer = setTimeout(function() {
+                update(ui);
+            }, SEARCH_DELAY);
+        });
+        ui.input.addEventListener('keydown', function(event) {
+            handleKey(ui, event);
+        });
+        form.addEventListener('submit', function(event) {
+            event.preventDefault();
+            openResult(ui);
+        });
+        ui.list.addEventListener('click', function() {
+            setOpen(ui, false);
+        });
+
+        document.addEventListener('click', function(event) {
+            if (!form.contains(event.target)) setOpen(ui, false);
+        });
+
+        // "/" focuses the search box from anywhere on the page, as on many sites
+        document.addEventListener('keydown', function(event) {
+            const target = event.target;
+            if (event.key !== '/' || event.ctrlKey || event.metaKey || event.altKey) return;
+            if (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)) return;
+            event.preventDefault();
+            ui.input.focus();
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
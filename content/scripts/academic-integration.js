@@ -8,17 +8,50 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { parseArgs } = require('util');
+const { validateEvents } = require('./events');
+const { ENTRY_TYPES, parseBibtex, toPublication } = require('./bibtex');
+const { validateDataFiles, lineOfPointer } = require('./validate-data');
+const { checkReferences } = require('./check-references');
+const { applySeverities, parseRuleOptions, summarize, locationOf, describeIssue, toJSON, toJUnit, toAnnotations, writeReport } = require('./validation-report');
 
 // Configuration
 const CONFIG = {
     dataDir: path.join(__dirname, '../../data'),
     pdfDir: path.join(__dirname, '../../pdf'),
     latexDir: path.join(__dirname, '../../make_pdf'),
-    bibtexFile: path.join(__dirname, '../../make_pdf/references.bib')
+    bibtexFile: path.join(__dirname, '../../make_pdf/references.bib'),
+    // Severity of each kind of content issue: error (fails `npm run test:content`),
+    // warning or off. `validate --strict` fails on warnings too, and
+    // `--rule <rule>=<severity>` overrides one rule.
+    rules: {
+        'invalid-json': 'error',
+        'no-schema': 'error',
+        'schema-reference': 'warning',
+        schema: 'error',
+        'publication-year': 'warning',
+        'duplicate-publication': 'error',
+        'news-category': 'error',
+        'news-publication': 'error',
+        event: 'error',
+        'event-overlap': 'warning',
+        'opening-type': 'error',
+        'opening-dates': 'error',
+        'team-role': 'error',
+        'team-dates': 'error',
+        'dangling-reference': 'error',
+        'duplicate-id': 'error',
+        'duplicate-doi': 'error',
+        'unknown-award': 'error',
+        // Most unused images are from the old pages; check-references.js lists them
+        'orphaned-file': 'off'
+    }
 };
 
 /**
  * Parse BibTeX file to extract publication data
+ * Every problem is printed with its line. Returns null when the file is missing or has
+ * errors, so a broken file does not half-update the publications.
  */
 function parseBibtexFile(bibtexPath) {
     if (!fs.existsSync(bibtexPath)) {
@@ -28,36 +61,31 @@ function parseBibtexFile(bibtexPath) {
 
     try {
         const bibtexContent = fs.readFileSync(bibtexPath, 'utf8');
+        const { entries, errors, warnings } = parseBibtex(bibtexContent);
+        const name = path.basename(bibtexPath);
         const publications = [];
 
-        // Simple BibTeX parser (for demonstration)
-        const entryRegex = /@(\w+)\{([^,]+),\s*([\s\S]*?)\n\}/g;
-        let match;
-
-        while ((match = entryRegex.exec(bibtexContent)) !== null) {
-            const [, type, key, content] = match;
-            const fields = {};
-
-            const fieldRegex = /(\w+)\s*=\s*\{([^}]*)\}/g;
-            let fieldMatch;
-
-            while ((fieldMatch = fieldRegex.exec(content)) !== null) {
-                fields[fieldMatch[1]] = fieldMatch[2];
+        entries.forEach(entry => {
+            // Books, reports and the like have no place in the publications list
+            if (!ENTRY_TYPES[entry.type]) {
+                warnings.push({ line: entry.line, message: `@${entry.type}{${entry.key}} skipped: only ${Object.keys(ENTRY_TYPES).join(', ')} entries are imported` });
+                return;
             }
-
-            if (type.toLowerCase() === 'article' && fields.title) {
-                publications.push({
-                    id: key,
-                    title: fields.title,
-                    authors: fields.author ? fields.author.split(' and ') : [],
-                    journal: fields.journal || 'Unknown Journal',
-                    year: parseInt(fields.year) || new Date().getFullYear(),
-                    doi: fields.doi || null,
-                    abstract: fields.abstract || '',
-                    type: 'journal',
-                    status: 'published'
-                });
+            const { publication, error } = toPublication(entry);
+            if (publication) {
+                publications.push(publication);
+            } else {
+                errors.push({ line: entry.line, message: `@${entry.type}{${entry.key}}: ${error}` });
             }
+        });
+
+        warnings.sort((a, b) => a.line - b.line)
+            .forEach(warning => console.warn(`⚠️  ${name}:${warning.line} ${warning.message}`));
+        if (errors.length > 0) {
+            errors.sort((a, b) => a.line - b.line)
+                .forEach(error => console.error(`❌ ${name}:${error.line} ${error.message}`));
+            console.error(`❌ ${errors.length} problems in ${name}; publications were not updated`);
+            return null;
         }
 
         return publications;
@@ -199,21 +227,27 @@ function generateAcademicDocuments() {
 
 /**
  * Validate academic data integrity
+ * Every issue has a rule (CONFIG.rules), the data file and line it is about, and the
+ * JSON pointer of the value. Options: `rules` overrides severities (rule -> error,
+ * warning or off) and `strict` turns warnings into errors.
+ * Returns { files, issues, summary: { errors, warnings } }.
  */
-function validateAcademicData() {
+function validateAcademicData(options = {}) {
     console.log('🔍 Validating academic data integrity...');
 
     const issues = [];
+    const add = (rule, file, pointer, message) => issues.push({
+        rule, file: `data/${file}`, line: lineOfPointer(file, pointer), pointer, message
+    });
+    const files = fs.readdirSync(CONFIG.dataDir).filter(file => file.endsWith('.json')).sort();
 
     try {
-        // Check personal data
-        const personalData = JSON.parse(fs.readFileSync(
-            path.join(CONFIG.dataDir, 'personal.json'), 'utf8'
-        ));
+        // Check every data file against its schema (data/schemas): required fields,
+        // enums, dates, addresses and ids
+        issues.push(...validateDataFiles());
 
-        if (!personalData.name || !personalData.title) {
-            issues.push('Missing required personal information');
-        }
+        // Check references: paths in images/ and pdf/, ids, DOIs, awards and unused files
+        issues.push(...checkReferences());
 
         // Check publications data
         const publicationsData = JSON.parse(fs.readFileSync(
@@ -221,38 +255,140 @@ function validateAcademicData() {
         ));
 
         publicationsData.publications.forEach((pub, index) => {
-            if (!pub.title || !pub.authors || pub.authors.length === 0) {
-                issues.push(`Publication ${index + 1}: Missing title or authors`);
-            }
-
-            if (pub.doi && !pub.doi.startsWith('10.')) {
-                issues.push(`Publication ${index + 1}: Invalid DOI format`);
+            if (pub.year > new Date().getFullYear() + 2) {
+                add('publication-year', 'publications.json', `/publications/${index}/year`, `Publication ${pub.id}: Invalid year ${pub.year}`);
             }
+        });
 
-            if (!pub.year || pub.year < 1900 || pub.year > new Date().getFullYear() + 2) {
-                issues.push(`Publication ${index + 1}: Invalid year`);
+        // Check for duplicate publications
+        const titles = publicationsData.publications.map(pub => String(pub.title || '').toLowerCase());
+        titles.forEach((title, index) => {
+            const first = titles.indexOf(title);
+            if (first !== index) {
+                add('duplicate-publication', 'publications.json', `/publications/${index}/title`,
+                    `Duplicate publication: same title as ${publicationsData.publications[first].id}`);
             }
         });
 
-        // Check for duplicate publications
-        const titles = publicationsData.publications.map(pub => pub.title.toLowerCase());
-        const duplicates = titles.filter((title, index) => titles.indexOf(title) !== index);
-        if (duplicates.length > 0) {
-            issues.push(`Duplicate publications found: ${duplicates.join(', ')}`);
+        // Check news: categories for the archive pages, and the publications
+        // an item is about, since their pages list it
+        const newsPath = path.join(CONFIG.dataDir, 'news.json');
+        if (fs.existsSync(newsPath)) {
+            const newsData = JSON.parse(fs.readFileSync(newsPath, 'utf8'));
+            const publicationIds = new Set(publicationsData.publications.map(pub => pub.id));
+
+            newsData.news.forEach((item, index) => {
+                if (item.category && !(newsData.categories || {})[item.category]) {
+                    add('news-category', 'news.json', `/news/${index}/category`, `News ${item.id}: Unknown category "${item.category}"`);
+                }
+                (item.publications || []).forEach((id, position) => {
+                    if (!publicationIds.has(id)) {
+                        add('news-publication', 'news.json', `/news/${index}/publications/${position}`, `News ${item.id}: Unknown publication "${id}"`);
+                    }
+                });
+            });
+        }
+
+        // Check events: impossible times, broken recurrences and overlapping events
+        const eventsPath = path.join(CONFIG.dataDir, 'events.json');
+        if (fs.existsSync(eventsPath)) {
+            const eventsData = JSON.parse(fs.readFileSync(eventsPath, 'utf8'));
+            validateEvents(eventsData.events, { types: eventsData.types }).forEach(issue => {
+                // Events without an id are named by their position: "#3"
+                const [id] = issue.ids;
+                const index = /^#\d+$/.test(id) ? Number(id.slice(1)) - 1 : eventsData.events.findIndex(event => event.id === id);
+                add(issue.overlap ? 'event-overlap' : 'event', 'events.json', `/events/${index}`, `Event ${issue.message}`);
+            });
         }
 
-        if (issues.length === 0) {
-            console.log('✅ Academic data validation passed');
-        } else {
-            console.log('⚠️  Academic data validation issues:');
-            issues.forEach(issue => console.log(`   - ${issue}`));
+        // Check openings: known types and dates the build can compare
+        const openingsPath = path.join(CONFIG.dataDir, 'openings.json');
+        if (fs.existsSync(openingsPath)) {
+            const openingsData = JSON.parse(fs.readFileSync(openingsPath, 'utf8'));
+
+            openingsData.openings.forEach((opening, index) => {
+                if (!openingsData.types[opening.type]) {
+                    add('opening-type', 'openings.json', `/openings/${index}/type`, `Opening ${opening.id}: Unknown type "${opening.type}"`);
+                }
+                if (opening.posted && opening.deadline && opening.deadline < opening.posted) {
+                    add('opening-dates', 'openings.json', `/openings/${index}/deadline`, `Opening ${opening.id}: Deadline before posted date`);
+                }
+            });
+        }
+
+        // Check team members: known roles and start/end dates in order
+        const teamPath = path.join(CONFIG.dataDir, 'team.json');
+        if (fs.existsSync(teamPath)) {
+            const teamData = JSON.parse(fs.readFileSync(teamPath, 'utf8'));
+
+            teamData.members.forEach((member, index) => {
+                const name = member.id || member.name;
+                if (!teamData.roles[member.role]) {
+                    add('team-role', 'team.json', `/members/${index}/role`, `Team member ${name}: Unknown role "${member.role}"`);
+                }
+                if (member.start && member.end && member.end < member.start) {
+                    add('team-dates', 'team.json', `/members/${index}/end`, `Team member ${name}: Ends before it starts`);
+                }
+            });
         }
 
     } catch (error) {
-        console.error('❌ Error validating academic data:', error.message);
+        // A check that could not run fails validation; schema problems are still listed
+        issues.push({ rule: 'validation', file: 'data', line: null, pointer: null, message: `Could not finish validating: ${error.message}` });
+    }
+
+    const reported = applySeverities(issues, { defaults: CONFIG.rules, rules: options.rules, strict: options.strict });
+    const summary = summarize(reported);
+
+    reported.forEach(issue => {
+        const icon = issue.severity === 'error' ? '❌' : '⚠️ ';
+        console.log(`   ${icon} ${locationOf(issue)} ${describeIssue(issue)}`);
+    });
+    if (summary.errors > 0) {
+        console.log(`❌ Academic data validation failed: ${summary.errors} errors, ${summary.warnings} warnings`);
+    } else if (summary.warnings > 0) {
+        console.log(`✅ Academic data validation passed with ${summary.warnings} warnings`);
+    } else {
+        console.log('✅ Academic data validation passed');
+    }
+
+    return { files: files.map(file => `data/${file}`), issues: reported, summary };
+}
+
+/**
+ * `validate` command: validate, write the requested reports and set the exit code
+ * Options: --strict, --rule <rule>=<error|warning|off> (repeatable), --json <file>,
+ * --junit <file>. Exits with 1 when there are errors.
+ */
+function validateCommand(args) {
+    let options;
+    try {
+        const { values } = parseArgs({
+            args,
+            options: {
+                strict: { type: 'boolean', default: false },
+                rule: { type: 'string', multiple: true, default: [] },
+                json: { type: 'string' },
+                junit: { type: 'string' }
+            }
+        });
+        // "validation" is the rule of a check that could not finish
+        options = { ...values, rules: parseRuleOptions(values.rule, [...Object.keys(CONFIG.rules), 'validation']) };
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.log('Usage: node academic-integration.js validate [--strict] [--rule <rule>=<error|warning|off>] [--json <file>] [--junit <file>]');
+        process.exitCode = 1;
+        return null;
     }
 
-    return issues;
+    const results = validateAcademicData(options);
+    if (options.json) writeReport(options.json, toJSON(results.issues, { strict: options.strict, files: results.files }));
+    if (options.junit) writeReport(options.junit, toJUnit(results.issues, { name: 'test:content', files: results.files }));
+    // Annotate the data files in pull requests
+    if (process.env.GITHUB_ACTIONS === 'true') toAnnotations(results.issues).forEach(line => console.log(line));
+
+    if (results.summary.errors > 0) process.exitCode = 1;
+    return results;
 }
 
 /**
@@ -354,7 +490,7 @@ if (require.main === module) {
             generateAcademicDocuments();
             break;
         case 'validate':
-            validateAcademicData();
+            validateCommand(process.argv.slice(3));
             break;
         case 'metrics':
             generateAcademicMetrics();
@@ -374,6 +510,7 @@ module.exports = {
     updatePublicationsFromSources,
     generateAcademicDocuments,
     validateAcademicData,
+    validateCommand,
     generateAcademicMetrics,
     runAcademicIntegration
 };
\ No newline at end of file
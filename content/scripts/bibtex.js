@@ -0,0 +1,460 @@
+/**
+ * BibTeX Import for Roman Korol's Website
+ * Parses BibTeX and BibLaTeX files (nested braces, quoted values, @string macros and
+ * `#` concatenation, month names, @comment and @preamble, entries in braces or
+ * parentheses) and turns entries into publications.json entries, with LaTeX accents,
+ * symbols and math converted to Unicode and HTML. Problems are reported with their
+ * line instead of dropping entries.
+ */
+
+const { plainText } = require('./sanitize');
+const { LATEX_SPECIAL, LATEX_SYMBOLS, LATEX_ACCENTS, LATEX_TAGS } = require('./citations');
+
+// Macros every BibTeX style defines
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const PREDEFINED_MACROS = Object.fromEntries(MONTHS.map(month => [month.slice(0, 3).toLowerCase(), month]));
+
+// Publication `type` and the field holding the journal, by entry type
+const ENTRY_TYPES = {
+    article: { type: 'journal', container: ['journal', 'journaltitle'] },
+    inproceedings: { type: 'conference', container: ['booktitle', 'eventtitle'] },
+    conference: { type: 'conference', container: ['booktitle', 'eventtitle'] },
+    incollection: { type: 'chapter', container: ['booktitle'] },
+    inbook: { type: 'chapter', container: ['booktitle', 'title'] },
+    misc: { type: 'preprint', container: ['howpublished', 'journal', 'publisher'] },
+    online: { type: 'preprint', container: ['howpublished', 'journal', 'publisher'] },
+    unpublished: { type: 'preprint', container: ['howpublished', 'note'] },
+    phdthesis: { type: 'thesis', container: ['school', 'institution'] },
+    mastersthesis: { type: 'thesis', container: ['school', 'institution'] },
+    thesis: { type: 'thesis', container: ['school', 'institution'] }
+};
+
+// BibLaTeX `pubstate` values with a publication status
+const PUBSTATES = { submitted: 'submitted', inpreparation: 'in_preparation' };
+
+const IDENTIFIER = /[^\s"#%'(),={}]+/y;
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;' };
+
+// Decoding tables, from the encoding tables of the citation export
+const ACCENT_MARKS = Object.fromEntries(Object.entries(LATEX_ACCENTS).map(([mark, command]) => [command, mark]));
+const TAG_COMMANDS = Object.fromEntries(
+    Object.entries(LATEX_TAGS).filter(([tag]) => ['i', 'b', 'sub', 'sup'].includes(tag)).map(([tag, command]) => [command.slice(1, -1), tag])
+);
+const SYMBOL_COMMANDS = { ldots: '…', dots: '…', textendash: '–', textemdash: '—', textasciitilde: '~' };
+const MATH_COMMANDS = { rightarrow: '→', to: '→', leftarrow: '←', cdot: '·', approx: '≈', sim: '∼', infty: '∞', hbar: 'ℏ', leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠' };
+const TEXT_SEQUENCES = [['---', '—'], ['--', '–'], ['``', '“'], ['\'\'', '”'], ['~', '\u00a0']];
+Object.entries({ ...LATEX_SYMBOLS, ...LATEX_SPECIAL }).forEach(([char, latex]) => {
+    const command = latex.match(/^\{?\$?\\([a-zA-Z]+)(\{\})?\$?\}?$/);
+    if (!command) return;
+    if (latex.startsWith('$')) {
+        MATH_COMMANDS[command[1]] = char;
+    } else {
+        SYMBOL_COMMANDS[command[1]] = char;
+    }
+});
+// Symbols such as \alpha and \pm are also accepted outside math mode
+Object.keys(MATH_COMMANDS).forEach(name => {
+    if (/^[a-zA-Z]+$/.test(name) && !(name in SYMBOL_COMMANDS)) SYMBOL_COMMANDS[name] = MATH_COMMANDS[name];
+});
+
+/**
+ * Line (from 1) of an offset in a text
+ */
+function lineAt(text, offset) {
+    return text.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Error of the parser, with the offset it is about
+ */
+function parseError(message, offset) {
+    return Object.assign(new SyntaxError(message), { offset });
+}
+
+/**
+ * Parse a BibTeX or BibLaTeX file
+ * Returns { entries, errors, warnings }: entries are { type, key, fields, line } with
+ * lowercase type and field names and raw LaTeX values; errors and warnings are
+ * { line, message }. An entry with a syntax error is reported and left out; parsing
+ * goes on at the next entry.
+ */
+function parseBibtex(text) {
+    const entries = [];
+    const errors = [];
+    const warnings = [];
+    const macros = { ...PREDEFINED_MACROS };
+    const keys = new Set();
+    let index = 0;
+
+    const skipSpace = () => {
+        while (index < text.length) {
+            if (/\s/.test(text[index])) {
+                index++;
+            } else if (text[index] === '%') {
+                // Line comments, between fields as well as between entries
+                while (index < text.length && text[index] !== '\n') index++;
+            } else {
+                break;
+            }
+        }
+    };
+    const identifier = what => {
+        skipSpace();
+        IDENTIFIER.lastIndex = index;
+        const match = IDENTIFIER.exec(text);
+        if (!match) throw parseError(`expected ${what}`, index);
+        index = IDENTIFIER.lastIndex;
+        return match[0];
+    };
+    const expect = (character, what) => {
+        skipSpace();
+        if (text[index] !== character) throw parseError(`expected "${character}" ${what}`, index);
+        index++;
+    };
+
+    // Text up to the brace closing the one at `index`, keeping nested braces
+    const braced = () => {
+        const start = index;
+        let depth = 0;
+        for (; index < text.length; index++) {
+            if (text[index] === '\\') {
+                index++;
+            } else if (text[index] === '{') {
+                depth++;
+            } else if (text[index] === '}' && --depth === 0) {
+                index++;
+                return text.slice(start + 1, index - 1);
+            }
+        }
+        throw parseError('unbalanced braces: missing "}"', start);
+    };
+    // Text up to the closing quote; quotes inside braces do not count
+    const quoted = () => {
+        const start = index++;
+        let depth = 0;
+        for (; index < text.length; index++) {
+            if (text[index] === '\\') {
+                index++;
+            } else if (text[index] === '{') {
+                depth++;
+            } else if (text[index] === '}') {
+                if (--depth < 0) throw parseError('unbalanced braces in a quoted value', index);
+            } else if (text[index] === '"' && depth === 0) {
+                index++;
+                return text.slice(start + 1, index - 1);
+            }
+        }
+        throw parseError('missing closing quote', start);
+    };
+    // A value: parts joined with #
+    const value = () => {
+        const parts = [];
+        for (;;) {
+            skipSpace();
+            const start = index;
+            if (text[index] === '{') {
+                parts.push(braced());
+            } else if (text[index] === '"') {
+                parts.push(quoted());
+            } else if (/\d/.test(text[index])) {
+                parts.push(identifier('a value'));
+            } else {
+                const name = identifier('a value').toLowerCase();
+                if (!Object.hasOwn(macros, name)) throw parseError(`undefined macro "${name}"`, start);
+                parts.push(macros[name]);
+            }
+            skipSpace();
+            if (text[index] !== '#') break;
+            index++;
+        }
+        return parts.join('');
+    };
+    // name = value pairs up to the closing delimiter
+    const fieldList = close => {
+        const fields = {};
+        skipSpace();
+        while (text[index] !== close) {
+            if (index >= text.length) throw parseError(`expected "${close}" at the end of the entry`, index);
+            const start = index;
+            const name = identifier('a field name').toLowerCase();
+            expect('=', `after "${name}"`);
+            if (Object.hasOwn(fields, name)) warnings.push({ line: lineAt(text, start), message: `field "${name}" given twice; the last one is used` });
+            fields[name] = value();
+            skipSpace();
+            if (text[index] !== close) expect(',', 'between fields');
+            skipSpace();
+        }
+        index++;
+        return fields;
+    };
+
+    while (index < text.length) {
+        // Text outside entries is a comment
+        const at = text.indexOf('@', index);
+        if (at === -1) break;
+        index = at + 1;
+        let entryName = null;
+
+        try {
+            const type = identifier('an entry type').toLowerCase();
+            skipSpace();
+            const open = text[index];
+            if (open !== '{' && open !== '(') throw parseError(`expected "{" after @${type}`, index);
+            const close = open === '{' ? '}' : ')';
+
+            if (type === 'comment') {
+                if (open === '{') {
+                    braced();
+                } else {
+                    const end = text.indexOf(')', index);
+                    index = end === -1 ? text.length : end + 1;
+                }
+                continue;
+            }
+            index++;
+            if (type === 'preamble') {
+                value();
+                expect(close, 'at the end of @preamble');
+                continue;
+            }
+            if (type === 'string') {
+                Object.entries(fieldList(close)).forEach(([name, macro]) => {
+                    macros[name] = macro;
+                });
+                continue;
+            }
+
+            const line = lineAt(text, at);
+            const key = identifier('a citation key');
+            entryName = `@${type}{${key}} (line ${line})`;
+            expect(',', `after the key "${key}"`);
+            const fields = fieldList(close);
+            if (keys.has(key)) {
+                errors.push({ line, message: `duplicate key "${key}"; the first entry is kept` });
+                continue;
+            }
+            keys.add(key);
+            entries.push({ type, key, fields, line });
+        } catch (error) {
+            if (error.offset === undefined) throw error;
+            errors.push({ line: lineAt(text, error.offset), message: entryName ? `${entryName}: ${error.message}` : error.message });
+            // Go on at the next entry that starts a line, which may be inside a value
+            // that was never closed
+            const next = text.slice(at + 1).search(/\n\s*@/);
+            index = next === -1 ? text.length : at + 1 + next + 1;
+        }
+    }
+
+    return { entries, errors, warnings };
+}
+
+/**
+ * Convert LaTeX to HTML: accents and symbols to Unicode (\'e -> é, \ss -> ß),
+ * \textit/\emph and \textbf to <i> and <b>, math sub- and superscripts to <sub> and
+ * <sup> ($_2$, $^{13}$C), \ce{CH4} to CH<sub>4</sub>, and dashes and quotes to their
+ * characters. Protective braces are dropped.
+ */
+function latexToHtml(latex) {
+    const source = String(latex);
+    let index = 0;
+
+    // A command name: letters, or one other character
+    const commandName = () => {
+        const letters = source.slice(index).match(/^[a-zA-Z]+/);
+        const name = letters ? letters[0] : source[index] || '';
+        index += name.length;
+        if (letters) while (source[index] === ' ' || source[index] === '\t') index++;
+        return name;
+    };
+    // The argument of a command: a braced group or a single character or command
+    const argument = math => {
+        while (source[index] === ' ') index++;
+        if (source[index] === '{') {
+            index++;
+            const html = convert('}', math);
+            index++;
+            return html;
+        }
+        if (source[index] === '\\') {
+            index++;
+            return command(commandName(), math);
+        }
+        return escape(source[index++] || '');
+    };
+    const escape = text => text.replace(/[&<>]/g, char => ESCAPES[char]);
+    const accent = (mark, text) => {
+        // Accents go on the first letter, which may be a dotless i or j
+        const letter = text.replace(/^ı/, 'i').replace(/^ȷ/, 'j');
+        return `${letter.charAt(0)}${mark}`.normalize('NFC') + letter.slice(1);
+    };
+    const chemistry = text => text.replace(/([A-Za-z)\]])(\d+)/g, '$1<sub>$2</sub>');
+
+    const command = (name, math) => {
+        if (ACCENT_MARKS[name] !== undefined) return accent(ACCENT_MARKS[name], argument(math));
+        if (TAG_COMMANDS[name]) return `<${TAG_COMMANDS[name]}>${argument(math)}</${TAG_COMMANDS[name]}>`;
+        if (name === 'emph' || name === 'mathit') return `<i>${argument(math)}</i>`;
+        if (name === 'mathbf') return `<b>${argument(math)}</b>`;
+        if (name === 'ce') return chemistry(argument(math));
+        if (name === 'i') return 'ı';
+        if (name === 'j') return 'ȷ';
+        if (name === 'href') {
+            argument(math);
+            return argument(math);
+        }
+        if (math && MATH_COMMANDS[name]) return escape(MATH_COMMANDS[name]);
+        if (SYMBOL_COMMANDS[name]) {
+            if (source.startsWith('{}', index)) index += 2;
+            return escape(SYMBOL_COMMANDS[name]);
+        }
+        if (name === '\\' || name === ' ' || name === ',' || name === ';') return ' ';
+        if (!/^[a-zA-Z]+$/.test(name)) return escape(name);
+        // Other commands (\textrm, \mathrm, \url, \textsc): their argument, if any
+        return source[index] === '{' ? argument(math) : '';
+    };
+
+    function convert(until, math) {
+        let html = '';
+        while (index < source.length && source[index] !== until) {
+            const char = source[index];
+            if (char === '\\') {
+                index++;
+                html += command(commandName(), math);
+            } else if (char === '{') {
+                index++;
+                html += convert('}', math);
+                index++;
+            } else if (char === '}') {
+                // A stray closing brace
+                index++;
+            } else if (char === '$' && !math) {
+                index++;
+                html += convert('$', true);
+                index++;
+            } else if ((char === '_' || char === '^') && math) {
+                index++;
+                const tag = char === '_' ? 'sub' : 'sup';
+                html += `<${tag}>${argument(math)}</${tag}>`;
+            } else if (/\s/.test(char)) {
+                while (index < source.length && /\s/.test(source[index])) index++;
+                // Spaces between math symbols are not printed
+                if (!math) html += ' ';
+            } else {
+                const at = index;
+                const sequence = math ? null : TEXT_SEQUENCES.find(([latex]) => source.startsWith(latex, at));
+                if (sequence) {
+                    html += sequence[1];
+                    index += sequence[0].length;
+                } else {
+                    html += escape(char);
+                    index++;
+                }
+            }
+        }
+        return html;
+    }
+
+    return convert(null, false).replace(/ı/g, 'i').replace(/ȷ/g, 'j').trim();
+}
+
+/**
+ * Plain text of a LaTeX value, for fields without markup
+ */
+function latexToText(latex) {
+    return plainText(latexToHtml(latex));
+}
+
+/**
+ * Split a name list on "and" outside braces
+ */
+function splitNames(list) {
+    const names = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < list.length; i++) {
+        if (list[i] === '{') depth++;
+        else if (list[i] === '}') depth--;
+        else if (depth === 0 && /\s/.test(list[i]) && /^\s+and\s/i.test(list.slice(i))) {
+            names.push(list.slice(start, i));
+            i += list.slice(i).match(/^\s+and\s+/i)[0].length - 1;
+            start = i + 1;
+        }
+    }
+    names.push(list.slice(start));
+    return names.map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * A BibTeX name as written in publications.json: "Korol, Roman V." and
+ * "Miller, III, Thomas F." -> "Roman V. Korol", "Thomas F. Miller III"
+ */
+function authorName(name) {
+    if (/^others$/i.test(name)) return 'et al.';
+    // Commas outside braces separate family, suffix and given names
+    const segments = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < name.length; i++) {
+        if (name[i] === '{') depth++;
+        else if (name[i] === '}') depth--;
+        else if (name[i] === ',' && depth === 0) {
+            segments.push(name.slice(start, i));
+            start = i + 1;
+        }
+    }
+    segments.push(name.slice(start));
+    const [family, ...rest] = segments.map(segment => latexToText(segment));
+    if (rest.length === 0) return family;
+    return rest.length > 1 ? `${rest[1]} ${family} ${rest[0]}` : `${rest[0]} ${family}`;
+}
+
+/**
+ * A parsed entry as a publications.json entry
+ * Returns { publication } or { error } for an entry type or field the site cannot
+ * show.
+ */
+function toPublication(entry) {
+    const kind = ENTRY_TYPES[entry.type];
+    if (!kind) return { error: `@${entry.type} entries are not imported (${Object.keys(ENTRY_TYPES).join(', ')})` };
+
+    const { fields } = entry;
+    const missing = ['title', 'author'].filter(name => !fields[name]);
+    const year = fields.year || (fields.date || '').slice(0, 4);
+    if (!/^\d{4}$/.test(String(year).trim())) missing.push('year');
+    if (missing.length > 0) return { error: `missing ${missing.join(', ')}` };
+    if (!/^[A-Za-z0-9_:.-]+$/.test(entry.key)) return { error: `key "${entry.key}" has characters other than letters, digits and _:.-` };
+
+    // arXiv entries: @misc with eprint, or @article in the arXiv "journal"
+    const eprint = fields.eprint && /arxiv/i.test(fields.archiveprefix || fields.eprinttype || 'arxiv') ? `arXiv:${latexToText(fields.eprint)}` : null;
+    const containerField = kind.container.find(name => fields[name]);
+    const container = containerField ? latexToText(fields[containerField]) : eprint;
+    const type = kind.type === 'journal' && /^arxiv/i.test(container || '') ? 'preprint' : kind.type;
+    const doi = fields.doi ? latexToText(fields.doi).replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:)/i, '') : null;
+
+    const publication = {
+        id: entry.key,
+        title: latexToHtml(fields.title),
+        authors: splitNames(fields.author).map(authorName),
+        journal: container || undefined,
+        year: parseInt(year, 10),
+        volume: fields.volume ? latexToText(fields.volume) : undefined,
+        issue: fields.number || fields.issue ? latexToText(fields.number || fields.issue) : undefined,
+        pages: fields.pages ? latexToText(fields.pages.replace(/-+/g, '-')) : undefined,
+        doi: doi || undefined,
+        url: !doi && fields.url ? fields.url.trim() : undefined,
+        abstract: fields.abstract ? latexToHtml(fields.abstract) : undefined,
+        type,
+        status: PUBSTATES[(fields.pubstate || '').toLowerCase()] || 'published'
+    };
+    Object.keys(publication).forEach(name => publication[name] === undefined && delete publication[name]);
+    return { publication };
+}
+
+module.exports = {
+    ENTRY_TYPES,
+    parseBibtex,
+    latexToHtml,
+    latexToText,
+    splitNames,
+    authorName,
+    toPublication
+};
@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+
+/**
+ * Production Build for Roman Korol's Website
+ * Assembles the deployable site in dist/: pages, feeds, citations, PDFs, images and
+ * assets, with JavaScript minified and CSS taken from its compressed build. Files under
+ * assets/ get content-hashed names (main.3f2a9c1b.css), references to them in pages and
+ * stylesheets are rewritten, and dist/build-manifest.json lists every file with its size.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Configuration
+const CONFIG = {
+    siteDir: path.join(__dirname, '../..'),
+    outputDir: path.join(__dirname, '../../dist'),
+    // Files at the site root, besides its *.html pages
+    rootFiles: ['robots.txt', 'sitemap.xml', '.htaccess', 'language-map.js'],
+    // Folders published as they are (en/ and fr/ hold pages, feeds, calendars and search indexes)
+    folders: ['en', 'fr', 'assets', 'images', 'citations', 'pdf'],
+    // Sources that are not part of the site
+    exclude: [/^assets\/sass\//, /\.map$/],
+    // Files whose names get a content hash; they change only when their content does
+    fingerprint: /^assets\/.*\.(css|js|woff2?|ttf|otf|eot|svg|png|jpe?g|gif)$/,
+    hashLength: 8,
+    manifestFile: 'build-manifest.json'
+};
+
+// References to other files in stylesheets: url(...) and @import "..."
+const CSS_REFERENCE = /(url\(\s*(['"]?))([^'")\s]+)(\2\s*\))|(@import\s*(['"]))([^'"]+)(\6)/g;
+// References in pages: src and href attributes
+const HTML_REFERENCE = /(\s(?:src|href)=(["']))([^"']+)(\2)/g;
+// A name hashed by an earlier run: "main.3f2a9c1b.css"
+const HASHED_NAME = new RegExp(`\\.[0-9a-f]{${CONFIG.hashLength}}(\\.[^./]+)$`);
+
+/**
+ * Every file under a folder, as paths relative to `base`
+ */
+function listFiles(base, folder) {
+    const directory = path.join(base, folder);
+    if (!fs.existsSync(directory)) return [];
+    return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+        const file = path.posix.join(folder, entry.name);
+        return entry.isDirectory() ? listFiles(base, file) : [file];
+    });
+}
+
+/**
+ * Site-relative files to publish, in order
+ */
+function sourceFiles() {
+    const root = fs.readdirSync(CONFIG.siteDir)
+        .filter(file => file.endsWith('.html') || CONFIG.rootFiles.includes(file))
+        .filter(file => fs.statSync(path.join(CONFIG.siteDir, file)).isFile());
+
+    return [...root, ...CONFIG.folders.flatMap(folder => listFiles(CONFIG.siteDir, folder))]
+        .filter(file => !CONFIG.exclude.some(pattern => pattern.test(file)))
+        // main.min.css is published as main.css, the name the pages use
+        .filter(file => !(/\.min\.css$/.test(file) && fs.existsSync(path.join(CONFIG.siteDir, file.replace(/\.min\.css$/, '.css')))));
+}
+
+/**
+ * Minify a script with terser; returns null when terser is missing or fails
+ */
+async function minifyScript(code, file) {
+    let terser;
+    try {
+        terser = require('terser');
+    } catch (error) {
+        console.warn('⚠️  terser is not installed; scripts are copied unminified');
+        return null;
+    }
+
+    try {
+        const result = await terser.minify(code, { compress: true, mangle: true });
+        return result.code;
+    } catch (error) {
+        console.warn(`⚠️  ${file}: ${error.message}, copied unminified`);
+        return null;
+    }
+}
+
+/**
+ * Content to publish for a source file: compressed CSS, minified JavaScript, or the file
+ */
+async function buildFile(file) {
+    const source = path.join(CONFIG.siteDir, file);
+
+    const minCss = source.replace(/\.css$/, '.min.css');
+    if (/\.css$/.test(file) && !/\.min\.css$/.test(file) && fs.existsSync(minCss)) {
+        return fs.readFileSync(minCss);
+    }
+
+    if (/^assets\/js\/.*\.js$/.test(file) && !/\.min\.js$/.test(file)) {
+        const code = fs.readFileSync(source, 'utf8');
+        const minified = await minifyScript(code, file);
+        return Buffer.from(minified === null ? code : minified);
+    }
+
+    return fs.readFileSync(source);
+}
+
+/**
+ * Copy the site into dist/
+ * Files already in dist/ and newer than their source are kept: optimize:images writes
+ * the pages and images with responsive markup and variants before this step runs.
+ */
+async function copySite(files) {
+    let copied = 0;
+    for (const file of files) {
+        const target = path.join(CONFIG.outputDir, file);
+        if (fs.existsSync(target) &&
+            fs.statSync(target).mtimeMs >= fs.statSync(path.join(CONFIG.siteDir, file)).mtimeMs) continue;
+
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, await buildFile(file));
+        copied++;
+    }
+    return copied;
+}
+
+/**
+ * Site-relative path a reference points to from `file`, or null for external URLs
+ */
+function resolveReference(reference, file) {
+    if (/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(reference)) return null;
+    const clean = reference.replace(/[?#].*$/, '');
+    if (!clean) return null;
+
+    let decoded;
+    try {
+        decoded = decodeURI(clean);
+    } catch (error) {
+        return null;
+    }
+    return clean.startsWith('/') ?
+        path.posix.normalize(decoded.slice(1)) :
+        path.posix.normalize(path.posix.join(path.posix.dirname(file), decoded));
+}
+
+/**
+ * The same reference with its file name swapped for the hashed one, keeping the
+ * folder part and any ?query or #fragment
+ */
+function hashedReference(reference, file, hashed) {
+    // Pages kept from an earlier run still name the assets by their old hash
+    const resolved = resolveReference(reference, file);
+    const target = resolved && !hashed.has(resolved) ? resolved.replace(HASHED_NAME, '$1') : resolved;
+    if (!target || !hashed.has(target)) return reference;
+
+    const [, clean, suffix] = reference.match(/^([^?#]*)(.*)$/);
+    return `${clean.replace(/[^/]*$/, '')}${encodeURI(path.posix.basename(hashed.get(target)))}${suffix}`;
+}
+
+/**
+ * Rewrite the asset references of a stylesheet
+ */
+function rewriteCss(css, file, hashed) {
+    return css.replace(CSS_REFERENCE, (match, urlStart, urlQuote, url, urlEnd, importStart, importQuote, imported, importEnd) => (
+        url !== undefined ?
+            `${urlStart}${hashedReference(url, file, hashed)}${urlEnd}` :
+            `${importStart}${hashedReference(imported, file, hashed)}${importEnd}`
+    ));
+}
+
+/**
+ * Local files a stylesheet refers to
+ */
+function cssReferences(css, file) {
+    const references = [];
+    css.replace(CSS_REFERENCE, (match, urlStart, urlQuote, url, urlEnd, importStart, importQuote, imported) => {
+        const target = resolveReference(url !== undefined ? url : imported, file);
+        if (target) references.push(target);
+        return match;
+    });
+    return references;
+}
+
+/**
+ * "assets/css/main.css" with content hash 3f2a9c1b... -> "assets/css/main.3f2a9c1b.css"
+ */
+function hashedName(file, content) {
+    const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, CONFIG.hashLength);
+    const extension = path.posix.extname(file);
+    return `${file.slice(0, -extension.length)}.${hash}${extension}`;
+}
+
+/**
+ * Give every fingerprinted file in dist/ its hashed name
+ * Stylesheets are hashed after the files they refer to, with those references
+ * rewritten first, so a changed font also changes the name of the CSS that loads it.
+ * Returns a Map from original to hashed site-relative path.
+ */
+function fingerprintAssets() {
+    const files = listFiles(CONFIG.outputDir, 'assets').filter(file => CONFIG.fingerprint.test(file));
+    // Files hashed by an earlier run are replaced by this run's
+    const stale = files.filter(file => HASHED_NAME.test(file));
+    const pending = new Set(files);
+    const hashed = new Map();
+
+    const visit = file => {
+        if (!pending.has(file)) return;
+        pending.delete(file);
+
+        const target = path.join(CONFIG.outputDir, file);
+        let content = fs.readFileSync(target);
+        if (file.endsWith('.css')) {
+            const css = content.toString('utf8');
+            cssReferences(css, file).forEach(visit);
+            content = Buffer.from(rewriteCss(css, file, hashed));
+        }
+
+        const name = hashedName(file, content);
+        fs.writeFileSync(path.join(CONFIG.outputDir, name), content);
+        fs.unlinkSync(target);
+        hashed.set(file, name);
+    };
+
+    stale.forEach(file => pending.delete(file));
+    files.forEach(visit);
+
+    const current = new Set(hashed.values());
+    stale.filter(file => !current.has(file)).forEach(file => fs.unlinkSync(path.join(CONFIG.outputDir, file)));
+    return hashed;
+}
+
+/**
+ * Rewrite the src and href attributes of every page that point to a hashed asset
+ */
+function rewritePages(hashed) {
+    let rewritten = 0;
+    listFiles(CONFIG.outputDir, '.')
+        .map(file => path.posix.normalize(file))
+        .filter(file => file.endsWith('.html'))
+        .forEach(page => {
+            const target = path.join(CONFIG.outputDir, page);
+            const html = fs.readFileSync(target, 'utf8');
+            const result = html.replace(HTML_REFERENCE, (match, start, quote, reference, end) => (
+                `${start}${hashedReference(reference, page, hashed)}${end}`
+            ));
+            if (result !== html) {
+                fs.writeFileSync(target, result, 'utf8');
+                rewritten++;
+            }
+        });
+    return rewritten;
+}
+
+/**
+ * Write dist/build-manifest.json: every file in dist/ with its size in bytes, and the
+ * hashed name of each asset
+ */
+function writeManifest(hashed) {
+    const files = listFiles(CONFIG.outputDir, '.')
+        .map(file => path.posix.normalize(file))
+        .filter(file => file !== CONFIG.manifestFile)
+        .sort()
+        .map(file => ({ path: file, size: fs.statSync(path.join(CONFIG.outputDir, file)).size }));
+
+    const manifest = {
+        generated: new Date().toISOString(),
+        totalSize: files.reduce((total, file) => total + file.size, 0),
+        assets: Object.fromEntries([...hashed.entries()].sort()),
+        files
+    };
+    fs.writeFileSync(path.join(CONFIG.outputDir, CONFIG.manifestFile), JSON.stringify(manifest, null, 2) + '\n');
+    return manifest;
+}
+
+/**
+ * Minify the scripts into dist/assets/js, without hashing them
+ */
+async function buildScripts() {
+    const files = sourceFiles().filter(file => /^assets\/js\/.*\.js$/.test(file));
+    for (const file of files) {
+        const target = path.join(CONFIG.outputDir, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, await buildFile(file));
+    }
+    console.log(`✅ Minified ${files.length} scripts into dist/assets/js`);
+    return files;
+}
+
+/**
+ * Main function: copy, fingerprint, rewrite and list
+ * Returns the manifest, or null when the site could not be built.
+ */
+async function buildDist() {
+    console.log('📦 Building dist/...');
+
+    try {
+        const copied = await copySite(sourceFiles());
+        const hashed = fingerprintAssets();
+        const pages = rewritePages(hashed);
+        const manifest = writeManifest(hashed);
+
+        console.log(`✅ Copied ${copied} files, fingerprinted ${hashed.size} assets, rewrote ${pages} pages`);
+        console.log(`📊 ${manifest.files.length} files, ${(manifest.totalSize / 1024 / 1024).toFixed(1)} MB in dist/ (see ${CONFIG.manifestFile})`);
+        return manifest;
+    } catch (error) {
+        console.error('❌ Build failed:', error.message);
+        return null;
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const command = process.argv[2];
+
+    switch (command) {
+    case 'build':
+    case undefined:
+        buildDist().then(manifest => {
+            if (!manifest) process.exitCode = 1;
+        });
+        break;
+    case 'js':
+        buildScripts().catch(error => {
+            console.error('❌ Script build failed:', error.message);
+            process.exitCode = 1;
+        });
+        break;
+    default:
+        console.log('Usage: node build-dist.js [build|js]');
+    }
+}
+
+module.exports = {
+    CONFIG,
+    buildDist,
+    buildScripts,
+    fingerprintAssets,
+    rewriteCss,
+    rewritePages,
+    writeManifest
+};
@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+
+/**
+ * Link Checker for Roman Korol's Website
+ * Resolves every internal reference of the pages (href, src, srcset, social preview
+ * images, canonical and language links) and the file paths in data/*.json, without a
+ * network connection. Missing files and missing #anchors are reported with file and
+ * line; external URLs are not fetched.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { codePointText } = require('./sanitize');
+
+// Configuration
+const CONFIG = {
+    siteDir: path.join(__dirname, '../..'),
+    dataDir: path.join(__dirname, '../../data'),
+    // Folders of pages, besides the *.html files at the site root
+    pageDirs: ['en', 'fr'],
+    // Data values starting with one of these folders are paths from the site root
+    dataPaths: /^(images|pdf|assets|citations|en|fr)\//,
+    // Fragments that need no element: the top of the page
+    builtInAnchors: ['', 'top']
+};
+
+// Attributes that hold a reference, and <meta> tags whose content is one
+const REFERENCE = /\s(href|src|srcset|poster|content)=(?:"([^"]*)"|'([^']*)')/gi;
+const META_REFERENCE = /^(og:image|og:url|twitter:image)$/;
+// Elements a fragment can point to; data-anchor holds the old numbered anchors of the
+// publications list, which assets/js/publication-anchors.js still opens
+const ANCHOR = /\s(?:id|name|data-anchor)=(?:"([^"]*)"|'([^']*)')/gi;
+// Parts of a page that are not markup
+const SKIPPED_REGIONS = /<!--[\s\S]*?-->|<script\b[\s\S]*?<\/script>/gi;
+
+/**
+ * Every file under a folder, as paths relative to the site root
+ */
+function listFiles(folder) {
+    const directory = path.join(CONFIG.siteDir, folder);
+    if (!fs.existsSync(directory)) return [];
+    return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+        const file = path.posix.join(folder, entry.name);
+        return entry.isDirectory() ? listFiles(file) : [file];
+    });
+}
+
+/**
+ * Pages to check: the *.html files at the site root and in CONFIG.pageDirs
+ */
+function listPages() {
+    const root = fs.readdirSync(CONFIG.siteDir).filter(file => file.endsWith('.html'));
+    return [...root, ...CONFIG.pageDirs.flatMap(listFiles).filter(file => file.endsWith('.html'))];
+}
+
+/**
+ * Line number (from 1) of each offset in a text
+ */
+function lineLocator(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') starts.push(i + 1);
+    }
+    return offset => {
+        let low = 0;
+        let high = starts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (starts[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low + 1;
+    };
+}
+
+/**
+ * A page with comments and scripts blanked out, keeping offsets and line numbers
+ */
+function markupOnly(html) {
+    return html.replace(SKIPPED_REGIONS, region => region.replace(/[^\n]/g, ' '));
+}
+
+/**
+ * Decode the entities that appear in attribute values
+ * Code points out of range decode to U+FFFD, as in browsers.
+ */
+function decodeEntities(value) {
+    return value
+        .replace(/&#(\d+);/g, (match, code) => codePointText(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => codePointText(parseInt(code, 16)))
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Anchors of a page, read once
+ */
+function anchorsOf(file, cache) {
+    if (!cache.has(file)) {
+        const anchors = new Set(CONFIG.builtInAnchors);
+        const html = markupOnly(fs.readFileSync(path.join(CONFIG.siteDir, file), 'utf8'));
+        let match;
+        ANCHOR.lastIndex = 0;
+        while ((match = ANCHOR.exec(html)) !== null) {
+            anchors.add(decodeEntities(match[1] !== undefined ? match[1] : match[2]));
+        }
+        cache.set(file, anchors);
+    }
+    return cache.get(file);
+}
+
+/**
+ * Site-relative file and fragment a reference points to, or null when it is not a
+ * local file (another site, mailto:, javascript:, data:)
+ * Absolute URLs on the site's own address (site.json baseUrl) count as local.
+ */
+function resolveReference(reference, from, baseUrl) {
+    let value = reference.trim();
+    if (baseUrl && value.startsWith(`${baseUrl}/`)) {
+        value = value.slice(baseUrl.length);
+    } else if (baseUrl && value === baseUrl) {
+        value = '/';
+    }
+    if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(value)) return null;
+
+    const [, location, fragment] = value.match(/^([^#]*)(?:#(.*))?$/);
+    const clean = location.replace(/\?.*$/, '');
+    const decode = text => {
+        try {
+            return decodeURIComponent(text);
+        } catch (error) {
+            return text;
+        }
+    };
+    const decoded = decode(clean);
+
+    let file;
+    if (!clean) {
+        file = from;
+    } else if (clean.startsWith('/')) {
+        file = path.posix.normalize(decoded.slice(1) || '.');
+    } else {
+        file = path.posix.normalize(path.posix.join(path.posix.dirname(from), decoded));
+    }
+    if (!clean || clean.endsWith('/') || file === '.') {
+        file = clean ? path.posix.join(file, 'index.html') : file;
+    }
+
+    return { file, fragment: fragment === undefined ? null : decode(fragment) };
+}
+
+/**
+ * Why a reference is broken, or null when it resolves
+ */
+function checkReference(reference, from, context) {
+    if (/\{\{|\}\}/.test(reference)) return 'template expression left in the output';
+
+    const target = resolveReference(reference, from, context.baseUrl);
+    if (!target) return null;
+    if (target.file.startsWith('../')) return 'points outside the site';
+
+    const absolute = path.join(CONFIG.siteDir, target.file);
+    if (!fs.existsSync(absolute)) return 'file not found';
+    if (fs.statSync(absolute).isDirectory()) {
+        return fs.existsSync(path.join(absolute, 'index.html')) ? null : 'folder without index.html';
+    }
+
+    if (target.fragment !== null && target.file.endsWith('.html') &&
+        !anchorsOf(target.file, context.anchors).has(target.fragment)) {
+        return `no element with id "${target.fragment}" in ${target.file}`;
+    }
+    return null;
+}
+
+/**
+ * Broken references of one page
+ */
+function checkPage(page, context) {
+    const html = markupOnly(fs.readFileSync(path.join(CONFIG.siteDir, page), 'utf8'));
+    const lineOf = lineLocator(html);
+    const broken = [];
+    let checked = 0;
+    let match;
+
+    REFERENCE.lastIndex = 0;
+    while ((match = REFERENCE.exec(html)) !== null) {
+        const attribute = match[1].toLowerCase();
+        const value = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+
+        if (attribute === 'content') {
+            // Only <meta> tags that name a page or an image
+            const tagStart = html.lastIndexOf('<', match.index);
+            const tag = html.slice(tagStart, html.indexOf('>', match.index) + 1);
+            const name = tag.match(/\s(?:property|name)=["']([^"']*)["']/i);
+            if (!/^<meta\b/i.test(tag) || !name || !META_REFERENCE.test(name[1])) continue;
+        }
+
+        const references = attribute === 'srcset' ?
+            value.split(',').map(candidate => candidate.trim().split(/\s+/)[0]).filter(Boolean) :
+            [value];
+
+        for (const reference of references) {
+            checked++;
+            const reason = checkReference(reference, page, context);
+            if (reason) broken.push({ file: page, line: lineOf(match.index), reference, reason });
+        }
+    }
+
+    return { checked, broken };
+}
+
+/**
+ * Broken file paths of one data file
+ * Values are matched in the raw JSON, so each one keeps its line.
+ */
+function checkDataFile(file, context) {
+    const text = fs.readFileSync(path.join(CONFIG.dataDir, file), 'utf8');
+    const lineOf = lineLocator(text);
+    const broken = [];
+    let checked = 0;
+
+    const strings = /"((?:[^"\\]|\\.)*)"/g;
+    let match;
+    while ((match = strings.exec(text)) !== null) {
+        let value;
+        try {
+            value = JSON.parse(match[0]);
+        } catch (error) {
+            continue;
+        }
+        // Keys are followed by a colon; only values are paths
+        if (/^\s*:/.test(text.slice(strings.lastIndex)) || !CONFIG.dataPaths.test(value)) continue;
+
+        checked++;
+        const reason = checkReference(value, 'index.html', context);
+        if (reason) broken.push({ file: `data/${file}`, line: lineOf(match.index), reference: value, reason });
+    }
+
+    return { checked, broken };
+}
+
+/**
+ * Main function: check every page and data file
+ * Returns { checked, files, broken } with broken references in file order.
+ */
+function checkLinks() {
+    let baseUrl = null;
+    try {
+        baseUrl = JSON.parse(fs.readFileSync(path.join(CONFIG.dataDir, 'site.json'), 'utf8')).baseUrl || null;
+    } catch (error) {
+        console.warn(`⚠️  Could not read the site address from site.json: ${error.message}`);
+    }
+    const context = { baseUrl: baseUrl && baseUrl.replace(/\/$/, ''), anchors: new Map() };
+
+    const pages = listPages();
+    const dataFiles = fs.readdirSync(CONFIG.dataDir).filter(file => file.endsWith('.json')).sort();
+    const results = [
+        ...pages.map(page => checkPage(page, context)),
+        ...dataFiles.map(file => checkDataFile(file, context))
+    ];
+
+    return {
+        checked: results.reduce((total, result) => total + result.checked, 0),
+        files: pages.length + dataFiles.length,
+        broken: results.flatMap(result => result.broken)
+    };
+}
+
+// CLI interface
+if (require.main === module) {
+    const command = process.argv[2];
+
+    switch (command) {
+    case 'check':
+    case undefined: {
+        console.log('🔗 Checking links...');
+        const results = checkLinks();
+        results.broken.forEach(link => {
+            console.log(`❌ ${link.file}:${link.line}  ${link.reference}  (${link.reason})`);
+        });
+
+        if (results.broken.length > 0) {
+            const files = new Set(results.broken.map(link => link.file)).size;
+            console.log(`\n❌ ${results.broken.length} broken references in ${files} files ` +
+                `(${results.checked} checked in ${results.files} files)`);
+            process.exitCode = 1;
+        } else {
+            console.log(`✅ All ${results.checked} references resolve (${results.files} files)`);
+        }
+        break;
+    }
+    default:
+        console.log('Usage: node check-links.js [check]');
+    }
+}
+
+module.exports = {
+    CONFIG,
+    checkLinks,
+    checkPage,
+    checkDataFile,
+    resolveReference,
+    listFiles,
+    listPages,
+    lineLocator,
+    markupOnly,
+    decodeEntities
+};
@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+
+/**
+ * Translation Parity Checker for Roman Korol's Website
+ * Pairs each en/ page with its fr/ translation through their hreflang alternates, checks
+ * that the alternates of every page point at each other, and compares the body of each
+ * pair: element ids, publications (DOIs), images, links and the number of sections,
+ * headings and list items. Anything found on one side only is reported with file and line.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listPages, lineLocator, markupOnly, decodeEntities, resolveReference } = require('./check-links');
+
+// Configuration
+const CONFIG = {
+    siteDir: path.join(__dirname, '../..'),
+    siteFile: path.join(__dirname, '../../data/site.json'),
+    // Elements counted on both sides of a pair
+    countedTags: ['section', 'article', 'h2', 'h3', 'h4', 'li', 'img', 'table', 'figure'],
+    // Hand-written and generated bodies sit between these markers; the rest is shared layout
+    bodyStart: '<!-- page-body:start -->',
+    bodyEnd: '<!-- page-body:end -->'
+};
+
+const TAG = /<([a-z][a-z0-9]*)\b([^>]*)>/gi;
+const ATTRIBUTE = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const DOI = /\b10\.\d{4,9}\/[^\s"'<>#?]+/;
+
+/**
+ * Attributes of a tag, by lowercase name
+ */
+function attributesOf(text) {
+    const attributes = {};
+    let match;
+    ATTRIBUTE.lastIndex = 0;
+    while ((match = ATTRIBUTE.exec(text)) !== null) {
+        attributes[match[1].toLowerCase()] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attributes;
+}
+
+/**
+ * A page read once: its tags (outside comments and scripts) with offsets, its body range
+ * and its hreflang alternates
+ */
+function readPage(file, context) {
+    const html = fs.readFileSync(path.join(CONFIG.siteDir, file), 'utf8');
+    const markup = markupOnly(html);
+    const lineOf = lineLocator(html);
+
+    const tags = [];
+    let match;
+    TAG.lastIndex = 0;
+    while ((match = TAG.exec(markup)) !== null) {
+        tags.push({ name: match[1].toLowerCase(), attributes: attributesOf(match[2]), line: lineOf(match.index), offset: match.index });
+    }
+
+    const start = html.indexOf(CONFIG.bodyStart);
+    const end = html.indexOf(CONFIG.bodyEnd);
+    const body = start !== -1 && end > start ?
+        [start, end] :
+        [Math.max(0, markup.search(/<body\b/i)), markup.search(/<\/body>/i) === -1 ? html.length : markup.search(/<\/body>/i)];
+
+    const alternates = tags
+        .filter(tag => tag.name === 'link' && /\balternate\b/i.test(tag.attributes.rel || '') && tag.attributes.hreflang)
+        .map(tag => {
+            const target = resolveReference(tag.attributes.href || '', file, context.baseUrl);
+            return { hreflang: tag.attributes.hreflang, href: tag.attributes.href, file: target && target.file, line: tag.line };
+        });
+
+    return {
+        file,
+        locale: file.split('/')[0],
+        tags: tags.filter(tag => tag.offset >= body[0] && tag.offset < body[1]),
+        alternates
+    };
+}
+
+/**
+ * Pair pages through their alternates and check that the alternates agree
+ * Returns { pairs: [[enPage, frPage]], problems: [{ file, line, message }] }.
+ */
+function pairPages(pages, context) {
+    const byFile = new Map(pages.map(page => [page.file, page]));
+    const problems = [];
+    const pairs = [];
+    const paired = new Set();
+    const [first, ...others] = context.locales;
+
+    pages.forEach(page => {
+        if (page.alternates.length === 0) {
+            problems.push({ file: page.file, line: 1, message: 'no hreflang alternates' });
+            return;
+        }
+
+        const own = page.alternates.find(alternate => alternate.hreflang === page.locale);
+        if (!own) {
+            problems.push({ file: page.file, line: 1, message: `no hreflang="${page.locale}" alternate for the page itself` });
+        } else if (own.file !== page.file) {
+            problems.push({ file: page.file, line: own.line, message: `hreflang="${page.locale}" points to ${own.href}, not to this page` });
+        }
+
+        const fallback = page.alternates.find(alternate => alternate.hreflang === 'x-default');
+        if (fallback && !byFile.has(fallback.file)) {
+            problems.push({ file: page.file, line: fallback.line, message: `hreflang="x-default" points to ${fallback.href}, which does not exist` });
+        }
+
+        context.locales.filter(locale => locale !== page.locale).forEach(locale => {
+            const alternate = page.alternates.find(candidate => candidate.hreflang === locale);
+            if (!alternate) {
+                problems.push({ file: page.file, line: 1, message: `no hreflang="${locale}" alternate` });
+                return;
+            }
+
+            const partner = byFile.get(alternate.file);
+            if (!partner) {
+                problems.push({ file: page.file, line: alternate.line, message: `hreflang="${locale}" points to ${alternate.href}, which does not exist` });
+                return;
+            }
+
+            const back = partner.alternates.find(candidate => candidate.hreflang === page.locale);
+            if (!back || back.file !== page.file) {
+                problems.push({
+                    file: partner.file,
+                    line: back ? back.line : 1,
+                    message: `hreflang="${page.locale}" should point back to ${page.file}` + (back ? `, not ${back.href}` : '')
+                });
+            }
+
+            const partnerFallback = partner.alternates.find(candidate => candidate.hreflang === 'x-default');
+            if (fallback && partnerFallback && fallback.file !== partnerFallback.file && page.locale === first) {
+                problems.push({ file: partner.file, line: partnerFallback.line, message: `hreflang="x-default" differs from ${page.file} (${fallback.href})` });
+            }
+
+            if (page.locale === first && others.includes(locale) && !paired.has(`${page.file} ${partner.file}`)) {
+                paired.add(`${page.file} ${partner.file}`);
+                pairs.push([page, partner]);
+            }
+        });
+    });
+
+    return { pairs, problems };
+}
+
+/**
+ * What a page's body is made of, as lists of { key, line } per kind
+ * Links to a page are keyed by the pair they belong to, so en/team.html and
+ * fr/equipe.html count as the same link.
+ */
+function structureOf(page, context) {
+    const structure = { id: [], publication: [], image: [], link: [], counts: {} };
+    CONFIG.countedTags.forEach(tag => {
+        structure.counts[tag] = 0;
+    });
+
+    page.tags.forEach(tag => {
+        if (tag.name in structure.counts) structure.counts[tag.name]++;
+        if (tag.attributes.id) structure.id.push({ key: `#${tag.attributes.id}`, line: tag.line });
+
+        if (tag.name === 'img' && tag.attributes.src) {
+            const target = resolveReference(tag.attributes.src, page.file, context.baseUrl);
+            structure.image.push({ key: target ? target.file : tag.attributes.src, line: tag.line });
+        }
+
+        const href = tag.name === 'a' ? tag.attributes.href : null;
+        if (!href || /^javascript:/i.test(href)) return;
+
+        const doi = href.match(DOI);
+        if (doi) structure.publication.push({ key: doi[0].toLowerCase(), line: tag.line });
+
+        const target = resolveReference(href, page.file, context.baseUrl);
+        let key = href;
+        if (target) {
+            // Per-locale files with the same name (events.ics, feed.rss) also match
+            const [folder, ...rest] = target.file.split('/');
+            const file = context.pairKey.get(target.file) ||
+                (context.locales.includes(folder) && rest.length > 0 ? `{locale}/${rest.join('/')}` : target.file);
+            key = file + (target.fragment ? `#${target.fragment}` : '');
+        }
+        structure.link.push({ key, line: tag.line });
+    });
+
+    return structure;
+}
+
+/**
+ * Entries of `ours` with no counterpart in `theirs`, keeping repeats: a link that
+ * appears twice on one side and once on the other is reported once
+ */
+function unmatched(ours, theirs) {
+    const remaining = new Map();
+    theirs.forEach(entry => remaining.set(entry.key, (remaining.get(entry.key) || 0) + 1));
+    return ours.filter(entry => {
+        const count = remaining.get(entry.key) || 0;
+        if (count > 0) remaining.set(entry.key, count - 1);
+        return count === 0;
+    });
+}
+
+/**
+ * Differences between the two pages of a pair
+ */
+function comparePair([left, right], context) {
+    const sides = [left, right].map(page => ({ page, structure: structureOf(page, context) }));
+    const differences = [];
+
+    ['id', 'publication', 'image', 'link'].forEach(kind => {
+        sides.forEach((side, index) => {
+            const other = sides[1 - index];
+            unmatched(side.structure[kind], other.structure[kind]).forEach(entry => {
+                differences.push({
+                    file: side.page.file,
+                    line: entry.line,
+                    message: `${kind} ${entry.key} is missing from ${other.page.file}`
+                });
+            });
+        });
+    });
+
+    CONFIG.countedTags.forEach(tag => {
+        const [ours, theirs] = sides.map(side => side.structure.counts[tag]);
+        if (ours !== theirs) {
+            differences.push({
+                file: left.file,
+                line: null,
+                message: `<${tag}> count differs: ${ours} in ${left.file}, ${theirs} in ${right.file}`
+            });
+        }
+    });
+
+    return differences;
+}
+
+/**
+ * Main function: pair the pages of every locale and compare each pair
+ * Returns { pages, pairs: [{ files, differences }], problems }, or null when
+ * site.json cannot be read.
+ */
+function checkParity() {
+    let site;
+    try {
+        site = JSON.parse(fs.readFileSync(CONFIG.siteFile, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Could not read ${CONFIG.siteFile}: ${error.message}`);
+        return null;
+    }
+
+    const locales = Object.keys(site.locales || {});
+    const baseUrl = site.baseUrl ? site.baseUrl.replace(/\/$/, '') : null;
+    const context = { baseUrl, locales, pairKey: new Map() };
+
+    const pages = listPages()
+        .filter(file => locales.includes(file.split('/')[0]))
+        .map(file => readPage(file, context));
+    const { pairs, problems } = pairPages(pages, context);
+
+    // Both pages of a pair are keyed by the first locale's file
+    pairs.forEach(([left, right]) => {
+        context.pairKey.set(left.file, left.file);
+        context.pairKey.set(right.file, left.file);
+    });
+
+    return {
+        pages: pages.length,
+        problems,
+        pairs: pairs.map(pair => ({ files: pair.map(page => page.file), differences: comparePair(pair, context) }))
+    };
+}
+
+// CLI interface
+if (require.main === module) {
+    const command = process.argv[2];
+
+    switch (command) {
+    case 'check':
+    case undefined: {
+        console.log('🌐 Checking translation parity...');
+        const results = checkParity();
+        if (!results) {
+            process.exitCode = 1;
+            break;
+        }
+
+        results.problems.forEach(problem => {
+            console.log(`❌ ${problem.file}:${problem.line}  ${problem.message}`);
+        });
+
+        const drifted = results.pairs.filter(pair => pair.differences.length > 0);
+        drifted.forEach(pair => {
+            console.log(`\n🔍 ${pair.files.join(' ↔ ')}`);
+            pair.differences.forEach(difference => {
+                const location = difference.line ? `${difference.file}:${difference.line}  ` : '';
+                console.log(`   ⚠️  ${location}${difference.message}`);
+            });
+        });
+
+        const differences = drifted.reduce((total, pair) => total + pair.differences.length, 0);
+        console.log(`\n📊 ${results.pages} pages, ${results.pairs.length} pairs: ` +
+            `${results.problems.length} hreflang problems, ${differences} differences in ${drifted.length} pairs`);
+        if (results.problems.length > 0 || differences > 0) {
+            process.exitCode = 1;
+        } else {
+            console.log('✅ Every page has a matching translation');
+        }
+        break;
+    }
+    default:
+        console.log('Usage: node check-parity.js [check]');
+    }
+}
+
+module.exports = {
+    CONFIG,
+    checkParity,
+    pairPages,
+    comparePair,
+    structureOf
+};
@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+
+/**
+ * Reference Integrity Checks for Roman Korol's Website
+ * Cross-checks the data files against each other and against the images/ and pdf/
+ * folders: paths to files that do not exist, ids used twice (in one file or across
+ * files), a DOI given to publications with different titles, awards missing from
+ * `award_types`, and files nothing refers to. Each problem comes with a suggested fix,
+ * such as the nearest existing file name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listFiles, listPages, lineLocator } = require('./check-links');
+const { pointerOffsets } = require('./validate-data');
+
+// Configuration
+const CONFIG = {
+    siteDir: path.join(__dirname, '../..'),
+    dataDir: path.join(__dirname, '../../data'),
+    // Folders of files the data refers to by path
+    assetDirs: ['images', 'pdf'],
+    // Besides the pages and data files, where images and PDFs may be used
+    sourceDirs: ['content/templates', 'assets/css', 'assets/js', 'assets/sass', 'make_pdf'],
+    sourceFiles: /\.(html|css|scss|js|json|tex|xml)$/,
+    // Notes kept next to the files, which nothing links to
+    ignoredFiles: /(^|\/)\.|\.(txt|md)$/i
+};
+
+/**
+ * Number of single-character edits between two strings
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Closest candidate to a value, ignoring case, or null when none is close
+ * A candidate is close within a third of the value's length (at least two edits).
+ */
+function nearestMatch(value, candidates) {
+    const target = value.toLowerCase();
+    let best = null;
+    let bestDistance = Math.max(2, Math.floor(value.length / 3)) + 1;
+    candidates.forEach(candidate => {
+        const distance = editDistance(target, candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+/**
+ * Closest existing file to a missing path: one in the same folder, or any with the
+ * same name elsewhere
+ */
+function nearestFile(reference, files) {
+    const folder = path.posix.dirname(reference);
+    const name = path.posix.basename(reference);
+    const inFolder = files.filter(file => path.posix.dirname(file) === folder);
+    const match = nearestMatch(name, inFolder.map(file => path.posix.basename(file)));
+    if (match) return path.posix.join(folder, match);
+    return files.find(file => path.posix.basename(file).toLowerCase() === name.toLowerCase()) || null;
+}
+
+/**
+ * Every string value of parsed JSON, with its JSON pointer and the object holding it
+ */
+function walkStrings(value, pointer, visit, parent = null) {
+    if (typeof value === 'string') {
+        visit(value, pointer, parent);
+    } else if (Array.isArray(value)) {
+        value.forEach((item, index) => walkStrings(item, `${pointer}/${index}`, visit, value));
+    } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, item]) => {
+            walkStrings(item, `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`, visit, value);
+        });
+    }
+}
+
+/**
+ * Data files parsed, with a line lookup by JSON pointer
+ * Files that are not JSON are skipped: the schema check reports them.
+ */
+function loadDataFiles() {
+    return fs.readdirSync(CONFIG.dataDir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .flatMap(file => {
+            const text = fs.readFileSync(path.join(CONFIG.dataDir, file), 'utf8');
+            try {
+                const offsets = pointerOffsets(text).values;
+                const lineOf = lineLocator(text);
+                return [{ file: `data/${file}`, text, data: JSON.parse(text), lineOf: pointer => lineOf(offsets.get(pointer) || 0) }];
+            } catch (error) {
+                return [];
+            }
+        });
+}
+
+/**
+ * Paths to missing files in images/ and pdf/, with the nearest existing file
+ */
+function checkPaths(dataFiles, assets) {
+    const existing = new Set(assets);
+    const folders = new RegExp(`^(${CONFIG.assetDirs.join('|')})/`);
+    const issues = [];
+    dataFiles.forEach(({ file, data, lineOf }) => {
+        walkStrings(data, '', (value, pointer) => {
+            if (!folders.test(value)) return;
+            const reference = decodeURI(value.replace(/[?#].*$/, ''));
+            if (existing.has(reference)) return;
+            const nearest = nearestFile(reference, assets);
+            issues.push({
+                rule: 'dangling-reference',
+                file,
+                line: lineOf(pointer),
+                pointer,
+                message: `${value} does not exist`,
+                suggestion: nearest ? `did you mean ${nearest}?` : `add the file to ${path.posix.dirname(reference)}/`
+            });
+        });
+    });
+    return issues;
+}
+
+/**
+ * Ids given to more than one item, in one data file or across them
+ * Each id is reported where it is used again, with a free id to rename it to.
+ */
+function checkIds(dataFiles) {
+    const seen = new Map();
+    const issues = [];
+    dataFiles.forEach(({ file, data, lineOf }) => {
+        walkStrings(data, '', (value, pointer, parent) => {
+            if (!pointer.endsWith('/id') || Array.isArray(parent)) return;
+            if (!seen.has(value)) {
+                seen.set(value, { file, pointer });
+                return;
+            }
+            const first = seen.get(value);
+            let free = 2;
+            while (seen.has(`${value}-${free}`)) free++;
+            issues.push({
+                rule: 'duplicate-id',
+                file,
+                line: lineOf(pointer),
+                pointer,
+                message: `id "${value}" is already used by ${first.file === file ? '' : `${first.file} `}${first.pointer.replace(/\/id$/, '')}`,
+                suggestion: `rename it, e.g. to "${value}-${free}"`
+            });
+        });
+    });
+    return issues;
+}
+
+/**
+ * "https://doi.org/10.1063/ABC" -> "10.1063/abc"; DOIs are case-insensitive
+ */
+function normalizeDoi(doi) {
+    return doi.trim().replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:)/i, '').toLowerCase();
+}
+
+/**
+ * Publication checks: a DOI shared by publications with different titles (the same
+ * title is a duplicate publication, reported by validate), and unknown awards
+ */
+function checkPublications(dataFiles) {
+    const publicationsFile = dataFiles.find(({ file }) => file === 'data/publications.json');
+    if (!publicationsFile) return [];
+    const { file, data, lineOf } = publicationsFile;
+    const awardTypes = Object.keys(data.award_types || {});
+    const dois = new Map();
+    const issues = [];
+
+    (data.publications || []).forEach((publication, index) => {
+        if (publication.doi) {
+            const doi = normalizeDoi(publication.doi);
+            const first = dois.get(doi);
+            const title = String(publication.title || '').toLowerCase();
+            if (!first) {
+                dois.set(doi, { publication, index });
+            } else if (String(first.publication.title || '').toLowerCase() !== title) {
+                issues.push({
+                    rule: 'duplicate-doi',
+                    file,
+                    line: lineOf(`/publications/${index}/doi`),
+                    pointer: `/publications/${index}/doi`,
+                    message: `DOI ${publication.doi} is also the DOI of ${first.publication.id}, which has another title`,
+                    suggestion: 'check the DOI on the publisher\'s page'
+                });
+            }
+        }
+
+        (publication.awards || []).forEach((award, position) => {
+            if (awardTypes.includes(award)) return;
+            const nearest = nearestMatch(award, awardTypes);
+            const pointer = `/publications/${index}/awards/${position}`;
+            issues.push({
+                rule: 'unknown-award',
+                file,
+                line: lineOf(pointer),
+                pointer,
+                message: `Publication ${publication.id}: unknown award "${award}"`,
+                suggestion: nearest ? `did you mean "${nearest}"?` : 'add it to award_types'
+            });
+        });
+    });
+    return issues;
+}
+
+/**
+ * Files in images/ and pdf/ that no page, template, stylesheet, script or data file
+ * refers to
+ */
+function checkOrphans(dataFiles, assets) {
+    const sources = [
+        ...listPages(),
+        ...CONFIG.sourceDirs.flatMap(listFiles).filter(file => CONFIG.sourceFiles.test(file))
+    ];
+    const text = [
+        ...dataFiles.map(({ text: data }) => data),
+        ...sources.map(file => fs.readFileSync(path.join(CONFIG.siteDir, file), 'utf8'))
+    ].join('\n');
+
+    return assets
+        .filter(file => !CONFIG.ignoredFiles.test(file))
+        .filter(file => !text.includes(file) && !text.includes(encodeURI(file)))
+        .map(file => ({
+            rule: 'orphaned-file',
+            file,
+            line: null,
+            pointer: null,
+            message: 'not used by any page, template, stylesheet, script or data file',
+            suggestion: 'delete it, or refer to it from the data'
+        }));
+}
+
+/**
+ * Main function: every reference problem, as { rule, file, line, pointer, message,
+ * suggestion }
+ * Rules: dangling-reference, duplicate-id, duplicate-doi, unknown-award and
+ * orphaned-file.
+ */
+function checkReferences() {
+    const dataFiles = loadDataFiles();
+    const assets = CONFIG.assetDirs.flatMap(listFiles).sort();
+    return [
+        ...checkPaths(dataFiles, assets),
+        ...checkIds(dataFiles),
+        ...checkPublications(dataFiles),
+        ...checkOrphans(dataFiles, assets)
+    ];
+}
+
+// CLI interface
+if (require.main === module) {
+    const command = process.argv[2];
+
+    switch (command) {
+    case 'check':
+    case undefined: {
+        console.log('🧷 Checking references between data files, images and PDFs...');
+        const issues = checkReferences();
+        const orphans = issues.filter(issue => issue.rule === 'orphaned-file');
+        const problems = issues.filter(issue => issue.rule !== 'orphaned-file');
+        problems.forEach(issue => {
+            console.log(`❌ ${issue.file}:${issue.line}  ${issue.pointer}  ${issue.message} (${issue.suggestion})`);
+        });
+        orphans.forEach(issue => console.log(`⚠️  ${issue.file}  ${issue.message}`));
+
+        if (problems.length > 0) {
+            console.log(`\n❌ ${problems.length} reference problems, ${orphans.length} unused files`);
+            process.exitCode = 1;
+        } else {
+            console.log(`✅ Every reference resolves (${orphans.length} unused files)`);
+        }
+        break;
+    }
+    default:
+        console.log('Usage: node check-references.js [check]');
+    }
+}
+
+module.exports = {
+    CONFIG,
+    checkReferences,
+    editDistance,
+    nearestMatch,
+    normalizeDoi
+};
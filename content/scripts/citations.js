@@ -0,0 +1,325 @@
+/**
+ * Citation Export for Roman Korol's Website
+ * Formats publications.json entries as BibTeX, RIS and CSL-JSON. The citation key is
+ * the publication `id`, so it stays the same from one build to the next.
+ */
+
+const { plainText, sanitizeHtml } = require('./sanitize');
+
+// Export formats, in the order they are offered on the page
+const CITATION_FORMATS = [
+    { key: 'bibtex', label: 'BibTeX', extension: 'bib', type: 'application/x-bibtex' },
+    { key: 'ris', label: 'RIS', extension: 'ris', type: 'application/x-research-info-systems' },
+    { key: 'csl', label: 'CSL-JSON', extension: 'json', type: 'application/vnd.citationstyles.csl+json' }
+];
+
+// Entry types by publication `type`
+const TYPES = {
+    journal: { bibtex: 'article', container: 'journal', ris: 'JOUR', csl: 'article-journal' },
+    conference: { bibtex: 'inproceedings', container: 'booktitle', ris: 'CPAPER', csl: 'paper-conference' },
+    preprint: { bibtex: 'misc', container: 'howpublished', ris: 'UNPB', csl: 'article' },
+    chapter: { bibtex: 'incollection', container: 'booktitle', ris: 'CHAP', csl: 'chapter' },
+    thesis: { bibtex: 'phdthesis', container: 'school', ris: 'THES', csl: 'thesis' }
+};
+
+// Wording of unpublished statuses, for BibTeX notes and the CSL status
+const STATUS_NOTES = {
+    submitted: 'Submitted',
+    in_preparation: 'In preparation'
+};
+
+const NAME_SUFFIX = /^(Jr\.?|Sr\.?|II|III|IV)$/;
+
+// Characters with a meaning in LaTeX
+const LATEX_SPECIAL = {
+    '\\': '\\textbackslash{}',
+    '{': '\\{',
+    '}': '\\}',
+    '#': '\\#',
+    '$': '\\$',
+    '%': '\\%',
+    '&': '\\&',
+    '_': '\\_',
+    '~': '\\textasciitilde{}',
+    '^': '\\textasciicircum{}',
+    '<': '\\textless{}',
+    '>': '\\textgreater{}'
+};
+
+// Characters that LaTeX writes as a command or ligature
+const LATEX_SYMBOLS = {
+    '\u00a0': '~',
+    '–': '--',
+    '—': '---',
+    '‘': '`',
+    '’': '\'',
+    '“': '``',
+    '”': '\'\'',
+    '…': '\\ldots{}',
+    '°': '\\textdegree{}',
+    '±': '$\\pm$',
+    '×': '$\\times$',
+    'µ': '$\\mu$',
+    'ß': '{\\ss}',
+    'æ': '{\\ae}',
+    'Æ': '{\\AE}',
+    'œ': '{\\oe}',
+    'Œ': '{\\OE}',
+    'ø': '{\\o}',
+    'Ø': '{\\O}',
+    'å': '{\\aa}',
+    'Å': '{\\AA}',
+    'ł': '{\\l}',
+    'Ł': '{\\L}',
+    'ı': '{\\i}',
+    'α': '$\\alpha$',
+    'β': '$\\beta$',
+    'γ': '$\\gamma$',
+    'δ': '$\\delta$',
+    'Δ': '$\\Delta$',
+    'ε': '$\\epsilon$',
+    'λ': '$\\lambda$',
+    'μ': '$\\mu$',
+    'π': '$\\pi$',
+    'σ': '$\\sigma$',
+    'τ': '$\\tau$',
+    'ω': '$\\omega$',
+    'Ω': '$\\Omega$'
+};
+
+// Combining marks and the accent commands that produce them
+const LATEX_ACCENTS = {
+    '\u0300': '`',
+    '\u0301': '\'',
+    '\u0302': '^',
+    '\u0303': '~',
+    '\u0304': '=',
+    '\u0306': 'u',
+    '\u0307': '.',
+    '\u0308': '"',
+    '\u030a': 'r',
+    '\u030b': 'H',
+    '\u030c': 'v',
+    '\u0327': 'c',
+    '\u0328': 'k'
+};
+
+// Markup kept in rich fields, and its LaTeX and CSL equivalents
+const RICH_TAGS = { i: [], em: [], b: [], strong: [], sub: [], sup: [] };
+const LATEX_TAGS = {
+    i: '\\textit{',
+    em: '\\textit{',
+    b: '\\textbf{',
+    strong: '\\textbf{',
+    sub: '\\textsubscript{',
+    sup: '\\textsuperscript{'
+};
+
+/**
+ * Encode one character for LaTeX: specials are escaped, accented letters become
+ * accent commands ("é" -> "{\'e}", "í" -> "{\'\i}", "ç" -> "{\c{c}}")
+ */
+function latexChar(char) {
+    if (LATEX_SPECIAL[char]) return LATEX_SPECIAL[char];
+    if (LATEX_SYMBOLS[char]) return LATEX_SYMBOLS[char];
+
+    const [base, ...marks] = char.normalize('NFD');
+    if (marks.length === 0 || !marks.every(mark => LATEX_ACCENTS[mark])) return char;
+
+    // Accents go on the dotless i and j
+    const letter = base === 'i' || base === 'j' ? `\\${base}` : base;
+    return `{${marks.reduce((text, mark) => {
+        const command = LATEX_ACCENTS[mark];
+        return /[a-z]/i.test(command) ? `\\${command}{${text}}` : `\\${command}${text}`;
+    }, letter)}}`;
+}
+
+/**
+ * Encode plain text for LaTeX
+ * With `protect`, words with a capital after their first letter (DNA, ZnO) are
+ * braced so bibliography styles that lowercase titles keep them as written.
+ */
+function latexText(text, protect = false) {
+    const encoded = word => Array.from(word.normalize('NFC')).map(latexChar).join('');
+    return String(text).split(/([\p{L}\p{N}]+)/u).map((part, index) => {
+        if (index % 2 === 0) return encoded(part);
+        return protect && /\p{Lu}/u.test(part.slice(1)) ? `{${encoded(part)}}` : encoded(part);
+    }).join('');
+}
+
+/**
+ * Encode a rich field (a title with CH<sub>4</sub>) for LaTeX
+ */
+function latexRich(html, protect = false) {
+    const { html: clean } = sanitizeHtml(html, { allowedTags: RICH_TAGS });
+    // plainText trims; keep the spaces around tags
+    const text = part => `${/^\s/.test(part) ? ' ' : ''}${plainText(part)}${/\S\s+$/.test(part) ? ' ' : ''}`;
+
+    return clean.split(/(<\/?[a-z]+>)/).map((part, index) => {
+        if (index % 2 === 0) return latexText(text(part), protect);
+        return part[1] === '/' ? '}' : LATEX_TAGS[part.slice(1, -1)];
+    }).join('').trim();
+}
+
+/**
+ * Family name, given names (as initials with periods) and suffix of an author as
+ * written in publications.json: "T F Miller III", "RV Korol", "L.E. Longobardi"
+ */
+function parseName(author) {
+    const text = plainText(author);
+    if (text.includes(',')) {
+        const [family, ...rest] = text.split(',').map(part => part.trim());
+        return rest.length > 1 ?
+            { family, given: rest[1], suffix: rest[0] } :
+            { family, given: rest[0] || '', suffix: '' };
+    }
+
+    const words = text.split(/\s+/).filter(Boolean);
+    const suffix = words.length > 1 && NAME_SUFFIX.test(words[words.length - 1]) ? words.pop() : '';
+    const family = [words.pop()];
+    // Particles such as "van der" belong to the family name
+    while (words.length > 0 && /^\p{Ll}/u.test(words[words.length - 1])) family.unshift(words.pop());
+
+    const given = words.flatMap(word => {
+        if (/^\p{Lu}{1,3}$/u.test(word)) return Array.from(word).map(initial => `${initial}.`);
+        if (/^(\p{Lu}\.)+$/u.test(word)) return word.match(/\p{Lu}\./gu);
+        return [word];
+    }).join(' ');
+
+    return { family: family.join(' '), given, suffix };
+}
+
+/**
+ * "Family, Given" or, with a suffix, "Family, Suffix, Given" (BibTeX) or
+ * "Family, Given, Suffix" (RIS)
+ */
+function invertedName(name, style) {
+    if (!name.suffix) return name.given ? `${name.family}, ${name.given}` : name.family;
+    return style === 'bibtex' ?
+        `${name.family}, ${name.suffix}, ${name.given}` :
+        `${name.family}, ${name.given}, ${name.suffix}`;
+}
+
+/**
+ * First and last page of a range ("2747-2764"); article numbers have no last page
+ */
+function pageRange(pages) {
+    const [first, last] = String(pages || '').split(/\s*[-–]+\s*/);
+    return { first: first || '', last: last || '' };
+}
+
+/**
+ * BibTeX entries for a list of publications, in order
+ */
+function toBibtex(publications) {
+    return publications.map(pub => {
+        const type = TYPES[pub.type] || TYPES.journal;
+        const pages = pageRange(pub.pages);
+        const fields = [
+            ['author', pub.authors.map(author => latexText(invertedName(parseName(author), 'bibtex'))).join(' and ')],
+            ['title', latexRich(pub.title, true)],
+            [type.container, pub.journal ? latexText(plainText(pub.journal)) : ''],
+            ['year', pub.year],
+            ['volume', pub.volume],
+            ['number', pub.issue],
+            ['pages', pages.last ? `${pages.first}--${pages.last}` : pages.first],
+            ['doi', pub.doi],
+            ['url', pub.doi ? `https://doi.org/${pub.doi}` : pub.url],
+            ['note', STATUS_NOTES[pub.status]],
+            ['abstract', pub.abstract ? latexRich(pub.abstract) : '']
+        ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+        return `@${type.bibtex}{${pub.id},\n${fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n')}\n}\n`;
+    }).join('\n');
+}
+
+/**
+ * RIS records for a list of publications, in order
+ */
+function toRis(publications) {
+    return publications.map(pub => {
+        const type = TYPES[pub.type] || TYPES.journal;
+        const pages = pageRange(pub.pages);
+        const lines = [
+            ['TY', type.ris],
+            ['ID', pub.id],
+            ...pub.authors.map(author => ['AU', invertedName(parseName(author), 'ris')]),
+            ['TI', plainText(pub.title)],
+            ['T2', pub.journal ? plainText(pub.journal) : ''],
+            ['PY', pub.year],
+            ['VL', pub.volume],
+            ['IS', pub.issue],
+            ['SP', pages.first],
+            ['EP', pages.last],
+            ['DO', pub.doi],
+            ['UR', pub.doi ? `https://doi.org/${pub.doi}` : pub.url],
+            ['N1', STATUS_NOTES[pub.status]],
+            ['AB', pub.abstract ? plainText(pub.abstract) : ''],
+            ['ER', '']
+        ].filter(([tag, value]) => tag === 'ER' || (value !== undefined && value !== null && value !== ''));
+
+        return lines.map(([tag, value]) => `${tag}  - ${value}`).join('\n') + '\n';
+    }).join('\n');
+}
+
+/**
+ * CSL-JSON items for a list of publications, as read by Zotero, Pandoc and citeproc
+ * Titles keep their sub/superscripts as CSL rich text.
+ */
+function toCslJson(publications) {
+    const rich = html => sanitizeHtml(html, { allowedTags: RICH_TAGS }).html.replace(/<(\/?)strong>/g, '<$1b>').replace(/<(\/?)em>/g, '<$1i>');
+    const items = publications.map(pub => {
+        const type = TYPES[pub.type] || TYPES.journal;
+        return {
+            id: pub.id,
+            type: type.csl,
+            title: rich(pub.title),
+            author: pub.authors.map(author => {
+                const name = parseName(author);
+                return name.suffix ? name : { family: name.family, given: name.given };
+            }),
+            'container-title': pub.journal ? plainText(pub.journal) : undefined,
+            issued: { 'date-parts': [[pub.year]] },
+            volume: pub.volume ? String(pub.volume) : undefined,
+            issue: pub.issue ? String(pub.issue) : undefined,
+            page: pub.pages ? String(pub.pages) : undefined,
+            DOI: pub.doi,
+            URL: pub.doi ? `https://doi.org/${pub.doi}` : pub.url,
+            status: STATUS_NOTES[pub.status],
+            abstract: pub.abstract ? plainText(pub.abstract) : undefined
+        };
+    });
+    return `${JSON.stringify(items, null, 2)}\n`;
+}
+
+/**
+ * Render publications in one of CITATION_FORMATS
+ */
+function formatCitations(publications, format) {
+    switch (format) {
+    case 'bibtex':
+        return toBibtex(publications);
+    case 'ris':
+        return toRis(publications);
+    case 'csl':
+        return toCslJson(publications);
+    default:
+        throw new Error(`Unknown citation format "${format}"`);
+    }
+}
+
+module.exports = {
+    CITATION_FORMATS,
+    LATEX_SPECIAL,
+    LATEX_SYMBOLS,
+    LATEX_ACCENTS,
+    LATEX_TAGS,
+    latexText,
+    latexRich,
+    parseName,
+    pageRange,
+    toBibtex,
+    toRis,
+    toCslJson,
+    formatCitations
+};
@@ -8,6 +8,8 @@
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const { LOCALES, DEFAULT_LOCALE, localizeValue } = require('./localize');
+const { DEFAULT_TIME_ZONE, validateEvents } = require('./events');
 
 // Configuration
 const CONFIG = {
@@ -28,6 +30,20 @@ function prompt(question) {
     });
 }
 
+/**
+ * Prompt for a text in every locale; only the default locale is required
+ * Returns `{ en, fr }` with the untranslated locales left out (they fall back to English)
+ */
+async function promptLocalized(question) {
+    const value = {};
+    for (const locale of LOCALES) {
+        const optional = locale === DEFAULT_LOCALE ? '' : ', optional';
+        const answer = await prompt(`${question} (${locale}${optional}): `);
+        if (answer) value[locale] = answer;
+    }
+    return value;
+}
+
 /**
  * Load and display current data
  */
@@ -73,7 +89,7 @@ async function addPublication() {
         journal: await prompt('Journal: '),
         year: parseInt(await prompt('Year: ')),
         doi: await prompt('DOI (optional): ') || null,
-        abstract: await prompt('Abstract: '),
+        abstract: await promptLocalized('Abstract'),
         type: await prompt('Type (journal/conference/preprint): ') || 'journal',
         status: await prompt('Status (published/submitted/in_preparation): ') || 'published'
     };
@@ -102,11 +118,11 @@ async function addNewsItem() {
 
     const newsItem = {
         id: await prompt('News ID (e.g., 2024-09-conference): '),
-        title: await prompt('Title: '),
+        title: await promptLocalized('Title'),
         date: await prompt('Date (YYYY-MM-DD): '),
         category: await prompt('Category (academic/research/personal/awards/outreach): ') || 'academic',
-        summary: await prompt('Summary: '),
-        content: await prompt('Full content: '),
+        summary: await promptLocalized('Summary'),
+        content: await promptLocalized('Full content'),
         featured: (await prompt('Featured? (y/n): ')).toLowerCase() === 'y',
         tags: (await prompt('Tags (comma-separated): ')).split(',').map(t => t.trim()).filter(t => t)
     };
@@ -121,7 +137,7 @@ async function addNewsItem() {
 
     // Save
     if (saveData('news.json', newsData)) {
-        console.log(`✅ Added news item: ${newsItem.title}`);
+        console.log(`✅ Added news item: ${localizeValue(newsItem.title, DEFAULT_LOCALE)}`);
     }
 }
 
@@ -175,7 +191,7 @@ async function addResource() {
 
     console.log('\nAvailable sections:');
     Object.keys(resourcesData.sections).forEach((key, index) => {
-        console.log(`${index + 1}. ${resourcesData.sections[key].title} (${key})`);
+        console.log(`${index + 1}. ${localizeValue(resourcesData.sections[key].title, DEFAULT_LOCALE)} (${key})`);
     });
 
     const sectionKey = await prompt('\nSection key: ');
@@ -185,9 +201,9 @@ async function addResource() {
     }
 
     const resource = {
-        title: await prompt('Resource title: '),
+        title: await promptLocalized('Resource title'),
         type: await prompt('Type (course/tutorial/tool/database/educational): '),
-        description: await prompt('Description: '),
+        description: await promptLocalized('Description'),
         links: []
     };
 
@@ -209,7 +225,69 @@ async function addResource() {
     resourcesData.last_updated = new Date().toISOString().split('T')[0];
 
     if (saveData('resources.json', resourcesData)) {
-        console.log(`✅ Added resource to ${sectionKey}: ${resource.title}`);
+        console.log(`✅ Added resource to ${sectionKey}: ${localizeValue(resource.title, DEFAULT_LOCALE)}`);
+    }
+}
+
+/**
+ * Add event
+ * The new event is checked together with the existing ones and is not saved if its
+ * times are impossible or it overlaps another event.
+ */
+async function addEvent() {
+    console.log('\n📅 Adding Event');
+    console.log('=' .repeat(30));
+
+    const eventsData = loadAndDisplayData('events.json');
+    if (!eventsData) return;
+
+    const event = {
+        id: await prompt('Event ID (e.g., 2026-11-invited-talk): '),
+        type: await prompt(`Type (${Object.keys(eventsData.types).join('/')}): `) || 'seminar',
+        title: await promptLocalized('Title'),
+        start: await prompt('Start (YYYY-MM-DDTHH:mm, or YYYY-MM-DD for all day): ')
+    };
+
+    const end = await prompt('End (same format, optional): ');
+    if (end) event.end = end;
+    event.timeZone = await prompt(`Time zone (default ${DEFAULT_TIME_ZONE}): `) || DEFAULT_TIME_ZONE;
+
+    const location = await promptLocalized('Location');
+    if (Object.keys(location).length > 0) event.location = location;
+    const speaker = await prompt('Speaker (optional): ');
+    if (speaker) event.speaker = speaker;
+    const description = await promptLocalized('Description');
+    if (Object.keys(description).length > 0) event.description = description;
+    const url = await prompt('URL (optional): ');
+    if (url) event.url = url;
+
+    const frequency = await prompt('Repeats (daily/weekly/monthly/yearly, empty for once): ');
+    if (frequency) {
+        event.recurrence = { frequency };
+        const interval = parseInt(await prompt('Every how many? (default 1): '));
+        if (interval > 1) event.recurrence.interval = interval;
+        if (frequency === 'weekly') {
+            const days = (await prompt('Days (MO,TU,WE,TH,FR,SA,SU; empty for the start day): '))
+                .split(',').map(day => day.trim().toUpperCase()).filter(day => day);
+            if (days.length > 0) event.recurrence.byDay = days;
+        }
+        const until = await prompt('Until (YYYY-MM-DD, optional): ');
+        if (until) event.recurrence.until = until;
+    }
+
+    const issues = validateEvents([...eventsData.events, event], { types: eventsData.types })
+        .filter(issue => issue.ids.includes(event.id));
+    if (issues.length > 0) {
+        console.log('❌ Event not saved:');
+        issues.forEach(issue => console.log(`   - ${issue.message}`));
+        return;
+    }
+
+    eventsData.events.unshift(event);
+    eventsData.last_updated = new Date().toISOString().split('T')[0];
+
+    if (saveData('events.json', eventsData)) {
+        console.log(`✅ Added event: ${localizeValue(event.title, DEFAULT_LOCALE)}`);
     }
 }
 
@@ -220,7 +298,7 @@ function listContent() {
     console.log('\n📋 Content Overview');
     console.log('=' .repeat(30));
 
-    const files = ['personal.json', 'publications.json', 'news.json', 'resources.json', 'activities.json'];
+    const files = ['personal.json', 'publications.json', 'news.json', 'events.json', 'openings.json', 'team.json', 'resources.json', 'activities.json'];
 
     files.forEach(file => {
         const data = loadAndDisplayData(file);
@@ -229,6 +307,12 @@ function listContent() {
                 console.log(`📚 Publications: ${data.publications.length} items`);
             } else if (file === 'news.json') {
                 console.log(`📰 News: ${data.news.length} items`);
+            } else if (file === 'events.json') {
+                console.log(`📅 Events: ${data.events.length} items`);
+            } else if (file === 'openings.json') {
+                console.log(`💼 Openings: ${data.openings.length} items`);
+            } else if (file === 'team.json') {
+                console.log(`👥 Team: ${data.members.length} members`);
             } else if (file === 'resources.json') {
                 const totalResources = Object.values(data.sections)
                     .reduce((total, section) => total + section.resources.length, 0);
@@ -255,7 +339,7 @@ function backupContent() {
     const backupPath = path.join(backupDir, `backup-${timestamp}`);
     fs.mkdirSync(backupPath);
 
-    const files = ['personal.json', 'publications.json', 'news.json', 'resources.json', 'activities.json'];
+    const files = ['personal.json', 'publications.json', 'news.json', 'events.json', 'openings.json', 'team.json', 'resources.json', 'activities.json'];
 
     files.forEach(file => {
         const sourcePath = path.join(CONFIG.dataDir, file);
@@ -280,12 +364,13 @@ async function showMainMenu() {
     console.log('2. Add News Item');
     console.log('3. Edit Personal Info');
     console.log('4. Add Resource');
-    console.log('5. List All Content');
-    console.log('6. Backup Content');
-    console.log('7. Exit');
+    console.log('5. Add Event');
+    console.log('6. List All Content');
+    console.log('7. Backup Content');
+    console.log('8. Exit');
     console.log('=' .repeat(40));
 
-    const choice = await prompt('Choose an option (1-7): ');
+    const choice = await prompt('Choose an option (1-8): ');
 
     switch (choice) {
         case '1':
@@ -301,12 +386,15 @@ async function showMainMenu() {
             await addResource();
             break;
         case '5':
-            listContent();
+            await addEvent();
             break;
         case '6':
-            backupContent();
+            listContent();
             break;
         case '7':
+            backupContent();
+            break;
+        case '8':
             console.log('👋 Goodbye!');
             rl.close();
             return;
@@ -329,6 +417,7 @@ module.exports = {
     addNewsItem,
     editPersonalInfo,
     addResource,
+    addEvent,
     listContent,
     backupContent
 };
\ No newline at end of file
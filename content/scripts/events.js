@@ -0,0 +1,571 @@
+/**
+ * Events for Roman Korol's Website
+ * Event times are wall-clock times in the event's own time zone
+ * ("start": "2026-09-09T10:00", "timeZone": "America/Toronto"). This module turns them
+ * into instants, expands recurring events, validates them and writes iCalendar (RFC 5545).
+ */
+
+const DEFAULT_TIME_ZONE = 'America/Toronto';
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Recurring events without `until` or `count` are expanded this far past their start
+const OPEN_ENDED_YEARS = 2;
+const MAX_OCCURRENCES = 5000;
+
+const LOCAL_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+const formatters = new Map();
+
+/**
+ * Parse "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm[:ss]" as a wall-clock time
+ * Returns `{ wall, allDay }`, where `wall` is the time read on a UTC clock, or null
+ * when the value is malformed or not a real date and time (2026-02-30, 24:00, ...)
+ */
+function parseLocal(value) {
+    const match = typeof value === 'string' && value.match(LOCAL_PATTERN);
+    if (!match) return null;
+
+    const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1)
+        .map(part => (part === undefined ? undefined : Number(part)));
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    const check = new Date(wall);
+
+    if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day ||
+        check.getUTCHours() !== hour || check.getUTCMinutes() !== minute || check.getUTCSeconds() !== second) {
+        return null;
+    }
+    return { wall, allDay: match[4] === undefined };
+}
+
+/**
+ * Shared Intl formatter that reads the wall clock of a time zone
+ */
+function formatterFor(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * True for IANA time zone names known to this Node build
+ */
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || timeZone === '') return false;
+    try {
+        formatterFor(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock time of an instant in a time zone
+ */
+function wallClock(instant, timeZone) {
+    const parts = {};
+    formatterFor(timeZone).formatToParts(new Date(instant)).forEach(part => {
+        parts[part.type] = Number(part.value);
+    });
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+/**
+ * UTC offset of a time zone at an instant, in minutes
+ */
+function offsetAt(instant, timeZone) {
+    const whole = Math.floor(instant / 1000) * 1000;
+    return Math.round((wallClock(whole, timeZone) - whole) / MINUTE);
+}
+
+/**
+ * Instant of a wall-clock time in a time zone, or null when the clocks skip over it
+ */
+function toInstant(wall, timeZone) {
+    let instant = wall - offsetAt(wall, timeZone) * MINUTE;
+    instant = wall - offsetAt(instant, timeZone) * MINUTE;
+    return wallClock(instant, timeZone) === wall ? instant : null;
+}
+
+/**
+ * Like toInstant, but moves a skipped wall-clock time forward instead of failing
+ */
+function instantNear(wall, timeZone) {
+    const instant = toInstant(wall, timeZone);
+    return instant !== null ? instant : wall - offsetAt(wall, timeZone) * MINUTE;
+}
+
+/**
+ * The YYYY-MM-DD part of a wall-clock time
+ */
+function dateOf(wall) {
+    return new Date(wall).toISOString().slice(0, 10);
+}
+
+/**
+ * Start times (wall clock) of a recurrence rule, from the first occurrence up to `limit`
+ */
+function expandRule(rule, startWall, limit) {
+    const interval = rule.interval || 1;
+    const start = new Date(startWall);
+    const timeOfDay = startWall - Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+    const weekday = (start.getUTCDay() + 6) % 7;
+    const days = (rule.byDay && rule.byDay.length > 0 ? rule.byDay.map(code => WEEKDAYS.indexOf(code)) : [weekday])
+        .sort((a, b) => a - b);
+    const results = [];
+
+    for (let step = 0; results.length < MAX_OCCURRENCES; step++) {
+        let base;
+        let candidates;
+
+        switch (rule.frequency) {
+        case 'daily':
+            base = startWall + step * interval * DAY;
+            candidates = [base];
+            break;
+        case 'weekly':
+            base = startWall + (step * interval * 7 - weekday) * DAY;
+            candidates = days.map(day => base + day * DAY).filter(wall => wall >= startWall);
+            break;
+        case 'monthly':
+        case 'yearly': {
+            const months = rule.frequency === 'monthly' ? step * interval : step * interval * 12;
+            base = Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, 1) + timeOfDay;
+            const wall = Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, start.getUTCDate()) + timeOfDay;
+            // Months without that day (the 31st, February 29th) are skipped, as in RFC 5545
+            candidates = new Date(wall).getUTCDate() === start.getUTCDate() ? [wall] : [];
+            break;
+        }
+        default:
+            return [startWall];
+        }
+
+        if (base > limit) break;
+        for (const wall of candidates) {
+            if (wall > limit || (rule.count && results.length >= rule.count)) return results;
+            results.push(wall);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Occurrences of an event, each `{ start, end, date, wall }`
+ * `start`/`end` are instants, `date` the local date and `wall` the local start time.
+ * Dates listed in `recurrence.except` are left out unless `options.withExcluded`.
+ * Expects an event without time problems (see checkEventTimes).
+ */
+function occurrences(event, options = {}) {
+    const timeZone = event.timeZone || DEFAULT_TIME_ZONE;
+    const start = parseLocal(event.start);
+    const end = event.end ? parseLocal(event.end) : null;
+    const rule = event.recurrence;
+    const duration = start.allDay ?
+        (end ? end.wall : start.wall) + DAY - start.wall :
+        (end ? end.wall - start.wall : 0);
+
+    let limit = start.wall + OPEN_ENDED_YEARS * 365 * DAY;
+    if (rule && rule.until) limit = parseLocal(rule.until).wall + DAY - 1;
+    else if (rule && rule.count) limit = Infinity;
+
+    const except = new Set(rule && !options.withExcluded ? rule.except || [] : []);
+    const walls = rule ? expandRule(rule, start.wall, limit) : [start.wall];
+
+    return walls
+        .filter(wall => !except.has(dateOf(wall)))
+        .map(wall => ({
+            start: start.allDay ? instantNear(wall, timeZone) : toInstant(wall, timeZone),
+            end: start.allDay ? instantNear(wall + duration, timeZone) : toInstant(wall + duration, timeZone),
+            date: dateOf(wall),
+            wall
+        }))
+        .filter(occurrence => occurrence.start !== null && occurrence.end !== null);
+}
+
+/**
+ * Problems with the times of one event: invalid dates and times, unknown time zones,
+ * times the clocks skip over, events that end before they start and broken recurrences
+ */
+function checkEventTimes(event) {
+    const problems = [];
+    const timeZone = event.timeZone === undefined ? DEFAULT_TIME_ZONE : event.timeZone;
+
+    if (!isValidTimeZone(timeZone)) return [`unknown time zone "${timeZone}"`];
+    if (!event.start) return ['missing start'];
+
+    const start = parseLocal(event.start);
+    const end = event.end === undefined ? null : parseLocal(event.end);
+    if (!start) problems.push(`start "${event.start}" is not a valid date or time`);
+    if (event.end !== undefined && !end) problems.push(`end "${event.end}" is not a valid date or time`);
+    if (problems.length > 0) return problems;
+
+    [['start', start], ['end', end]].forEach(([name, value]) => {
+        if (value && !value.allDay && toInstant(value.wall, timeZone) === null) {
+            problems.push(`${name} ${event[name]} does not exist in ${timeZone} (the clocks skip over it)`);
+        }
+    });
+    if (end && end.allDay !== start.allDay) {
+        problems.push('start and end must both be dates or both be dates with times');
+    } else if (end && (start.allDay ? end.wall < start.wall : end.wall <= start.wall)) {
+        problems.push(`ends (${event.end}) before it starts (${event.start})`);
+    }
+    if (problems.length > 0 || !event.recurrence) return problems;
+
+    const rule = event.recurrence;
+    if (!FREQUENCIES.includes(rule.frequency)) {
+        return [`unknown recurrence frequency "${rule.frequency}" (use ${FREQUENCIES.join(', ')})`];
+    }
+    if (rule.interval !== undefined && !(Number.isInteger(rule.interval) && rule.interval > 0)) {
+        problems.push('recurrence interval must be a whole number above 0');
+    }
+    if (rule.count !== undefined && !(Number.isInteger(rule.count) && rule.count > 0)) {
+        problems.push('recurrence count must be a whole number above 0');
+    }
+    if (rule.count !== undefined && rule.until !== undefined) {
+        problems.push('recurrence can have count or until, not both');
+    }
+    if (rule.until !== undefined) {
+        const until = parseLocal(rule.until);
+        if (!until || !until.allDay) problems.push(`recurrence until "${rule.until}" must be a date (YYYY-MM-DD)`);
+        else if (until.wall < parseLocal(dateOf(start.wall)).wall) problems.push(`recurrence ends (${rule.until}) before the first occurrence`);
+    }
+    if (rule.byDay !== undefined) {
+        const weekday = WEEKDAYS[(new Date(start.wall).getUTCDay() + 6) % 7];
+        if (rule.frequency !== 'weekly') problems.push('recurrence byDay is only supported for weekly events');
+        else if (!Array.isArray(rule.byDay) || rule.byDay.some(code => !WEEKDAYS.includes(code))) {
+            problems.push(`recurrence byDay must list days among ${WEEKDAYS.join(', ')}`);
+        } else if (!rule.byDay.includes(weekday)) {
+            problems.push(`start ${event.start} falls on ${weekday}, which is not in byDay (${rule.byDay.join(', ')})`);
+        }
+    }
+    if (problems.length > 0) return problems;
+
+    const dates = new Set(occurrences(event, { withExcluded: true }).map(occurrence => occurrence.date));
+    (rule.except || []).forEach(date => {
+        if (!dates.has(date)) problems.push(`recurrence except ${date} is not one of its dates`);
+    });
+
+    return problems;
+}
+
+/**
+ * Validate a list of events
+ * Returns issues `{ ids, message }`: missing or duplicate ids and titles, unknown types,
+ * impossible times (see checkEventTimes) and timed events whose occurrences overlap,
+ * which are marked `overlap: true`. All-day events (deadlines, conferences) never count
+ * as overlapping.
+ */
+function validateEvents(events, options = {}) {
+    const issues = [];
+    const seen = new Set();
+    const timeline = [];
+    const add = (ids, message, extra = {}) => issues.push({ ids: [...new Set(ids)], message, ...extra });
+
+    events.forEach((event, index) => {
+        const id = event.id || `#${index + 1}`;
+        if (!event.id) add([id], `event ${id}: missing id`);
+        else if (seen.has(event.id)) add([id], `${id}: duplicate id`);
+        seen.add(event.id);
+
+        if (!event.title) add([id], `${id}: missing title`);
+        if (options.types && event.type && !options.types[event.type]) add([id], `${id}: unknown type "${event.type}"`);
+
+        const problems = checkEventTimes(event);
+        problems.forEach(problem => add([id], `${id}: ${problem}`));
+        if (problems.length === 0 && !parseLocal(event.start).allDay) {
+            occurrences(event)
+                .filter(occurrence => occurrence.end > occurrence.start)
+                .forEach(occurrence => timeline.push({ id, ...occurrence }));
+        }
+    });
+
+    // Sweep the occurrences in start order; report each overlapping pair once
+    const reported = new Set();
+    let active = [];
+    timeline.sort((a, b) => a.start - b.start).forEach(occurrence => {
+        active = active.filter(other => other.end > occurrence.start);
+        active.forEach(other => {
+            const key = [other.id, occurrence.id].sort().join('\n');
+            if (reported.has(key)) return;
+            reported.add(key);
+            add([other.id, occurrence.id], other.id === occurrence.id ?
+                `${occurrence.id}: occurrences overlap each other on ${occurrence.date}` :
+                `${occurrence.id} overlaps ${other.id} on ${occurrence.date}`, { overlap: true });
+        });
+        active.push(occurrence);
+    });
+
+    return issues;
+}
+
+/**
+ * Intl locale for a site locale, matching the formatDate template helper
+ */
+function intlLocale(locale) {
+    return locale === 'fr' ? 'fr-CA' : locale || 'en-US';
+}
+
+/**
+ * Human-readable date and time of one occurrence, in the event's time zone
+ */
+function formatWhen(event, occurrence, locale) {
+    const timeZone = event.timeZone || DEFAULT_TIME_ZONE;
+    const tag = intlLocale(locale);
+    const dateFormat = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+
+    const start = parseLocal(event.start);
+    if (start.allDay) {
+        const format = wall => new Date(wall).toLocaleDateString(tag, { ...dateFormat, timeZone: 'UTC' });
+        const last = occurrence.wall + (event.end ? parseLocal(event.end).wall - start.wall : 0);
+        return last > occurrence.wall ? `${format(occurrence.wall)} – ${format(last)}` : format(occurrence.wall);
+    }
+
+    const date = new Date(occurrence.start).toLocaleDateString(tag, { ...dateFormat, timeZone });
+    const time = { hour: 'numeric', minute: '2-digit', timeZone };
+    const from = new Date(occurrence.start).toLocaleTimeString(tag, time);
+    const to = new Date(occurrence.end).toLocaleTimeString(tag, { ...time, timeZoneName: 'short' });
+    if (occurrence.end === occurrence.start) {
+        return `${date}, ${new Date(occurrence.start).toLocaleTimeString(tag, { ...time, timeZoneName: 'short' })}`;
+    }
+    return `${date}, ${from} – ${to}`;
+}
+
+/**
+ * Describe a recurrence rule, e.g. "Every week on Wednesday until December 9, 2026"
+ * `strings` holds `repeat`/`repeatInterval` (by frequency, `{n}` for the interval),
+ * `on` and `until` in the target language (see data/site.json)
+ */
+function describeRecurrence(rule, locale, strings) {
+    if (!rule) return '';
+    const tag = intlLocale(locale);
+    const interval = rule.interval || 1;
+    let text = interval > 1 ?
+        strings.repeatInterval[rule.frequency].replace('{n}', interval) :
+        strings.repeat[rule.frequency];
+
+    if (rule.byDay && rule.byDay.length > 0) {
+        // 2024-01-01 was a Monday
+        const names = rule.byDay.map(code => new Date(Date.UTC(2024, 0, 1 + WEEKDAYS.indexOf(code)))
+            .toLocaleDateString(tag, { weekday: 'long', timeZone: 'UTC' }));
+        text += ` ${strings.on} ${new Intl.ListFormat(tag, { type: 'conjunction' }).format(names)}`;
+    }
+    if (rule.until) {
+        const until = new Date(parseLocal(rule.until).wall)
+            .toLocaleDateString(tag, { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+        text += ` ${strings.until} ${until}`;
+    }
+    return text;
+}
+
+/**
+ * Escape an iCalendar TEXT value
+ */
+function icsText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets; continuation lines start with a space (RFC 5545, 3.1)
+ */
+function foldLine(line) {
+    const chunks = [];
+    let current = '';
+    let size = 0;
+
+    for (const char of line) {
+        const length = Buffer.byteLength(char, 'utf8');
+        if (size + length > (chunks.length === 0 ? 75 : 74)) {
+            chunks.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += length;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+}
+
+/**
+ * iCalendar forms of a time: local DATE-TIME, DATE and UTC DATE-TIME
+ */
+function icsLocal(wall) {
+    return new Date(wall).toISOString().replace(/[-:]/g, '').slice(0, 15);
+}
+
+function icsDate(wall) {
+    return icsLocal(wall).slice(0, 8);
+}
+
+function icsUtc(instant) {
+    return `${icsLocal(instant)}Z`;
+}
+
+/**
+ * UTC offset in minutes as iCalendar's +HHMM
+ */
+function icsOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(minutes);
+    return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+}
+
+/**
+ * VTIMEZONE component listing every offset change of a time zone in a range of years
+ * The transitions come from the Intl time zone data, so no rules are hard-coded here.
+ */
+function vtimezone(timeZone, fromYear, toYear) {
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+    const abbreviation = instant => (new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+        .formatToParts(new Date(instant)).find(part => part.type === 'timeZoneName') || {}).value;
+    let previous = offsetAt(Date.UTC(fromYear, 0, 1), timeZone);
+    let found = false;
+
+    for (let time = Date.UTC(fromYear, 0, 1) + DAY; time <= Date.UTC(toYear + 1, 0, 1); time += DAY) {
+        const offset = offsetAt(time, timeZone);
+        if (offset === previous) continue;
+
+        // Narrow the change down to the minute
+        let low = time - DAY;
+        let high = time;
+        while (high - low > MINUTE) {
+            const middle = low + Math.floor((high - low) / 2 / MINUTE) * MINUTE;
+            if (offsetAt(middle, timeZone) === previous) low = middle;
+            else high = middle;
+        }
+
+        const kind = offset > previous ? 'DAYLIGHT' : 'STANDARD';
+        lines.push(`BEGIN:${kind}`, `DTSTART:${icsLocal(high + previous * MINUTE)}`,
+            `TZOFFSETFROM:${icsOffset(previous)}`, `TZOFFSETTO:${icsOffset(offset)}`,
+            `TZNAME:${abbreviation(high)}`, `END:${kind}`);
+        previous = offset;
+        found = true;
+    }
+
+    if (!found) {
+        lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${icsOffset(previous)}`,
+            `TZOFFSETTO:${icsOffset(previous)}`, `TZNAME:${abbreviation(Date.UTC(fromYear, 0, 1))}`, 'END:STANDARD');
+    }
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+/**
+ * RRULE value of a recurrence; UNTIL is the end of that day in the event's time zone
+ */
+function icsRule(rule, allDay, timeZone) {
+    const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay && rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) {
+        const until = parseLocal(rule.until).wall;
+        parts.push(`UNTIL=${allDay ? icsDate(until) : icsUtc(instantNear(until + DAY, timeZone) - 1000)}`);
+    }
+    return parts.join(';');
+}
+
+/**
+ * Generate an iCalendar (.ics) document
+ * `events` are already localized: title, description and location are plain strings.
+ * Options: `name` and `description` of the calendar, `domain` for UIDs, `stamp`
+ * (YYYY-MM-DD, for DTSTAMP when an event has no `updated`), `locale`, `types`
+ * (labels for CATEGORIES), `url(event)` for the event link and `warn(message)`.
+ * Events with time problems are left out and reported through `warn`.
+ */
+function generateICalendar(events, options = {}) {
+    const warn = options.warn || (message => console.warn(`⚠️  ${message}`));
+    const valid = events.filter(event => {
+        const problems = checkEventTimes(event);
+        problems.forEach(problem => warn(`events[${event.id}]: ${problem}, left out of the calendar`));
+        return problems.length === 0;
+    });
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:-//${icsText(options.name || 'Events')}//${(options.locale || 'en').toUpperCase()}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    if (options.name) lines.push(`X-WR-CALNAME:${icsText(options.name)}`);
+    if (options.description) lines.push(`X-WR-CALDESC:${icsText(options.description)}`);
+
+    // One VTIMEZONE per zone, covering every year the events touch
+    const zones = {};
+    valid.forEach(event => {
+        const timeZone = event.timeZone || DEFAULT_TIME_ZONE;
+        if (parseLocal(event.start).allDay) return;
+        const years = occurrences(event, { withExcluded: true }).map(occurrence => new Date(occurrence.wall).getUTCFullYear());
+        const range = zones[timeZone] || [Infinity, -Infinity];
+        zones[timeZone] = [Math.min(range[0], ...years), Math.max(range[1], ...years)];
+    });
+    Object.keys(zones).sort().forEach(timeZone => {
+        lines.push(...vtimezone(timeZone, zones[timeZone][0] - 1, zones[timeZone][1]));
+    });
+
+    valid.forEach(event => {
+        const timeZone = event.timeZone || DEFAULT_TIME_ZONE;
+        const start = parseLocal(event.start);
+        const end = event.end ? parseLocal(event.end) : null;
+        const stamp = parseLocal(event.updated || options.stamp || '1970-01-01');
+        const url = options.url ? options.url(event) : event.url;
+
+        lines.push('BEGIN:VEVENT', `UID:${event.id}@${options.domain || 'localhost'}`, `DTSTAMP:${icsUtc(stamp.wall)}`);
+        if (start.allDay) {
+            lines.push(`DTSTART;VALUE=DATE:${icsDate(start.wall)}`, `DTEND;VALUE=DATE:${icsDate((end || start).wall + DAY)}`);
+        } else {
+            lines.push(`DTSTART;TZID=${timeZone}:${icsLocal(start.wall)}`);
+            if (end) lines.push(`DTEND;TZID=${timeZone}:${icsLocal(end.wall)}`);
+        }
+        if (event.recurrence) {
+            lines.push(`RRULE:${icsRule(event.recurrence, start.allDay, timeZone)}`);
+            const timeOfDay = start.wall % DAY;
+            (event.recurrence.except || []).forEach(date => {
+                const wall = parseLocal(date).wall;
+                lines.push(start.allDay ? `EXDATE;VALUE=DATE:${icsDate(wall)}` : `EXDATE;TZID=${timeZone}:${icsLocal(wall + timeOfDay)}`);
+            });
+        }
+        lines.push(`SUMMARY:${icsText(event.title)}`);
+        if (event.description) lines.push(`DESCRIPTION:${icsText(event.description)}`);
+        if (event.location) lines.push(`LOCATION:${icsText(event.location)}`);
+        if (url) lines.push(`URL:${url}`);
+        if (options.types && options.types[event.type]) lines.push(`CATEGORIES:${icsText(options.types[event.type])}`);
+        lines.push(`STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`, 'END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    parseLocal,
+    isValidTimeZone,
+    toInstant,
+    occurrences,
+    checkEventTimes,
+    validateEvents,
+    formatWhen,
+    describeRecurrence,
+    generateICalendar
+};
@@ -7,34 +7,142 @@
 
 const fs = require('fs');
 const path = require('path');
+const { execFileSync } = require('child_process');
+const templateEngine = require('./template-engine');
+const { DEFAULT_LOCALE, localizeValue, localizeData, reportFallbacks } = require('./localize');
+const { plainText, sanitizeHtml } = require('./sanitize');
+const { occurrences, checkEventTimes, formatWhen, describeRecurrence, generateICalendar } = require('./events');
+const structuredData = require('./structured-data');
+const searchIndex = require('./search-index');
+const citations = require('./citations');
 
 // Configuration
 const CONFIG = {
     dataDir: path.join(__dirname, '../../data'),
     templateDir: path.join(__dirname, '../templates'),
     outputDir: path.join(__dirname, '../..'),
-    baseUrl: 'https://romankorol.com'
+    watchDebounce: 150,
+    // Limit of the sitemap protocol; larger sections are split (see generateSitemap)
+    sitemapMaxUrls: 50000,
+    // Date in the tag: URIs used as feed and entry ids; never change it, or readers see every item as new
+    feedIdDate: '2024'
 };
 
+// Media types of news images, for feed enclosures
+const IMAGE_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml'
+};
+
+// Data files in data/, by the key they are loaded under
+const DATA_FILES = {
+    site: 'site.json',
+    personal: 'personal.json',
+    publications: 'publications.json',
+    news: 'news.json',
+    resources: 'resources.json',
+    activities: 'activities.json',
+    events: 'events.json',
+    openings: 'openings.json',
+    team: 'team.json'
+};
+
+// Scripts shared by every page; page-specific scripts go between these and combined.min.js
+const SHARED_SCRIPTS = [
+    'jquery.min.js',
+    'jquery.dropotron.min.js',
+    'browser.min.js',
+    'breakpoints.min.js',
+    'util.js',
+    'search.js',
+    'language-switcher.js'
+];
+
+// Templates read since the last resetTemplateReads(), as paths relative to the site root
+let templateReads = new Set();
+
+// Output id -> the data files and templates it was last built from (see buildOutputs)
+const buildGraph = new Map();
+
+/**
+ * Path relative to the site root with forward slashes, as used in the build graph
+ */
+function sitePath(filepath) {
+    return path.relative(CONFIG.outputDir, filepath).split(path.sep).join('/');
+}
+
+/**
+ * Offset of a JSON syntax error in `text`
+ * Node does not report one for every error, so fall back to the longest prefix that
+ * is only incomplete rather than invalid: the error starts right after it.
+ */
+function jsonErrorOffset(text, error) {
+    const position = error.message.match(/at position (\d+)/);
+    if (position) return Number(position[1]);
+
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        try {
+            JSON.parse(text.slice(0, middle));
+            low = middle;
+        } catch (prefixError) {
+            const at = prefixError.message.match(/at position (\d+)/);
+            const incomplete = /end of JSON input/.test(prefixError.message) || (at && Number(at[1]) >= middle);
+            if (incomplete) low = middle;
+            else high = middle - 1;
+        }
+    }
+    return low;
+}
+
 /**
  * Load JSON data file
+ * Syntax errors report the line and column of the problem
  */
 function loadData(filename) {
     const filepath = path.join(CONFIG.dataDir, filename);
+    let data;
     try {
-        const data = fs.readFileSync(filepath, 'utf8');
+        data = fs.readFileSync(filepath, 'utf8');
         return JSON.parse(data);
     } catch (error) {
-        console.error(`Error loading ${filename}:`, error.message);
+        if (error instanceof SyntaxError && data !== undefined) {
+            const before = data.slice(0, jsonErrorOffset(data, error)).split('\n');
+            error.message = `${error.message.split('\n')[0].replace(/(, ".*| in JSON at position \d+.*)$/, '')} at line ${before.length}, column ${before[before.length - 1].length + 1}`;
+        }
+        console.error(`❌ Error loading ${filename}:`, error.message);
         return null;
     }
 }
 
+/**
+ * Load every file in DATA_FILES
+ * Returns `{ data, invalid }`; `invalid` is a Set of the keys that failed to load
+ */
+function loadAllData() {
+    const data = {};
+    const invalid = new Set();
+
+    Object.entries(DATA_FILES).forEach(([key, filename]) => {
+        data[key] = loadData(filename);
+        if (data[key] === null) invalid.add(key);
+    });
+
+    return { data, invalid };
+}
+
 /**
  * Load template file
  */
 function loadTemplate(filename) {
     const filepath = path.join(CONFIG.templateDir, filename);
+    templateReads.add(sitePath(filepath));
     try {
         return fs.readFileSync(filepath, 'utf8');
     } catch (error) {
@@ -44,237 +152,1658 @@ function loadTemplate(filename) {
 }
 
 /**
- * Simple template engine
+ * Load a partial for `{{> name}}`: content/templates/partials first, then content/templates
+ */
+function loadPartial(name) {
+    const partial = `partials/${name}.html`;
+    return loadTemplate(fs.existsSync(path.join(CONFIG.templateDir, partial)) ? partial : `${name}.html`);
+}
+
+/**
+ * Render a template string with the template engine (see template-engine.js)
+ * `name` identifies the template in warnings and syntax errors
  */
-function renderTemplate(template, data) {
-    return template.replace(/\{\{(\w+(?:\.\w+)*)\}\}/g, (match, key) => {
-        const value = key.split('.').reduce((obj, prop) => obj?.[prop], data);
-        return value !== undefined ? value : match;
+function renderTemplate(template, data, name) {
+    return templateEngine.render(template, data, { partials: loadPartial, name });
+}
+
+/**
+ * Render a template file from content/templates
+ */
+function renderFile(filename, data) {
+    return renderTemplate(loadTemplate(filename), data, filename);
+}
+
+/**
+ * Resolve localized data fields for `options.locale`
+ * Fallbacks to the default language are collected in `options.fallbacks` when given
+ */
+function localizeFor(value, options, path) {
+    return localizeData(value, options.locale || DEFAULT_LOCALE, {
+        locales: options.locales,
+        defaultLocale: options.defaultLocale,
+        fallbacks: options.fallbacks,
+        path: options.path || path
     });
 }
 
 /**
- * Generate publication HTML
+ * Template data for one publication in `options.locale`
+ * `options.root` prefixes asset paths (e.g. '../' for pages under en/ and fr/)
  */
-function generatePublicationHTML(pub) {
-    const authorsStr = pub.authors.join(', ').replace('R Korol', '<b>R Korol</b>');
-    const awards = pub.awards ? pub.awards.map(award =>
-        `<span class="award">${award}</span>`).join(' ') : '';
+function publicationView(publication, options = {}) {
+    const pub = localizeFor(publication, options, `publications[${publication.id}]`);
+    const awardTypes = localizeFor(options.awardTypes || {}, { ...options, path: null }, 'award_types');
+    const volume = pub.volume ? `${pub.volume}${pub.issue ? ` (${pub.issue})` : ''}` : '';
 
-    return `
-    <div class="publication" data-year="${pub.year}" data-status="${pub.status}">
-        <div id="${pub.id}" class="hidden">
-            ${authorsStr} <i>${pub.journal}</i> <b>${pub.year}</b>
-            ${pub.doi ? `<a href="https://doi.org/${pub.doi}">${pub.doi}</a>` : ''}
-            ${awards}
-            <a class="image left">
-                <img class="myBtn_multi" src="${pub.image}"
-                     alt="Publication thumbnail for ${pub.title}"
-                     title="${pub.title}">
-            </a>
-            <div class="modal modal_multi">
-                <span class="close close_multi">×</span>
-                <img class="modal-content" src="${pub.image}"
-                     alt="Research figure: ${pub.title}">
-            </div>
-            <p>${pub.abstract}</p>
-        </div>
-    </div>`;
+    return {
+        ...pub,
+        basePath: options.root || '',
+        anchor: pub.anchor || pub.id,
+        imageAlt: pub.imageAlt || `Publication thumbnail for ${plainText(pub.title)}`,
+        status: pub.status || 'published',
+        citation: [volume, pub.pages].filter(Boolean).join(', '),
+        exports: citationLinks(options.root || '', pub.id),
+        permalink: publicationFile(pub),
+        awards: (pub.awards || []).map(award => ({ name: award, ...awardTypes[award] }))
+    };
 }
 
 /**
- * Generate news item HTML
+ * Download links of a publication's citation, or of the whole list with `name` 'publications'
  */
-function generateNewsHTML(item) {
-    const dateFormatted = new Date(item.date).toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
+function citationLinks(root, name) {
+    return citations.CITATION_FORMATS.map(format => ({
+        format: format.key,
+        label: format.label,
+        type: format.type,
+        href: `${root}citations/${name}.${format.extension}`
+    }));
+}
+
+/**
+ * BibTeX, RIS and CSL-JSON files for every publication and for the whole list
+ * Exports use the default language, and each file is named after the publication id,
+ * which is also its citation key.
+ */
+function generateCitations(site, publications, fallbacks = []) {
+    const i18n = { locale: site.defaultLocale, locales: Object.keys(site.locales), defaultLocale: site.defaultLocale, fallbacks };
+    const pubs = publications.publications.map(pub => localizeFor(pub, i18n, `publications[${pub.id}]`));
+    const files = {};
+
+    citations.CITATION_FORMATS.forEach(format => {
+        pubs.forEach(pub => {
+            files[`citations/${pub.id}.${format.extension}`] = citations.formatCitations([pub], format.key);
+        });
+        files[`citations/publications.${format.extension}`] = citations.formatCitations(pubs, format.key);
     });
 
-    const images = item.images?.map(img =>
-        `<img class="modal-content" src="${img}"
-              alt="${item.title}" loading="lazy">`).join('') || '';
-
-    const tags = item.tags?.map(tag =>
-        `<span class="tag">${tag}</span>`).join(' ') || '';
-
-    return `
-    <article class="news-item ${item.featured ? 'featured' : ''}"
-             data-category="${item.category}">
-        <header>
-            <h3>${item.title}</h3>
-            <div class="date">${dateFormatted}</div>
-            <div class="category">${item.category}</div>
-        </header>
-        <p>${item.summary}</p>
-        <div class="content">${item.content}</div>
-        <div class="images">${images}</div>
-        <div class="tags">${tags}</div>
-    </article>`;
-}
-
-/**
- * Generate resource section HTML
- */
-function generateResourceHTML(section) {
-    const resources = section.resources.map(resource => {
-        const links = resource.links.map(link =>
-            `<li><a href="${link.url}" target="_blank" rel="noopener noreferrer">
-                <strong>${link.title}</strong></a> - ${link.provider}</li>`
-        ).join('');
-
-        return `
-        <div class="resource">
-            <h4>${resource.title}</h4>
-            <p>${resource.description}</p>
-            <ul>${links}</ul>
-        </div>`;
-    }).join('');
-
-    return `
-    <section class="resource-section">
-        <h3>${section.title}</h3>
-        <p>${section.description}</p>
-        ${resources}
-    </section>`;
-}
-
-/**
- * Generate activity section HTML
- */
-function generateActivityHTML(section) {
-    const activities = section.activities.map(activity => `
-        <div class="activity">
-            <h4>${activity.title}</h4>
-            <p>${activity.description}</p>
-            ${activity.image ?
-                `<img src="${activity.image}"
-                      alt="${activity.title}"
-                      class="activity-image" loading="lazy">` : ''}
-            <div class="activity-meta">
-                ${activity.date ? `<span class="date">${activity.date}</span>` : ''}
-                ${activity.location ? `<span class="location">${activity.location}</span>` : ''}
-            </div>
-        </div>
-    `).join('');
-
-    return `
-    <section id="${section.id}" class="activity-section">
-        <h3>${section.title}</h3>
-        <p>${section.description}</p>
-        <div class="activities">${activities}</div>
-    </section>`;
-}
-
-/**
- * Generate structured data for SEO
- */
-function generateStructuredData(personal, publications) {
-    const structuredData = {
-        "@context": "https://schema.org",
-        "@type": "Person",
-        "name": personal.name,
-        "jobTitle": personal.title,
-        "worksFor": {
-            "@type": "Organization",
-            "name": personal.institution.name,
-            "url": personal.institution.url
-        },
-        "url": CONFIG.baseUrl,
-        "sameAs": Object.values(personal.social),
-        "knowsAbout": ["Quantum Dynamics", "Computational Chemistry", "Semiclassical Methods"],
-        "alumniOf": personal.background.education.map(edu => ({
-            "@type": "Organization",
-            "name": edu.institution,
-            "url": edu.url
-        }))
+    return files;
+}
+
+/**
+ * Surname of an author as written in publications.json ("T F Miller III" -> "Miller")
+ */
+function surname(author) {
+    const words = plainText(author).replace(/\s+(Jr\.?|Sr\.?|II|III|IV)$/, '').trim().split(/\s+/);
+    return words[words.length - 1];
+}
+
+/**
+ * Choices for the publication filter bar: years (newest first), statuses, co-authors
+ * sorted by surname (the group leader is left out) and journals
+ */
+function publicationFilterView(publications, site, locale) {
+    const strings = site.locales[locale].publicationFilter;
+    const leader = site.organization && site.organization.leader ? surname(site.organization.leader.name) : null;
+    const unique = values => [...new Set(values)];
+
+    return {
+        strings,
+        years: unique(publications.map(pub => pub.year)).sort((a, b) => b - a),
+        statuses: Object.entries(strings.statuses).map(([value, label]) => ({ value, label })),
+        authors: unique(publications.flatMap(pub => pub.authors))
+            .filter(author => surname(author) !== leader)
+            .sort((a, b) => surname(a).localeCompare(surname(b)) || a.localeCompare(b)),
+        journals: unique(publications.map(pub => pub.journal).filter(Boolean)).sort()
     };
+}
+
+/**
+ * Generate publication HTML from content/templates/publication.html
+ */
+function generatePublicationHTML(pub, options = {}) {
+    return renderFile('publication.html', publicationView(pub, options));
+}
+
+/**
+ * Template data for one news item
+ * `options.categories` are the localized category labels, and `options.hrefs(kind, key)`
+ * links the item, its category and its tags to their news listings (see newsListFile).
+ */
+function newsItemView(entry, options = {}) {
+    const item = localizeFor(entry, options, `news[${entry.id}]`);
+    const categories = options.categories || {};
+    const hrefs = options.hrefs || (() => '');
+    const images = item.images || [];
+
+    return {
+        ...item,
+        basePath: options.root || '',
+        locale: options.locale || DEFAULT_LOCALE,
+        permalink: options.hrefs ? `${hrefs('year', String(item.date).slice(0, 4))}#${item.id}` : '',
+        categoryLabel: categories[item.category] || item.category,
+        categoryHref: item.category ? hrefs('category', item.category) : '',
+        tags: (item.tags || []).map(tag => ({ label: tag, href: hrefs('tag', tag) })),
+        images,
+        imageAlt: item.imageAlt || plainText(item.title),
+        imageColumns: images.length > 2 ? 4 : 12 / Math.max(images.length, 1)
+    };
+}
+
+/**
+ * Generate news item HTML from content/templates/news-item.html
+ */
+function generateNewsHTML(item, options = {}) {
+    return renderFile('news-item.html', newsItemView(item, options));
+}
+
+/**
+ * Generate resource section HTML from content/templates/resource-section.html
+ */
+function generateResourceHTML(section, options = {}) {
+    return renderFile('resource-section.html', localizeFor(section, options, 'resources'));
+}
+
+/**
+ * Generate activity section HTML from content/templates/activity-section.html
+ */
+function generateActivityHTML(section, options = {}) {
+    return renderFile('activity-section.html', {
+        ...localizeFor(section, options, `activities[${section.id}]`),
+        basePath: options.root || ''
+    });
+}
+
+/**
+ * schema.org nodes a page can carry, listed per page in `site.pages[key].structuredData`
+ * `data` lists the DATA_FILES keys the nodes read; `build(data, ld)` returns the nodes,
+ * where `ld` holds the page URL, the locale settings and a reference to the group.
+ */
+const STRUCTURED_DATA = {
+    organization: {
+        data: [],
+        build: (data, ld) => [structuredData.organizationLd(data.site, ld.strings,
+            localizeFor(data.site.organization || {}, { ...ld.i18n, path: null }, 'site.organization'), ld.homepage)]
+    },
+    publications: {
+        data: ['publications'],
+        build: (data, ld) => (data.publications ? data.publications.publications : []).map(publication => {
+            const pub = localizeFor(publication, ld.i18n, `publications[${publication.id}]`);
+            return structuredData.scholarlyArticleLd(pub, {
+                baseUrl: data.site.baseUrl,
+                url: publicationUrl(data.site, pub, ld.i18n.locale)
+            });
+        })
+    },
+    news: {
+        data: ['news'],
+        build: (data, ld) => {
+            if (!data.news) return [];
+            const categories = localizeFor(data.news.categories || {}, { ...ld.i18n, path: null }, 'news.categories');
+            return data.news.news.map(entry => {
+                const item = localizeFor(entry, ld.i18n, `news[${entry.id}]`);
+                const url = `${data.site.baseUrl}/${ld.i18n.locale}/${newsItemFile(data.site, item, ld.i18n.locale)}`;
+                return structuredData.newsArticleLd(item, {
+                    baseUrl: data.site.baseUrl,
+                    url,
+                    page: url.replace(/#.*$/, ''),
+                    category: categories[item.category],
+                    organization: ld.organization
+                });
+            });
+        }
+    },
+    openings: {
+        data: ['openings'],
+        build: (data, ld) => (data.openings ? openingsView(data.openings, ld.i18n).open : []).map(opening => {
+            return structuredData.jobPostingLd(opening, {
+                url: `${ld.page}#${opening.id}`,
+                organization: ld.organization,
+                address: structuredData.postalAddress(data.site.organization || {})
+            });
+        })
+    }
+};
+
+/**
+ * JSON-LD for one page in one locale, from the kinds listed in its `structuredData`
+ * Returns '' for pages without structured data
+ */
+function generateStructuredData(site, data, pageKey, locale, i18n = {}) {
+    const strings = site.locales[locale];
+    const homepage = pageUrl(site, 'index', locale);
+    const ld = {
+        i18n: { locale, ...i18n },
+        strings,
+        homepage,
+        page: pageUrl(site, pageKey, locale),
+        organization: structuredData.organizationRef(site, strings, homepage)
+    };
+
+    const nodes = (site.pages[pageKey].structuredData || []).flatMap(kind => {
+        if (STRUCTURED_DATA[kind]) return STRUCTURED_DATA[kind].build(data, ld);
+        console.warn(`⚠️  Unknown structured data "${kind}" for ${locale}/${site.pages[pageKey][locale].file}`);
+        return [];
+    });
+    return nodes.length > 0 ? structuredData.jsonLd(nodes, '\t') : '';
+}
+
+/**
+ * Escape text for XML element content and attribute values
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * One `<urlset>` document; entries are `{ loc, lastmod, alternates }`
+ */
+function sitemapUrlset(entries) {
+    const urls = entries.map(entry => {
+        const lines = [`        <loc>${escapeXml(entry.loc)}</loc>`];
+        if (entry.lastmod) lines.push(`        <lastmod>${entry.lastmod}</lastmod>`);
+        (entry.alternates || []).forEach(alternate => lines.push(
+            `        <xhtml:link rel="alternate" hreflang="${alternate.hreflang}" href="${escapeXml(alternate.href)}"/>`));
+        return `    <url>\n${lines.join('\n')}\n    </url>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+/**
+ * Generate sitemap.xml from sitemap entries (see sitemapEntries)
+ * Returns `{ filename: content }`. With `site.sitemap.index`, or when there are more
+ * URLs than one sitemap may hold, sitemap.xml becomes an index of one sitemap per
+ * section (sitemap-pages.xml, ...), and sections over the limit are split in parts.
+ */
+function generateSitemap(site, entries) {
+    const options = { index: false, maxUrls: CONFIG.sitemapMaxUrls, ...site.sitemap };
+
+    if (!options.index && entries.length <= options.maxUrls) {
+        return { 'sitemap.xml': sitemapUrlset(entries) };
+    }
+
+    const sections = {};
+    entries.forEach(entry => {
+        (sections[entry.section] = sections[entry.section] || []).push(entry);
+    });
+
+    const files = {};
+    const sitemaps = [];
+    Object.entries(sections).forEach(([section, sectionEntries]) => {
+        for (let part = 0; part * options.maxUrls < sectionEntries.length; part++) {
+            const chunk = sectionEntries.slice(part * options.maxUrls, (part + 1) * options.maxUrls);
+            const filename = `sitemap-${section}${part > 0 ? `-${part + 1}` : ''}.xml`;
+            const lastmod = chunk.map(entry => entry.lastmod).filter(Boolean).sort().pop();
+            files[filename] = sitemapUrlset(chunk);
+            sitemaps.push(`    <sitemap>\n        <loc>${escapeXml(`${site.baseUrl}/${filename}`)}</loc>\n` +
+                `${lastmod ? `        <lastmod>${lastmod}</lastmod>\n` : ''}    </sitemap>`);
+        }
+    });
+
+    files['sitemap.xml'] = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemaps.join('\n')}
+</sitemapindex>
+`;
+    return files;
+}
+
+/**
+ * Lower-case, accent-free, dash-separated form of a label for file names
+ */
+function slugify(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+/**
+ * Stable tag: URI for feed and entry ids, independent of where the news page lives
+ */
+function feedId(site, name) {
+    return `tag:${new URL(site.baseUrl).host},${CONFIG.feedIdDate}:${name}`;
+}
+
+/**
+ * Feed entries for news items in one locale, newest first
+ * The GUID comes from the item id, so editing an item never makes it look new.
+ */
+function newsFeedItems(site, news, i18n) {
+    const categories = localizeFor(news.categories || {}, { ...i18n, path: null }, 'news.categories');
 
-    if (publications) {
-        structuredData.hasCredential = publications.publications.map(pub => ({
-            "@type": "ScholarlyArticle",
-            "name": pub.title,
-            "author": pub.authors,
-            "datePublished": pub.year.toString(),
-            "publisher": pub.journal,
-            "url": pub.doi ? `https://doi.org/${pub.doi}` : undefined
+    return newestFirst(news.news)
+        .map(entry => {
+            const item = localizeFor(entry, i18n, `news[${entry.id}]`);
+            // Items without content are described by their summary
+            const { html, stripped } = sanitizeHtml(item.content || templateEngine.escapeHtml(item.summary || ''));
+            if (stripped.length > 0) {
+                console.warn(`⚠️  news[${item.id}].content: stripped ${stripped.join(', ')} from the feed`);
+            }
+
+            const images = (item.images || []).map(image => {
+                const filepath = path.join(CONFIG.outputDir, image);
+                return {
+                    url: `${site.baseUrl}/${image}`,
+                    type: IMAGE_TYPES[path.extname(image).toLowerCase()] || 'application/octet-stream',
+                    length: fs.existsSync(filepath) ? fs.statSync(filepath).size : null
+                };
+            });
+            const alt = templateEngine.escapeHtml(item.imageAlt || plainText(item.title));
+
+            return {
+                ...item,
+                guid: feedId(site, `${i18n.locale}/news/${item.id}`),
+                link: `${site.baseUrl}/${i18n.locale}/${newsItemFile(site, item, i18n.locale)}`,
+                modified: item.updated || item.date,
+                categoryLabel: categories[item.category] || '',
+                contentHtml: `<p>${html}</p>` + images.map(image => `<p><img src="${image.url}" alt="${alt}"></p>`).join(''),
+                enclosure: images.find(image => image.length !== null)
+            };
+        });
+}
+
+/**
+ * Generate the RSS 2.0 and Atom news feeds of one locale
+ * Returns `{ filename: content }`: feed.rss and feed.atom in the locale folder, plus
+ * feeds/category-*.{rss,atom} and feeds/tag-*.{rss,atom} when `site.feeds` asks for them
+ */
+function generateFeeds(site, news, locale, fallbacks = []) {
+    const options = { limit: 20, categories: false, tags: false, ...site.feeds };
+    const i18n = { locale, locales: Object.keys(site.locales), defaultLocale: site.defaultLocale, fallbacks };
+    const strings = site.locales[locale];
+    const items = newsFeedItems(site, news, i18n);
+
+    const feeds = [{ name: 'feed', title: strings.newsFeedTitle, items }];
+    const group = (kind, keysOf, labelOf) => {
+        const keys = [...new Set(items.flatMap(keysOf))].sort();
+        keys.forEach(key => feeds.push({
+            name: `feeds/${kind}-${slugify(key)}`,
+            title: `${strings.newsFeedTitle}: ${labelOf(key)}`,
+            items: items.filter(item => keysOf(item).includes(key))
         }));
+    };
+    if (options.categories) {
+        group('category', item => item.category ? [item.category] : [],
+            key => (items.find(item => item.category === key) || {}).categoryLabel || key);
     }
+    if (options.tags) group('tag', item => item.tags || [], key => key);
 
-    return JSON.stringify(structuredData, null, 2);
+    const files = {};
+    feeds.forEach(feed => {
+        const entries = feed.items.slice(0, options.limit);
+        const updated = entries.map(item => item.modified).sort().pop() || news.last_updated;
+
+        ['rss', 'atom'].forEach(format => {
+            const filename = `${locale}/${feed.name}.${format}`;
+            files[filename] = renderFile(`feeds/${format}.xml`, {
+                locale,
+                title: feed.title,
+                description: strings.newsFeedDescription,
+                link: pageUrl(site, 'news', locale),
+                homepage: pageUrl(site, 'index', locale),
+                self: `${site.baseUrl}/${filename}`,
+                id: feedId(site, `${locale}/${feed.name}`),
+                author: strings.groupName,
+                updated,
+                items: entries
+            });
+        });
+    });
+
+    return files;
 }
 
 /**
- * Generate sitemap.xml
+ * Autodiscovery links for the news feeds of a locale, for the page head
  */
-function generateSitemap() {
-    const pages = [
-        { url: '', changefreq: 'monthly', priority: '1.0' },
-        { url: 'research.html', changefreq: 'monthly', priority: '0.9' },
-        { url: 'news.html', changefreq: 'weekly', priority: '0.8' },
-        { url: 'learn.html', changefreq: 'monthly', priority: '0.7' },
-        { url: 'activities.html', changefreq: 'monthly', priority: '0.7' }
+function feedLinks(site, locale) {
+    const title = site.locales[locale].newsFeedTitle;
+    return [
+        { type: 'application/rss+xml', title: `${title} (RSS)`, href: `${site.baseUrl}/${locale}/feed.rss` },
+        { type: 'application/atom+xml', title: `${title} (Atom)`, href: `${site.baseUrl}/${locale}/feed.atom` }
     ];
+}
 
-    const urls = pages.map(page => `
-    <url>
-        <loc>${CONFIG.baseUrl}/${page.url}</loc>
-        <changefreq>${page.changefreq}</changefreq>
-        <priority>${page.priority}</priority>
-        <lastmod>${new Date().toISOString().split('T')[0]}</lastmod>
-    </url>`).join('');
+/**
+ * News items sorted newest first; items of the same day keep a stable order by id
+ */
+function newestFirst(items) {
+    return [...items].sort((a, b) => templateEngine.toDate(b.date) - templateEngine.toDate(a.date) || a.id.localeCompare(b.id));
+}
 
-    return `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-${urls}
-</urlset>`;
+/**
+ * File of a news listing, relative to its locale folder
+ * The first page of the index is the news page itself; the other listings live in a
+ * folder named after it: `news/page-2.html`, `news/2024.html`,
+ * `news/category-awards.html`, `news/tag-outreach.html` (`nouvelles/...` in French).
+ */
+function newsListFile(site, locale, kind, key) {
+    const file = site.pages.news[locale].file;
+    const folder = file.replace(/\.html$/, '');
+    if (kind === 'page') return key > 1 ? `${folder}/page-${key}.html` : file;
+    if (kind === 'year') return `${folder}/${key}.html`;
+    return `${folder}/${kind}-${slugify(key)}.html`;
+}
+
+/**
+ * Lasting address of a news item, relative to its locale folder: its place on the page
+ * of its year, which does not change as newer items push it down the index
+ */
+function newsItemFile(site, item, locale) {
+    return `${newsListFile(site, locale, 'year', String(item.date).slice(0, 4))}#${item.id}`;
+}
+
+/**
+ * Every news listing of one locale: the pages of the index, then a page per year,
+ * per category and per tag in use
+ * The first index page pins up to `featured_count` featured items above the others;
+ * the remaining items are split into pages of `per_page`. Listings hold the raw items,
+ * newest first.
+ */
+function newsListings(site, newsData, i18n) {
+    const strings = site.locales[i18n.locale].newsArchive;
+    const categories = localizeFor(newsData.categories || {}, { ...i18n, path: null }, 'news.categories');
+    const items = newestFirst(newsData.news);
+    const pinned = items.filter(item => item.featured).slice(0, newsData.featured_count ?? 3);
+    const rest = items.filter(item => !pinned.includes(item));
+    const perPage = newsData.per_page || 10;
+    const pages = Math.max(1, Math.ceil(rest.length / perPage));
+    const listings = [];
+
+    for (let page = 1; page <= pages; page++) {
+        listings.push({
+            kind: 'page',
+            key: page,
+            pages,
+            title: strings.heading,
+            pinned: page === 1 ? pinned : [],
+            items: rest.slice((page - 1) * perPage, page * perPage)
+        });
+    }
+
+    const yearOf = item => String(item.date).slice(0, 4);
+    [...new Set(items.map(yearOf))].forEach(year => listings.push({
+        kind: 'year',
+        key: year,
+        title: strings.year.replace('{year}', year),
+        items: items.filter(item => yearOf(item) === year)
+    }));
+
+    // Categories in the order of news.json, then any that are not described there
+    const used = new Set(items.map(item => item.category).filter(Boolean));
+    [...Object.keys(categories).filter(key => used.has(key)), ...[...used].filter(key => !categories[key])]
+        .forEach(key => listings.push({
+            kind: 'category',
+            key,
+            title: strings.category.replace('{category}', categories[key] || key),
+            label: categories[key] || key,
+            items: items.filter(item => item.category === key)
+        }));
+
+    [...new Set(items.flatMap(item => item.tags || []))]
+        .sort((a, b) => a.localeCompare(b, i18n.locale))
+        .forEach(tag => listings.push({
+            kind: 'tag',
+            key: tag,
+            title: strings.tag.replace('{tag}', tag),
+            label: tag,
+            items: items.filter(item => (item.tags || []).includes(tag))
+        }));
+
+    return listings;
+}
+
+/**
+ * Render one news listing from content/templates/pages/news.html
+ * `listings` are all the listings of the locale, for the archive links; `events` is
+ * the events section data, shown on the first page of the index.
+ */
+function renderNewsListing(site, newsData, listings, listing, context, i18n, events = null) {
+    const strings = site.locales[i18n.locale].newsArchive;
+    const categories = localizeFor(newsData.categories || {}, { ...i18n, path: null }, 'news.categories');
+    const hrefs = (kind, key) => `${context.home}${newsListFile(site, i18n.locale, kind, key)}`;
+    const view = entry => newsItemView(entry, { ...i18n, root: context.root, categories, hrefs });
+    const isCurrent = other => other.kind === listing.kind && other.key === listing.key;
+    const archive = [['year', strings.years], ['category', strings.categories], ['tag', strings.tags]]
+        .map(([kind, title]) => ({
+            title,
+            links: listings.filter(other => other.kind === kind).map(other => ({
+                label: other.label || other.key,
+                href: hrefs(kind, other.key),
+                count: other.items.length,
+                current: isCurrent(other)
+            }))
+        }))
+        .filter(group => group.links.length > 0);
+
+    // Year headings, as on the hand-written page, except on a year's own page
+    const groups = [];
+    listing.items.forEach(item => {
+        const year = String(item.date).slice(0, 4);
+        if (groups.length === 0 || groups[groups.length - 1].year !== year) {
+            groups.push({ year, href: hrefs('year', year), heading: listing.kind !== 'year', items: [] });
+        }
+        groups[groups.length - 1].items.push(view(item));
+    });
+
+    const page = listing.kind === 'page' ? listing.key : 0;
+    return renderFile('pages/news.html', {
+        ...context,
+        events,
+        listing: {
+            title: listing.title,
+            pageLabel: page > 1 ? strings.page.replace('{page}', page).replace('{pages}', listing.pages) : '',
+            parent: page === 1 ? '' : hrefs('page', 1)
+        },
+        featured: (listing.pinned || []).map(view),
+        groups,
+        pagination: page && listing.pages > 1 ? {
+            newer: page > 1 ? hrefs('page', page - 1) : '',
+            older: page < listing.pages ? hrefs('page', page + 1) : '',
+            pages: Array.from({ length: listing.pages }, (unused, index) => ({
+                number: index + 1,
+                href: hrefs('page', index + 1),
+                current: index + 1 === page
+            }))
+        } : null,
+        archive
+    });
+}
+
+/**
+ * Generate the news listings of one locale other than the news page itself (which is
+ * PAGE_BODIES.news): the later index pages and the year, category and tag pages
+ * Returns `{ filename: content }`.
+ */
+function generateNewsArchive(site, newsData, locale, fallbacks = []) {
+    const i18n = { locale, locales: Object.keys(site.locales), defaultLocale: site.defaultLocale, fallbacks };
+    const strings = site.locales[locale];
+    const listings = newsListings(site, newsData, i18n);
+    const files = {};
+
+    listings.filter(listing => listing.kind !== 'page' || listing.key > 1).forEach(listing => {
+        const context = nestedPageContext(site, 'news', locale, i18n, lang => newsListFile(site, lang, listing.kind, listing.key));
+        const heading = listing.kind === 'page' ?
+            `${listing.title}, ${strings.newsArchive.page.replace('{page}', listing.key).replace('{pages}', listing.pages)}` :
+            listing.title;
+        context.page = {
+            ...context.page,
+            title: `${heading} - ${strings.groupName}`,
+            description: summarize(`${heading}. ${context.page.description}`)
+        };
+
+        const body = renderNewsListing(site, newsData, listings, listing, context, i18n);
+        files[`${locale}/${newsListFile(site, locale, listing.kind, listing.key)}`] = renderFile('layout.html', {
+            ...context,
+            pageHead: '',
+            structuredData: '',
+            body: `\n${body}\n\t\t`
+        });
+    });
+
+    return files;
+}
+
+/**
+ * Template data for the events section in one locale
+ * Upcoming events (still running or to come) show their next date, soonest first;
+ * past events show their last date, most recent first. Events with impossible times
+ * are left out here and reported by generateICalendar and the content validator.
+ */
+function eventsView(site, eventsData, i18n, now = Date.now()) {
+    const strings = site.locales[i18n.locale].events;
+    const types = localizeFor(eventsData.types || {}, { ...i18n, path: null }, 'events.types');
+    const upcoming = [];
+    const past = [];
+
+    eventsData.events.forEach(raw => {
+        if (checkEventTimes(raw).length > 0) return;
+        const list = occurrences(raw);
+        if (list.length === 0) return;
+
+        const next = list.find(occurrence => occurrence.end >= now);
+        const shown = next || list[list.length - 1];
+        const when = formatWhen(raw, shown, i18n.locale);
+        const event = {
+            ...localizeFor(raw, i18n, `events[${raw.id}]`),
+            typeLabel: types[raw.type] || '',
+            when: next && raw.recurrence ? `${strings.next} ${when}` : when,
+            datetime: raw.start.includes('T') ? new Date(shown.start).toISOString().replace(/\.\d{3}Z$/, 'Z') : shown.date,
+            recurrence: describeRecurrence(raw.recurrence, i18n.locale, strings),
+            sortKey: shown.start
+        };
+        (next ? upcoming : past).push(event);
+    });
+
+    return {
+        upcoming: upcoming.sort((a, b) => a.sortKey - b.sortKey),
+        past: past.sort((a, b) => b.sortKey - a.sortKey).slice(0, eventsData.past_limit || 5)
+    };
+}
+
+/**
+ * Generate the events section from content/templates/events-section.html
+ */
+function generateEventsHTML(eventsData, site, context, i18n) {
+    return renderFile('events-section.html', {
+        ...context,
+        ...eventsView(site, eventsData, i18n),
+        calendar: 'events.ics'
+    });
+}
+
+/**
+ * Generate the iCalendar feed of one locale (see events.js)
+ */
+function generateEventsCalendar(site, eventsData, locale, fallbacks = []) {
+    const i18n = { locale, locales: Object.keys(site.locales), defaultLocale: site.defaultLocale, fallbacks };
+    const strings = site.locales[locale];
+    const newsPage = pageUrl(site, 'news', locale);
+
+    return generateICalendar(eventsData.events.map(event => {
+        const localized = localizeFor(event, i18n, `events[${event.id}]`);
+        return { ...localized, description: localized.description ? plainText(localized.description) : '' };
+    }), {
+        name: strings.events.calendarName,
+        description: `${strings.groupName}, ${strings.address.join(', ')}`,
+        domain: new URL(site.baseUrl).host,
+        stamp: eventsData.last_updated,
+        locale,
+        types: localizeFor(eventsData.types || {}, { ...i18n, path: null }, 'events.types'),
+        url: event => event.url || `${newsPage}#event-${event.id}`
+    });
+}
+
+/**
+ * True while an opening takes applications: not marked `filled` and its `deadline`
+ * (a date, inclusive) not yet past
+ */
+function isOpen(opening, today) {
+    return !opening.filled && (!opening.deadline || opening.deadline >= today.slice(0, opening.deadline.length));
+}
+
+/**
+ * Template data for the openings section in one locale
+ * Open positions keep the order of openings.json; positions past their deadline (or
+ * marked `filled`) move to the archive, most recently closed first, up to `archive_limit`.
+ */
+function openingsView(openingsData, i18n, now = new Date()) {
+    const today = now.toISOString().slice(0, 10);
+    const types = localizeFor(openingsData.types || {}, { ...i18n, path: null }, 'openings.types');
+    const dateStyle = date => (date && date.length === 7 ? 'month' : 'long');
+    const open = [];
+    const archived = [];
+
+    openingsData.openings.forEach(raw => {
+        const opening = localizeFor(raw, i18n, `openings[${raw.id}]`);
+        const view = {
+            ...opening,
+            icon: (types[opening.type] || {}).icon || '',
+            typeLabel: (types[opening.type] || {}).label || '',
+            startStyle: dateStyle(opening.start),
+            deadlineStyle: dateStyle(opening.deadline),
+            hasDetails: ['requirements', 'duration', 'funding', 'start', 'deadline'].some(key => opening[key]),
+            closed: opening.deadline || ''
+        };
+        (isOpen(raw, today) ? open : archived).push(view);
+    });
+
+    return {
+        open,
+        archived: archived.sort((a, b) => b.closed.localeCompare(a.closed))
+            .slice(0, openingsData.archive_limit || 10)
+    };
+}
+
+/**
+ * Generate the openings section from content/templates/openings-section.html
+ * Warns when no position is open, since the page then only shows the archive
+ */
+function generateOpeningsHTML(openingsData, site, context, i18n) {
+    const view = openingsView(openingsData, i18n);
+    if (view.open.length === 0) {
+        console.warn(`⚠️  ${i18n.locale}/${site.pages.openings[i18n.locale].file}: no open positions in openings.json`);
+    }
+    return renderFile('openings-section.html', { ...context, ...view });
+}
+
+/**
+ * Template data for the team page in one locale
+ * Members whose `end` has passed are alumni, most recent first; the others are current,
+ * in the order of `roles` in team.json, then by start date. A role gets a placeholder
+ * card only while openings.json has an open position of that type.
+ */
+function teamView(site, teamData, openingsData, i18n, now = new Date()) {
+    const strings = site.locales[i18n.locale].team;
+    const roles = localizeFor(teamData.roles || {}, { ...i18n, path: null }, 'team.roles');
+    const order = Object.keys(roles);
+    const today = now.toISOString().slice(0, 10);
+    const openings = openingsData ? openingsData.openings.filter(opening => isOpen(opening, today)) : [];
+    const openingsFile = site.pages.openings[i18n.locale].file;
+
+    // End dates count at their own precision: "2026-10" is current until October is over
+    const isAlumni = member => Boolean(member.end) && member.end < today.slice(0, member.end.length);
+    const yearOf = date => (date ? date.slice(0, 4) : '');
+    const byRole = (a, b) => order.indexOf(a.role) - order.indexOf(b.role) || a.start.localeCompare(b.start);
+
+    const members = teamData.members.map(raw => {
+        const member = localizeFor(raw, i18n, `team[${raw.id}]`);
+        const role = roles[member.role];
+        if (!role) console.warn(`⚠️  team[${member.id}]: unknown role "${member.role}"`);
+
+        const links = (member.links || []).map(link => ({
+            href: /^[a-z][a-z0-9+.-]*:/i.test(link.url) ? link.url : `../${link.url}`,
+            icon: link.icon,
+            label: link.label
+        }));
+        if (member.orcid) {
+            links.push({ href: `https://orcid.org/${member.orcid}`, icon: 'fa-id-card', label: strings.orcid });
+        }
+
+        const start = yearOf(member.start);
+        const end = yearOf(member.end);
+        return {
+            ...member,
+            basePath: '../',
+            icon: role ? role.icon : '',
+            label: role ? role.label : member.role,
+            bio: [].concat(member.bio || []),
+            links,
+            years: start === end ? start : `${start}–${end}`
+        };
+    });
+
+    return {
+        current: members.filter(member => !isAlumni(member)).sort(byRole),
+        alumni: members.filter(isAlumni).sort((a, b) => b.end.localeCompare(a.end) || byRole(a, b)),
+        recruiting: order
+            .filter(key => roles[key].placeholder && openings.some(opening => opening.type === key))
+            .map(key => ({
+                role: key,
+                icon: roles[key].icon,
+                label: roles[key].label,
+                title: roles[key].placeholder.title,
+                topic: roles[key].placeholder.topic,
+                href: `${openingsFile}#${openings.find(opening => opening.type === key).id}`
+            })),
+        legend: order
+            .filter(key => roles[key].legend !== false)
+            .map(key => ({ role: key, icon: roles[key].icon, short: roles[key].short || roles[key].label }))
+    };
+}
+
+/**
+ * Page bodies that are generated from data; any other page keeps its hand-written body
+ * `data` lists the DATA_FILES keys a body reads, so watch mode knows when to rebuild it.
+ * `i18n` carries the locale settings and the fallback list (see localize.js)
+ */
+const PAGE_BODIES = {
+    publications: {
+        data: ['publications'],
+        render: (data, context, i18n) => renderFile('pages/publications.html', {
+            ...context,
+            filter: data.publications ? publicationFilterView(data.publications.publications, data.site, i18n.locale) : null,
+            exports: citationLinks('../', 'publications'),
+            publications: data.publications ? data.publications.publications.map(pub =>
+                publicationView(pub, {
+                    ...i18n,
+                    root: '../',
+                    awardTypes: data.publications.award_types
+                })) : []
+        })
+    },
+    news: {
+        data: ['news', 'events'],
+        render: (data, context, i18n) => {
+            const news = data.news || { news: [] };
+            const listings = newsListings(data.site, news, i18n);
+            const events = data.events ? {
+                ...context,
+                ...eventsView(data.site, data.events, i18n),
+                calendar: 'events.ics'
+            } : null;
+            return renderNewsListing(data.site, news, listings, listings[0], context, i18n, events);
+        }
+    },
+    team: {
+        data: ['team', 'openings'],
+        render: (data, context, i18n) => renderFile('pages/team.html', {
+            ...context,
+            ...(data.team ? teamView(data.site, data.team, data.openings, i18n) : {})
+        })
+    }
+};
+
+/**
+ * Generated sections inside hand-written bodies, between `<!-- name:start -->` and
+ * `<!-- name:end -->`; the rest of a static body is kept as it is
+ */
+const PAGE_SECTIONS = {
+    events: {
+        data: ['events'],
+        render: (data, context, i18n) => generateEventsHTML(data.events, data.site, context, i18n)
+    },
+    openings: {
+        data: ['openings'],
+        render: (data, context, i18n) => generateOpeningsHTML(data.openings, data.site, context, i18n)
+    }
+};
+
+/**
+ * Return the text between `<!-- name:start -->` and `<!-- name:end -->`, or null
+ */
+function extractRegion(html, name) {
+    const start = `<!-- ${name}:start -->`;
+    const end = `<!-- ${name}:end -->`;
+    const from = html.indexOf(start);
+    const to = html.indexOf(end, from);
+    if (from === -1 || to === -1) return null;
+    return html.slice(from + start.length, to);
+}
+
+/**
+ * Refill the PAGE_SECTIONS regions of a hand-written body, indented like their markers
+ */
+function fillSections(body, data, context, i18n) {
+    return Object.entries(PAGE_SECTIONS).reduce((html, [name, section]) => {
+        const start = `<!-- ${name}:start -->`;
+        const end = `<!-- ${name}:end -->`;
+        const from = html.indexOf(start);
+        const to = html.indexOf(end, from);
+        if (from === -1 || to === -1) return html;
+
+        // Templates indent with tabs; follow the page when it indents with spaces
+        const indent = html.slice(html.lastIndexOf('\n', from) + 1, from);
+        const tab = indent.includes('\t') ? '\t' : '    ';
+        const rendered = section.render(data, context, i18n).trim().split('\n')
+            .map(line => (line ? indent + line.replace(/^\t+/, tabs => tab.repeat(tabs.length)) : line))
+            .join('\n');
+        return `${html.slice(0, from + start.length)}\n${rendered}\n${indent}${html.slice(to)}`;
+    }, body);
+}
+
+/**
+ * Names of the PAGE_SECTIONS regions in a page file as it is on disk
+ */
+function sectionsIn(filepath) {
+    const html = fs.existsSync(filepath) ? fs.readFileSync(filepath, 'utf8') : '';
+    return Object.keys(PAGE_SECTIONS).filter(name => html.includes(`<!-- ${name}:start -->`));
+}
+
+/**
+ * Absolute URL of a page in a given locale
+ */
+function pageUrl(site, pageKey, locale) {
+    return `${site.baseUrl}/${locale}/${site.pages[pageKey][locale].file}`;
+}
+
+/**
+ * hreflang alternates of a page: one per locale, plus x-default
+ * `fileOf(locale)` is the page's file in each locale, relative to the locale folder.
+ */
+function localeAlternates(site, fileOf) {
+    const urlOf = lang => `${site.baseUrl}/${lang}/${fileOf(lang)}`;
+    const alternates = Object.keys(site.locales).map(lang => ({ hreflang: lang, href: urlOf(lang) }));
+    alternates.push({ hreflang: 'x-default', href: urlOf(site.defaultLocale) });
+    return alternates;
+}
+
+/**
+ * hreflang alternates of a page in data/site.json
+ */
+function pageAlternates(site, pageKey) {
+    return localeAlternates(site, lang => site.pages[pageKey][lang].file);
+}
+
+/**
+ * Date (YYYY-MM-DD) of the last commit touching each file, relative to the site root
+ * Read in one pass over the history; empty when this is not a git checkout (e.g. a
+ * downloaded archive).
+ */
+function commitDates() {
+    const dates = new Map();
+    let log = '';
+    try {
+        log = execFileSync('git', ['-c', 'core.quotePath=false', 'log', '--name-only', '--relative', '--format=%cs'], {
+            cwd: CONFIG.outputDir,
+            encoding: 'utf8',
+            maxBuffer: 256 * 1024 * 1024,
+            stdio: ['ignore', 'pipe', 'ignore']
+        });
+    } catch (error) {
+        return dates;
+    }
+
+    // Newest commit first: a date line, then the files it touched
+    let date = null;
+    log.split('\n').forEach(line => {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(line)) {
+            date = line;
+        } else if (line && !dates.has(line)) {
+            dates.set(line, date);
+        }
+    });
+    return dates;
+}
+
+/**
+ * Date (YYYY-MM-DD) of the last change to any of `files`, relative to the site root
+ * `dates` comes from commitDates(); falls back to the newest modification time when
+ * git has no history for the files.
+ */
+function lastModified(files, dates) {
+    const committed = files.map(file => dates.get(file)).filter(Boolean).sort();
+    if (committed.length > 0) return committed[committed.length - 1];
+
+    const times = files.map(file => path.join(CONFIG.outputDir, file))
+        .filter(filepath => fs.existsSync(filepath))
+        .map(filepath => fs.statSync(filepath).mtimeMs);
+    return times.length > 0 ? new Date(Math.max(...times)).toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Every page of the site as one group per set of translations: the pages in
+ * data/site.json, and the publication pages and news listings when `data.publications`
+ * and `data.news` are given
+ * Each group has `fileOf(locale)` (its file in the locale folder), the `locales` it
+ * exists in (redirect stubs and missing hand-written pages are left out), the files
+ * its content comes from, and its sitemap section.
+ */
+function localePages(site, data = {}) {
+    const locales = Object.keys(site.locales);
+    const groups = [];
+
+    Object.values(site.pages).forEach(page => {
+        groups.push({
+            fileOf: locale => page[locale].file,
+            locales: locales.filter(locale => {
+                if (page[locale].redirect) return false;
+                return Boolean(PAGE_BODIES[pageBodyKind(page, locale)]) ||
+                    fs.existsSync(path.join(CONFIG.outputDir, locale, page[locale].file));
+            }),
+            sources: locale => {
+                const body = PAGE_BODIES[pageBodyKind(page, locale)];
+                return [`${locale}/${page[locale].file}`, ...(body ? body.data.map(key => `data/${DATA_FILES[key]}`) : [])];
+            },
+            section: page.sitemapSection || 'pages'
+        });
+    });
+
+    (data.publications ? data.publications.publications : []).forEach(pub => {
+        groups.push({
+            fileOf: () => publicationFile(pub),
+            locales,
+            sources: locale => [`${locale}/${publicationFile(pub)}`, `data/${DATA_FILES.publications}`],
+            section: 'publications'
+        });
+    });
+
+    if (data.news) {
+        const i18n = { locale: site.defaultLocale, locales, defaultLocale: site.defaultLocale };
+        newsListings(site, data.news, i18n)
+            .filter(listing => listing.kind !== 'page' || listing.key > 1)
+            .forEach(listing => {
+                const fileOf = lang => newsListFile(site, lang, listing.kind, listing.key);
+                groups.push({
+                    fileOf,
+                    locales,
+                    sources: locale => [`${locale}/${fileOf(locale)}`, `data/${DATA_FILES.news}`],
+                    section: site.pages.news.sitemapSection || 'pages'
+                });
+            });
+    }
+
+    return groups;
+}
+
+/**
+ * Sitemap entries for every page of localePages() in each locale it exists in
+ * `lastmod` is the last change to the page file or to the data its body is generated
+ * from; `page.sitemapSection` groups pages in a sitemap index.
+ */
+function sitemapEntries(site, data = {}) {
+    const dates = commitDates();
+    return localePages(site, data).flatMap(group => {
+        const alternates = localeAlternates(site, group.fileOf);
+        return group.locales.map(locale => ({
+            loc: `${site.baseUrl}/${locale}/${group.fileOf(locale)}`,
+            lastmod: lastModified(group.sources(locale), dates),
+            alternates,
+            section: group.section
+        }));
+    });
+}
+
+/**
+ * Page-equivalence map read by the root redirect (assets/js/language-redirect.js):
+ * the file of every page in each locale, for the pages that exist in all of them
+ * The language switcher of each page links to the same files.
+ */
+function generateLanguageMap(site, data) {
+    const locales = Object.keys(site.locales);
+    const map = {
+        defaultLocale: site.defaultLocale,
+        locales,
+        pages: localePages(site, data)
+            .filter(group => group.locales.length === locales.length)
+            .map(group => Object.fromEntries(locales.map(locale => [locale, group.fileOf(locale)])))
+    };
+    return '/* Page equivalence map, generated by content/scripts/generate-content.js; do not edit */\n' +
+        `window.siteLanguageMap = ${JSON.stringify(map)};\n`;
+}
+
+/**
+ * The site root (index.html) and the not-found page (404.html), which send visitors to
+ * the page they asked for in their language (assets/js/language-redirect.js)
+ * 404.html is served for missing paths at any depth, so its links start at the site root.
+ */
+function generateRootPages(site) {
+    const locales = Object.keys(site.locales);
+    const sitePath = new URL(`${site.baseUrl}/`).pathname;
+
+    const render = (base, key) => {
+        const message = locales.map(locale => site.locales[locale].languageRedirect[key]).join(' / ');
+        return renderFile('root.html', {
+            defaultLocale: site.defaultLocale,
+            base,
+            notFound: key === 'notFound',
+            fallback: key === 'notFound' ? null : `${base}${site.defaultLocale}/index.html`,
+            title: `${site.locales[site.defaultLocale].groupName} - ${message}`,
+            message,
+            languages: locales.map(locale => ({ locale, name: site.locales[locale].name, href: `${base}${locale}/index.html` }))
+        });
+    };
+
+    return { 'index.html': render('', 'redirecting'), '404.html': render(sitePath, 'notFound') };
+}
+
+/**
+ * Documents of the site search index in one locale (see search-index.js)
+ * Pages with a generated body are indexed by their title and description only, since
+ * their publications and members are documents of their own; hand-written bodies are
+ * read from the page files, without their generated sections.
+ */
+function searchDocuments(site, data, i18n) {
+    const locale = i18n.locale;
+    const fileOf = pageKey => site.pages[pageKey][locale].file;
+    const sectionPattern = new RegExp(`<!-- (${Object.keys(PAGE_SECTIONS).join('|')}):start -->[\\s\\S]*?<!-- \\1:end -->`, 'g');
+    const documents = [];
+
+    Object.entries(site.pages).forEach(([pageKey, page]) => {
+        if (page[locale].redirect) return;
+
+        let text = '';
+        if (pageBodyKind(page, locale) === 'static') {
+            const filepath = path.join(CONFIG.outputDir, locale, page[locale].file);
+            const body = fs.existsSync(filepath) ? extractRegion(fs.readFileSync(filepath, 'utf8'), 'page-body') : null;
+            if (body === null) return;
+            text = body.replace(sectionPattern, '');
+        }
+
+        const navItem = site.nav.find(item => item.page === pageKey);
+        documents.push({
+            url: page[locale].file,
+            kind: 'page',
+            title: navItem ? localizeValue(navItem.label, locale, { ...i18n, path: `site.nav[${pageKey}].label` }) :
+                page[locale].title.split(/ [-|] /)[0],
+            keywords: [page[locale].title, page[locale].description, page[locale].keywords],
+            text
+        });
+    });
+
+    if (data.publications) {
+        data.publications.publications.forEach(publication => {
+            const pub = publicationView(publication, { ...i18n, awardTypes: data.publications.award_types });
+            documents.push({
+                url: publicationFile(pub),
+                kind: 'publication',
+                title: pub.title,
+                keywords: [...pub.authors, pub.journal, String(pub.year)],
+                text: pub.abstract
+            });
+        });
+    }
+
+    if (data.news) {
+        const categories = localizeFor(data.news.categories || {}, { ...i18n, path: null }, 'news.categories');
+        data.news.news.forEach(entry => {
+            const item = localizeFor(entry, i18n, `news[${entry.id}]`);
+            documents.push({
+                url: newsItemFile(site, item, locale),
+                kind: 'news',
+                title: item.title,
+                keywords: [categories[item.category], ...(item.tags || [])],
+                text: `${item.summary || ''} ${item.content || ''}`
+            });
+        });
+    }
+
+    if (data.events) {
+        const events = eventsView(site, data.events, i18n);
+        [...events.upcoming, ...events.past].forEach(event => documents.push({
+            url: `${fileOf('news')}#event-${event.id}`,
+            kind: 'event',
+            title: event.title,
+            keywords: [event.typeLabel, event.when, event.speaker, event.location],
+            text: event.description
+        }));
+    }
+
+    if (data.team) {
+        const team = teamView(site, data.team, data.openings, i18n);
+        [...team.current, ...team.alumni].forEach(member => documents.push({
+            url: `${fileOf('team')}#${member.id}`,
+            kind: 'member',
+            title: member.name,
+            keywords: [member.label, member.title],
+            text: member.bio.join(' ')
+        }));
+    }
+
+    if (data.openings) {
+        const openings = openingsView(data.openings, i18n);
+        [...openings.open, ...openings.archived].forEach(opening => documents.push({
+            url: `${fileOf('openings')}#${opening.id}`,
+            kind: 'opening',
+            title: opening.title,
+            keywords: [opening.typeLabel],
+            text: [opening.description, opening.requirements, opening.duration, opening.funding].filter(Boolean).join(' ')
+        }));
+    }
+
+    return documents;
+}
+
+/**
+ * Generate the search index script of one locale, loaded by assets/js/search.js
+ */
+function generateSearchIndex(site, data, locale, fallbacks = []) {
+    const i18n = { locale, locales: Object.keys(site.locales), defaultLocale: site.defaultLocale, fallbacks };
+    const index = searchIndex.buildSearchIndex(searchDocuments(site, data, i18n), site.locales[locale].search.kinds);
+    return searchIndex.searchIndexScript(index);
+}
+
+/**
+ * Build the template context shared by all partials of one page
+ */
+function buildPageContext(site, pageKey, locale, i18n = {}) {
+    const page = site.pages[pageKey];
+    const locales = Object.keys(site.locales);
+    const alternates = pageAlternates(site, pageKey);
+
+    return {
+        locale,
+        // Prefixes from the page to the site root and to its locale folder
+        root: '../',
+        home: '',
+        strings: site.locales[locale],
+        contact: site.contact,
+        year: new Date().getFullYear(),
+        page: {
+            ...page[locale],
+            url: pageUrl(site, pageKey, locale),
+            ogImage: `${site.baseUrl}/${page.ogImage}`
+        },
+        alternates,
+        feeds: feedLinks(site, locale),
+        languages: locales.map(lang => ({
+            locale: lang,
+            file: page[lang].file,
+            label: lang.toUpperCase(),
+            active: lang === locale
+        })),
+        nav: site.nav.map(item => ({
+            icon: item.icon,
+            label: localizeValue(item.label, locale, { ...i18n, path: `site.nav[${item.page || item.href}].label` }),
+            href: item.page ?
+                `${site.pages[item.page][locale].file}${item.hash ? `#${item.hash}` : ''}` : item.href
+        })),
+        social: site.social,
+        scripts: [...SHARED_SCRIPTS, ...(page.scripts || []), 'combined.min.js']
+    };
+}
+
+/**
+ * File of a publication's own page, relative to its locale folder
+ */
+function publicationFile(pub) {
+    return `publications/${pub.id}.html`;
+}
+
+/**
+ * Absolute URL of a publication's page in a given locale
+ */
+function publicationUrl(site, pub, locale) {
+    return `${site.baseUrl}/${locale}/${publicationFile(pub)}`;
+}
+
+/**
+ * Text cut to at most `limit` characters at a word boundary, for meta descriptions
+ */
+function summarize(text, limit = 160) {
+    if (text.length <= limit) return text;
+    const cut = text.slice(0, limit - 1);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length).replace(/[\s,;:.]+$/, '')}…`;
+}
+
+/**
+ * Highwire Press meta tags (citation_*) of a publication page, read by Google Scholar
+ * and by reference managers that save a citation from the page
+ */
+function publicationMeta(pub, url) {
+    const pages = citations.pageRange(pub.pages);
+    return [
+        ['citation_title', plainText(pub.title)],
+        ...pub.authors.map(author => ['citation_author', plainText(author)]),
+        ['citation_publication_date', String(pub.year)],
+        ['citation_journal_title', pub.journal ? plainText(pub.journal) : ''],
+        ['citation_volume', pub.volume],
+        ['citation_issue', pub.issue],
+        ['citation_firstpage', pages.first],
+        ['citation_lastpage', pages.last],
+        ['citation_doi', pub.doi],
+        ['citation_abstract_html_url', url]
+    ].filter(([, content]) => content).map(([name, content]) => ({ name, content: String(content) }));
+}
+
+/**
+ * Template context of a page one folder below its locale folder, such as a publication
+ * page or a news listing, derived from the context of the page `pageKey`
+ * `fileOf(locale)` is the page's file in each locale, relative to the locale folder.
+ */
+function nestedPageContext(site, pageKey, locale, i18n, fileOf) {
+    const context = buildPageContext(site, pageKey, locale, i18n);
+    const isRelative = href => !/^([a-z][a-z0-9+.-]*:|[#/])/i.test(href);
+
+    return {
+        ...context,
+        root: '../../',
+        home: '../',
+        page: { ...context.page, url: `${site.baseUrl}/${locale}/${fileOf(locale)}` },
+        alternates: localeAlternates(site, fileOf),
+        languages: context.languages.map(language => ({ ...language, file: fileOf(language.locale) })),
+        nav: context.nav.map(item => ({ ...item, href: isRelative(item.href) ? `../${item.href}` : item.href }))
+    };
+}
+
+/**
+ * Template context of a publication page: the context of the publication list, one
+ * folder deeper, with the paper's own title, description and meta tags
+ */
+function publicationPageContext(site, pub, locale, i18n) {
+    const context = nestedPageContext(site, 'publications', locale, i18n, () => publicationFile(pub));
+    const url = context.page.url;
+    const title = plainText(pub.title);
+    const abstract = pub.abstract ? plainText(pub.abstract) : '';
+
+    return {
+        ...context,
+        page: {
+            ...context.page,
+            title: `${title} - ${context.strings.groupName}`,
+            description: summarize(abstract || `${pub.authors.join(', ')}. ${title}. ${pub.journal || ''} ${pub.year}`.trim()),
+            keywords: [...pub.authors, pub.journal].filter(Boolean).map(plainText).join(', '),
+            url,
+            ogType: 'article',
+            ogImage: pub.image ? `${site.baseUrl}/${pub.image}` : context.page.ogImage,
+            meta: publicationMeta(pub, url)
+        },
+        scripts: [...SHARED_SCRIPTS, 'citation-copy.js', 'combined.min.js']
+    };
+}
+
+/**
+ * Generate the pages of every publication in one locale, from
+ * content/templates/pages/publication.html
+ * Returns `{ filename: content }`. News items list the papers they are about in
+ * `publications`; those items show up as related news, newest first.
+ */
+function generatePublicationPages(site, data, locale, fallbacks = []) {
+    const i18n = { locale, locales: Object.keys(site.locales), defaultLocale: site.defaultLocale, fallbacks };
+    const strings = site.locales[locale];
+    const listFile = site.pages.publications[locale].file;
+    const files = {};
+
+    data.publications.publications.forEach(publication => {
+        const pub = publicationView(publication, { ...i18n, root: '../../', awardTypes: data.publications.award_types });
+        const context = publicationPageContext(site, pub, locale, i18n);
+        const related = newestFirst(data.news ? data.news.news : [])
+            .filter(item => (item.publications || []).includes(pub.id))
+            .map(item => ({ ...localizeFor(item, i18n, `news[${item.id}]`), href: `../${newsItemFile(site, item, locale)}` }));
+
+        const body = renderFile('pages/publication.html', {
+            ...context,
+            publication: pub,
+            statusLabel: pub.status !== 'published' ? strings.publicationFilter.statuses[pub.status] || '' : '',
+            listHref: `../${listFile}#${pub.anchor}`,
+            related
+        });
+
+        files[`${locale}/${publicationFile(pub)}`] = renderFile('layout.html', {
+            ...context,
+            pageHead: '',
+            structuredData: structuredData.jsonLd([structuredData.scholarlyArticleLd(pub, {
+                baseUrl: site.baseUrl,
+                url: context.page.url
+            })], '\t'),
+            body: `\n${body}\n\t\t`
+        });
+    });
+
+    return files;
+}
+
+/**
+ * Body kind of a page in one locale: 'static' or a key of PAGE_BODIES
+ */
+function pageBodyKind(page, locale) {
+    return page.body && typeof page.body === 'object' ? page.body[locale] || 'static' : page.body || 'static';
+}
+
+/**
+ * Assemble one complete page from the layout, partials and its body
+ * Returns null when a hand-written page has no body to keep
+ */
+function assemblePage(site, pageKey, locale, data, fallbacks = []) {
+    const page = site.pages[pageKey];
+    const filepath = path.join(CONFIG.outputDir, locale, page[locale].file);
+    const existing = fs.existsSync(filepath) ? fs.readFileSync(filepath, 'utf8') : '';
+    const i18n = { locale, locales: Object.keys(site.locales), defaultLocale: site.defaultLocale, fallbacks };
+    const context = buildPageContext(site, pageKey, locale, i18n);
+    const bodyKind = pageBodyKind(page, locale);
+
+    let body;
+    if (bodyKind === 'static') {
+        body = extractRegion(existing, 'page-body');
+        if (body === null) {
+            console.warn(`⚠️  ${locale}/${page[locale].file} has no page-body markers, leaving it untouched`);
+            return null;
+        }
+        body = fillSections(body, data, context, i18n);
+    } else if (PAGE_BODIES[bodyKind]) {
+        body = `\n${PAGE_BODIES[bodyKind].render(data, context, i18n)}\n\t\t`;
+    } else {
+        console.error(`❌ Unknown body "${bodyKind}" for ${locale}/${page[locale].file}`);
+        return null;
+    }
+
+    return renderFile('layout.html', {
+        ...context,
+        pageHead: extractRegion(existing, 'page-head') || '',
+        structuredData: generateStructuredData(site, data, pageKey, locale, i18n),
+        body
+    });
+}
+
+/**
+ * Every file the generator writes, with the data files it depends on
+ * Each output is `{ id, data, build }`; `build(data, fallbacks)` returns the file
+ * content, `{ filename: content }` for outputs that write several files, or null to
+ * leave the file as it is. Templates are tracked as they are read.
+ */
+function listOutputs(site) {
+    const outputs = [];
+
+    Object.keys(site.pages).forEach(pageKey => {
+        Object.keys(site.locales).forEach(locale => {
+            const page = site.pages[pageKey];
+            const body = PAGE_BODIES[pageBodyKind(page, locale)];
+            const sections = body ? [] : sectionsIn(path.join(CONFIG.outputDir, locale, page[locale].file));
+            const ld = (page.structuredData || []).filter(kind => STRUCTURED_DATA[kind]);
+            outputs.push({
+                id: `${locale}/${page[locale].file}`,
+                data: ['site', ...new Set([
+                    ...(body ? body.data : []),
+                    ...sections.flatMap(name => PAGE_SECTIONS[name].data),
+                    ...ld.flatMap(kind => STRUCTURED_DATA[kind].data)
+                ])],
+                build: (data, fallbacks) => assemblePage(data.site, pageKey, locale, data, fallbacks)
+            });
+        });
+    });
+
+    Object.keys(site.locales).forEach(locale => {
+        outputs.push({
+            id: `${locale}/feeds`,
+            data: ['site', 'news'],
+            build: (data, fallbacks) => (data.news ? generateFeeds(data.site, data.news, locale, fallbacks) : null)
+        });
+        outputs.push({
+            id: `${locale}/events.ics`,
+            data: ['site', 'events'],
+            build: (data, fallbacks) => (data.events ? generateEventsCalendar(data.site, data.events, locale, fallbacks) : null)
+        });
+        outputs.push({
+            id: `${locale}/${site.pages.news[locale].file.replace(/\.html$/, '')}/`,
+            data: ['site', 'news'],
+            build: (data, fallbacks) => (data.news ? generateNewsArchive(data.site, data.news, locale, fallbacks) : null)
+        });
+        outputs.push({
+            id: `${locale}/publications/`,
+            data: ['site', 'publications', 'news'],
+            build: (data, fallbacks) => (data.publications ? generatePublicationPages(data.site, data, locale, fallbacks) : null)
+        });
+        outputs.push({
+            id: `${locale}/search-index.js`,
+            data: ['site', 'publications', 'news', 'events', 'team', 'openings'],
+            build: (data, fallbacks) => generateSearchIndex(data.site, data, locale, fallbacks)
+        });
+    });
+
+    outputs.push({
+        id: 'citations',
+        data: ['site', 'publications'],
+        build: (data, fallbacks) => (data.publications ? generateCitations(data.site, data.publications, fallbacks) : null)
+    });
+
+    outputs.push({
+        id: 'language',
+        data: ['site', ...new Set(Object.values(PAGE_BODIES).flatMap(body => body.data))],
+        build: data => ({
+            'language-map.js': generateLanguageMap(data.site, data),
+            ...generateRootPages(data.site)
+        })
+    });
+
+    outputs.push({
+        id: 'sitemap',
+        data: ['site', ...new Set(Object.values(PAGE_BODIES).flatMap(body => body.data))],
+        build: data => ({
+            ...generateSitemap(data.site, sitemapEntries(data.site, data)),
+            'robots.txt': `User-agent: *\nAllow: /\n\nSitemap: ${data.site.baseUrl}/sitemap.xml\n`
+        })
+    });
+
+    return outputs;
+}
+
+/**
+ * Write through a temporary file so an interrupted build never leaves a half-written output
+ */
+function writeFileAtomic(filepath, content) {
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    const temporary = `${filepath}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, content, 'utf8');
+    fs.renameSync(temporary, filepath);
+}
+
+/**
+ * Build a set of outputs and record their dependencies in the build graph
+ * Outputs that depend on invalid data, or whose templates fail, keep their previous
+ * file. Everything is rendered before anything is written, and files whose content
+ * did not change are not rewritten.
+ */
+function buildOutputs(outputs, data, invalid = new Set()) {
+    const results = { built: [], unchanged: [], skipped: [], failed: [], fallbacks: [] };
+    const rendered = [];
+
+    outputs.forEach(output => {
+        const broken = output.data.filter(key => invalid.has(key));
+        if (broken.length > 0) {
+            results.skipped.push({ id: output.id, reason: `${broken.map(key => DATA_FILES[key]).join(', ')} failed to load` });
+            return;
+        }
+
+        const started = Date.now();
+        const fallbacks = [];
+        templateReads = new Set();
+        try {
+            const content = output.build(data, fallbacks);
+            buildGraph.set(output.id, [...output.data.map(key => `data/${DATA_FILES[key]}`), ...templateReads]);
+            if (content === null) {
+                results.skipped.push({ id: output.id, reason: 'nothing to build' });
+                return;
+            }
+            const files = typeof content === 'string' ? { [output.id]: content } : content;
+            const ms = Date.now() - started;
+            Object.entries(files).forEach(([id, text]) => rendered.push({ id, content: text, ms }));
+            results.fallbacks.push(...fallbacks);
+        } catch (error) {
+            // Keep the old dependencies (or the templates read so far) so a fix triggers a rebuild
+            buildGraph.set(output.id, [...new Set([...(buildGraph.get(output.id) || []), ...templateReads])]);
+            results.failed.push({ id: output.id, error: error.message });
+        }
+    });
+
+    rendered.forEach(entry => {
+        const filepath = path.join(CONFIG.outputDir, entry.id);
+        if (fs.existsSync(filepath) && fs.readFileSync(filepath, 'utf8') === entry.content) {
+            results.unchanged.push(entry);
+        } else {
+            writeFileAtomic(filepath, entry.content);
+            results.built.push(entry);
+        }
+    });
+
+    return results;
+}
+
+/**
+ * Print what a build wrote, what it left in place and how long it took
+ */
+function reportBuild(results, elapsed) {
+    results.built.forEach(entry => console.log(`✅ Built ${entry.id} (${entry.ms} ms)`));
+    results.skipped.forEach(entry => console.warn(`⏭️  Kept previous ${entry.id}: ${entry.reason}`));
+    results.failed.forEach(entry => console.error(`❌ Kept previous ${entry.id}: ${entry.error}`));
+    console.log(`📊 ${results.built.length} rebuilt, ${results.unchanged.length} unchanged, ` +
+        `${results.skipped.length + results.failed.length} kept as they were (${elapsed} ms)`);
 }
 
 /**
  * Main content generation function
+ * Returns the build results, or null when site.json cannot be loaded
  */
 function generateContent() {
     console.log('🚀 Starting content generation...');
+    const started = Date.now();
+
+    const { data, invalid } = loadAllData();
+    if (!data.site) {
+        console.error('❌ Failed to load site data');
+        return null;
+    }
 
-    // Load all data
-    const personal = loadData('personal.json');
-    const publications = loadData('publications.json');
-    const news = loadData('news.json');
-    const resources = loadData('resources.json');
-    const activities = loadData('activities.json');
+    const results = buildOutputs(listOutputs(data.site), data, invalid);
+    reportBuild(results, Date.now() - started);
+    reportFallbacks(results.fallbacks);
 
-    if (!personal) {
-        console.error('❌ Failed to load personal data');
-        return;
+    if (invalid.size > 0 || results.failed.length > 0) {
+        console.error('❌ Content generation finished with errors; the previous output was kept where needed');
+    } else {
+        console.log('🎉 Content generation completed!');
     }
+    return { ...results, invalid: [...invalid] };
+}
 
-    // Generate content sections
-    const generatedContent = {
-        publications: publications ? publications.publications.map(generatePublicationHTML).join('') : '',
-        news: news ? news.news.map(generateNewsHTML).join('') : '',
-        resources: resources ? Object.values(resources.sections).map(generateResourceHTML).join('') : '',
-        activities: activities ? Object.values(activities.sections).map(generateActivityHTML).join('') : '',
-        structuredData: generateStructuredData(personal, publications),
-        sitemap: generateSitemap()
-    };
+/**
+ * Watch data/ and content/templates/ and rebuild only the outputs that depend on
+ * what changed. Save bursts are debounced into one rebuild, and a data file that
+ * fails to parse keeps its last good version until it is fixed.
+ */
+function watchContent() {
+    const chokidar = require('chokidar');
+    const { data, invalid } = loadAllData();
+    const pending = new Set();
+    let timer = null;
 
-    // Write generated content files
-    const contentOutputDir = path.join(__dirname, '../generated');
-    if (!fs.existsSync(contentOutputDir)) {
-        fs.mkdirSync(contentOutputDir, { recursive: true });
+    if (data.site) {
+        reportBuild(buildOutputs(listOutputs(data.site), data, invalid), 0);
     }
 
-    Object.entries(generatedContent).forEach(([key, content]) => {
-        const filename = key === 'sitemap' ? `${key}.xml` :
-                        key === 'structuredData' ? `${key}.json` : `${key}.html`;
-        const filepath = path.join(contentOutputDir, filename);
-        fs.writeFileSync(filepath, content, 'utf8');
-        console.log(`✅ Generated ${filename}`);
-    });
+    const rebuild = () => {
+        const changed = [...pending];
+        const started = Date.now();
+        pending.clear();
+        timer = null;
+        console.log(`\n📝 Changed: ${changed.join(', ')}`);
+
+        Object.entries(DATA_FILES).forEach(([key, filename]) => {
+            if (!changed.includes(`data/${filename}`)) return;
+            const fresh = loadData(filename);
+            if (fresh === null) {
+                invalid.add(key);
+            } else {
+                data[key] = fresh;
+                invalid.delete(key);
+            }
+        });
+
+        if (!data.site) {
+            console.error('❌ Waiting for a valid site.json');
+            return;
+        }
 
-    console.log('🎉 Content generation completed!');
-    console.log(`📁 Generated files saved to: ${contentOutputDir}`);
+        // Outputs that were never built (new pages in site.json) are always included
+        const affected = listOutputs(data.site).filter(output => {
+            const dependencies = buildGraph.get(output.id);
+            return !dependencies || changed.some(file => dependencies.includes(file));
+        });
+        if (affected.length === 0) {
+            console.log('✨ No output depends on the changed files');
+            return;
+        }
+
+        const results = buildOutputs(affected, data, invalid);
+        console.log(`🔁 Rebuilt ${results.built.length} of ${affected.length} affected output(s)`);
+        reportBuild(results, Date.now() - started);
+        if (results.fallbacks.length > 0) reportFallbacks(results.fallbacks);
+    };
+
+    const onChange = filepath => {
+        pending.add(sitePath(path.resolve(filepath)));
+        clearTimeout(timer);
+        timer = setTimeout(rebuild, CONFIG.watchDebounce);
+    };
+
+    chokidar.watch([CONFIG.dataDir, CONFIG.templateDir], { ignoreInitial: true })
+        .on('add', onChange)
+        .on('change', onChange)
+        .on('unlink', onChange);
+    console.log('👀 Watching data/ and content/templates/ for changes...');
 }
 
 // CLI interface
@@ -283,16 +1812,13 @@ if (require.main === module) {
 
     switch (command) {
         case 'generate':
-        case undefined:
-            generateContent();
+        case undefined: {
+            const results = generateContent();
+            if (!results || results.invalid.length > 0 || results.failed.length > 0) process.exitCode = 1;
             break;
+        }
         case 'watch':
-            console.log('👀 Watching for data changes...');
-            const chokidar = require('chokidar');
-            chokidar.watch(CONFIG.dataDir).on('change', () => {
-                console.log('📝 Data file changed, regenerating content...');
-                generateContent();
-            });
+            watchContent();
             break;
         default:
             console.log('Usage: node generate-content.js [generate|watch]');
@@ -303,10 +1829,28 @@ module.exports = {
     generateContent,
     loadData,
     renderTemplate,
+    extractRegion,
+    loadAllData,
+    assemblePage,
+    listOutputs,
+    buildOutputs,
+    watchContent,
     generatePublicationHTML,
     generateNewsHTML,
+    generateNewsArchive,
     generateResourceHTML,
     generateActivityHTML,
     generateStructuredData,
+    generateFeeds,
+    generateEventsHTML,
+    generateEventsCalendar,
+    generateOpeningsHTML,
+    teamView,
+    generateSearchIndex,
+    generateCitations,
+    generateLanguageMap,
+    generateRootPages,
+    generatePublicationPages,
+    sitemapEntries,
     generateSitemap
 };
\ No newline at end of file
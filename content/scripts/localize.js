@@ -0,0 +1,104 @@
+/**
+ * Localization helpers for Roman Korol's Website
+ * A data field holds either one value for every language ("journal": "J. Chem. Phys.")
+ * or one value per locale ("abstract": { "en": "...", "fr": "..." }). A missing or empty
+ * translation falls back to the default locale, and every fallback is recorded.
+ */
+
+const DEFAULT_LOCALE = 'en';
+const LOCALES = ['en', 'fr'];
+
+/**
+ * True for `{ en, fr }`-style objects whose keys are all known locales
+ */
+function isLocalized(value, locales = LOCALES) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+    const keys = Object.keys(value);
+    return keys.length > 0 && keys.every(key => locales.includes(key));
+}
+
+/**
+ * A translation counts as missing when it is absent or an empty string
+ */
+function hasTranslation(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Pick the value for a locale, falling back to the default locale (then any locale)
+ * Options: `defaultLocale`, `locales`, `fallbacks` (array that collects
+ * `{ path, locale, from }` records) and `path` (name used in those records)
+ */
+function localizeValue(value, locale, options = {}) {
+    const { defaultLocale = DEFAULT_LOCALE, locales = LOCALES, fallbacks, path = '' } = options;
+
+    if (!isLocalized(value, locales)) return value;
+    if (hasTranslation(value[locale])) return value[locale];
+
+    const from = [defaultLocale, ...locales].find(candidate => hasTranslation(value[candidate]));
+    if (from === undefined) return '';
+
+    if (fallbacks) fallbacks.push({ path, locale, from });
+    return value[from];
+}
+
+/**
+ * Resolve every localized field in a data structure for one locale
+ * Array items with an `id` are named by it in fallback paths: news[2024-09-retreat].title
+ */
+function localizeData(data, locale, options = {}) {
+    const { locales = LOCALES, path = '' } = options;
+
+    if (isLocalized(data, locales)) return localizeValue(data, locale, options);
+
+    if (Array.isArray(data)) {
+        return data.map((item, index) => localizeData(item, locale, {
+            ...options,
+            path: `${path}[${item && item.id !== undefined ? item.id : index}]`
+        }));
+    }
+
+    if (data && typeof data === 'object') {
+        const result = {};
+        Object.entries(data).forEach(([key, value]) => {
+            result[key] = localizeData(value, locale, { ...options, path: path ? `${path}.${key}` : key });
+        });
+        return result;
+    }
+
+    return data;
+}
+
+/**
+ * Print which strings fell back to another language, grouped by locale
+ */
+function reportFallbacks(fallbacks) {
+    const unique = [...new Map(fallbacks.map(entry =>
+        [`${entry.locale}:${entry.path}`, entry])).values()];
+
+    if (unique.length === 0) {
+        console.log('🌐 All localized strings are translated');
+        return unique;
+    }
+
+    const byLocale = {};
+    unique.forEach(entry => {
+        (byLocale[entry.locale] = byLocale[entry.locale] || []).push(entry);
+    });
+
+    Object.entries(byLocale).forEach(([locale, entries]) => {
+        console.warn(`🌐 ${entries.length} ${locale} string(s) fell back to another language:`);
+        entries.forEach(entry => console.warn(`   ${entry.path} (${entry.from})`));
+    });
+
+    return unique;
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    LOCALES,
+    isLocalized,
+    localizeValue,
+    localizeData,
+    reportFallbacks
+};
@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+
+/**
+ * Image Optimizer for Roman Korol's Website
+ * Copies the pages and images to dist/ with responsive images: each local JPEG or PNG
+ * shown with <img> gets resized variants in AVIF, WebP and its own format, and its tag
+ * becomes a <picture> with srcset/sizes, its intrinsic width and height, and a blurred
+ * placeholder. Variants are cached by content hash in .cache/images, so a rebuild only
+ * encodes the images that are new or changed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Configuration
+const CONFIG = {
+    siteDir: path.join(__dirname, '../..'),
+    outputDir: path.join(__dirname, '../../dist'),
+    cacheDir: path.join(__dirname, '../../.cache/images'),
+    imageDir: 'images',
+    // Folders of pages to rewrite, besides the *.html files at the site root
+    pageDirs: ['en', 'fr'],
+    // Widths of the variants; an image is never enlarged, so small images get fewer
+    widths: [480, 960, 1600],
+    // Formats offered in <source> elements, best first; the <img> keeps the original format
+    formats: ['avif', 'webp'],
+    quality: { avif: 50, webp: 75, jpeg: 80, png: 80 },
+    placeholderWidth: 16,
+    // Rendered width when the page does not give one: full width, up to the widest container
+    sizes: '(max-width: 1400px) 100vw, 1400px'
+};
+
+const EXTENSIONS = { avif: 'avif', webp: 'webp', jpeg: 'jpg', png: 'png' };
+const MIME_TYPES = { avif: 'image/avif', webp: 'image/webp', jpeg: 'image/jpeg', png: 'image/png' };
+
+// Parts of a page where an <img> is not rewritten: comments, scripts and existing <picture>s
+const SKIPPED_REGIONS = /(<!--[\s\S]*?-->|<script\b[\s\S]*?<\/script>|<noscript\b[\s\S]*?<\/noscript>|<picture\b[\s\S]*?<\/picture>)/i;
+const ATTRIBUTE = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+/**
+ * Cache key of an image: its content and every setting that changes its variants
+ */
+function cacheKey(input) {
+    return crypto.createHash('sha256')
+        .update(input)
+        .update(JSON.stringify([CONFIG.widths, CONFIG.formats, CONFIG.quality, CONFIG.placeholderWidth]))
+        .digest('hex')
+        .slice(0, 20);
+}
+
+/**
+ * Widths to produce for an image `width` pixels wide: the configured widths below it,
+ * and the image's own width when it is narrower than the largest
+ */
+function variantWidths(width) {
+    const largest = Math.max(...CONFIG.widths);
+    return [...new Set([...CONFIG.widths.filter(size => size < width), Math.min(width, largest)])];
+}
+
+/**
+ * Encode the variants and the placeholder of one image into its cache folder
+ * Returns the image record stored in meta.json: intrinsic size, format, whether it has
+ * transparency, the placeholder as a data: URI, and the widths produced.
+ */
+async function encodeImage(sharp, input, folder) {
+    // .rotate() applies the EXIF orientation, so portrait photos keep their shape
+    const metadata = await sharp(input).metadata();
+    const rotated = (metadata.orientation || 1) >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const format = metadata.format === 'png' ? 'png' : 'jpeg';
+    const widths = variantWidths(width);
+
+    fs.mkdirSync(folder, { recursive: true });
+    for (const size of widths) {
+        for (const target of [...CONFIG.formats, format]) {
+            await sharp(input)
+                .rotate()
+                .resize({ width: size })
+                .toFormat(target, { quality: CONFIG.quality[target] })
+                .toFile(path.join(folder, `${size}.${EXTENSIONS[target]}`));
+        }
+    }
+
+    // A few pixels, scaled up by the browser, make a blurred preview of the photo
+    const placeholder = await sharp(input)
+        .rotate()
+        .resize({ width: CONFIG.placeholderWidth })
+        .jpeg({ quality: 50 })
+        .toBuffer();
+
+    const largest = widths[widths.length - 1];
+    return {
+        width: largest,
+        height: Math.round(largest * (rotated ? metadata.width : metadata.height) / width),
+        format,
+        hasAlpha: Boolean(metadata.hasAlpha),
+        placeholder: `data:image/jpeg;base64,${placeholder.toString('base64')}`,
+        widths
+    };
+}
+
+/**
+ * Variants of one image, from the cache or freshly encoded
+ * Returns null for files sharp cannot read, which are then copied as they are.
+ */
+async function processImage(sharp, source) {
+    const input = fs.readFileSync(source);
+    const folder = path.join(CONFIG.cacheDir, cacheKey(input));
+    const metaPath = path.join(folder, 'meta.json');
+
+    if (fs.existsSync(metaPath)) {
+        return { ...JSON.parse(fs.readFileSync(metaPath, 'utf8')), folder, source, cached: true };
+    }
+
+    try {
+        const image = await encodeImage(sharp, input, folder);
+        // meta.json is written last, so an interrupted run is encoded again next time
+        fs.writeFileSync(metaPath, JSON.stringify(image, null, 2));
+        return { ...image, folder, source, cached: false };
+    } catch (error) {
+        console.warn(`⚠️  ${path.relative(CONFIG.siteDir, source)}: ${error.message}, copied without variants`);
+        fs.rmSync(folder, { recursive: true, force: true });
+        return null;
+    }
+}
+
+/**
+ * File name of a variant: "news/school.jpg" at 480 pixels in WebP is "news/school-480w.webp"
+ */
+function variantName(file, width, format) {
+    return `${file.replace(/\.[^./]+$/, '')}-${width}w.${EXTENSIONS[format]}`;
+}
+
+/**
+ * Copy an image's variants from the cache to the output folder
+ * The original path gets the largest variant in the original format, unless the original
+ * file is smaller, so pages and CSS that name the original keep working.
+ */
+function writeVariants(image, file) {
+    const target = path.join(CONFIG.outputDir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+
+    image.widths.forEach(width => {
+        [...CONFIG.formats, image.format].forEach(format => {
+            fs.copyFileSync(path.join(image.folder, `${width}.${EXTENSIONS[format]}`),
+                path.join(CONFIG.outputDir, variantName(file, width, format)));
+        });
+    });
+
+    const largest = path.join(image.folder, `${image.width}.${EXTENSIONS[image.format]}`);
+    fs.copyFileSync(fs.statSync(largest).size < fs.statSync(image.source).size ? largest : image.source, target);
+}
+
+/**
+ * Attributes of a start tag, in order, with their values as written
+ */
+function parseAttributes(tag) {
+    const attributes = [];
+    const inner = tag.replace(/^<[a-z]+/i, '').replace(/\/?>$/, '');
+    let match;
+    ATTRIBUTE.lastIndex = 0;
+    while ((match = ATTRIBUTE.exec(inner)) !== null) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        attributes.push({ name: match[1].toLowerCase(), value: value === undefined ? null : value });
+    }
+    return attributes;
+}
+
+/**
+ * Write attributes back, quoting each value
+ */
+function serializeAttributes(attributes) {
+    return attributes.map(({ name, value }) => {
+        if (value === null) return ` ${name}`;
+        return value.includes('"') ? ` ${name}='${value}'` : ` ${name}="${value}"`;
+    }).join('');
+}
+
+/**
+ * Site-relative path of a local JPEG or PNG referenced from a page, or null
+ */
+function localImage(src, page) {
+    if (!src || /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(src)) return null;
+    const clean = src.replace(/[?#].*$/, '');
+    if (!/\.(jpe?g|png)$/i.test(clean)) return null;
+
+    let decoded;
+    try {
+        decoded = decodeURI(clean);
+    } catch (error) {
+        return null;
+    }
+    const file = clean.startsWith('/') ?
+        path.posix.normalize(decoded.slice(1)) :
+        path.posix.normalize(path.posix.join(path.posix.dirname(page), decoded));
+    return file.startsWith('../') ? null : file;
+}
+
+/**
+ * Call `replace(tag)` for every <img> outside comments, scripts and existing <picture>s
+ */
+function mapImages(html, replace) {
+    return html.split(SKIPPED_REGIONS)
+        .map((part, index) => (index % 2 === 1 ? part : part.replace(/<img\b[^>]*>/gi, replace)))
+        .join('');
+}
+
+/**
+ * Rewrite the <img> tags of one page (`page` is its site-relative path) into
+ * <picture> elements, using the processed images in `images` (by site-relative path)
+ * Images that already have a srcset, or that were not processed, are left alone.
+ */
+function rewriteImages(html, page, images) {
+    let count = 0;
+    const result = mapImages(html, tag => {
+        const attributes = parseAttributes(tag);
+        const get = name => (attributes.find(attribute => attribute.name === name) || {}).value;
+        const src = get('src');
+        const file = localImage(src, page);
+        const image = file ? images.get(file) : null;
+        if (!image || get('srcset') !== undefined) return tag;
+
+        // Variant URLs are written like the src, with the file name swapped
+        const base = src.replace(/[?#].*$/, '').replace(/[^/]*$/, '');
+        const srcset = format => image.widths
+            .map(width => `${base}${encodeURIComponent(path.posix.basename(variantName(file, width, format)))} ${width}w`)
+            .join(', ');
+
+        // A width given by the page is the rendered width; otherwise assume full width
+        const width = get('width');
+        const sizes = get('sizes') || (width && /^\d+$/.test(width) ? `${width}px` : CONFIG.sizes);
+        const set = (name, value) => {
+            const existing = attributes.find(attribute => attribute.name === name);
+            if (existing) {
+                existing.value = value;
+            } else {
+                attributes.push({ name, value });
+            }
+        };
+
+        set('srcset', srcset(image.format));
+        set('sizes', sizes);
+        if (width === undefined && get('height') === undefined) {
+            set('width', String(image.width));
+            set('height', String(image.height));
+        }
+        // Transparent images would show the placeholder through them
+        if (!image.hasAlpha) {
+            const style = get('style');
+            set('style', `${style ? `${style.replace(/;?\s*$/, ';')} ` : ''}background-size: cover; background-image: url(${image.placeholder})`);
+        }
+
+        count++;
+        const sources = CONFIG.formats
+            .map(format => `<source type="${MIME_TYPES[format]}" srcset="${srcset(format)}" sizes="${sizes}">`)
+            .join('');
+        return `<picture>${sources}<img${serializeAttributes(attributes)}></picture>`;
+    });
+
+    return { html: result, count };
+}
+
+/**
+ * Every file under a folder, as paths relative to the site root
+ */
+function listFiles(folder) {
+    const directory = path.join(CONFIG.siteDir, folder);
+    if (!fs.existsSync(directory)) return [];
+    return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+        const file = path.posix.join(folder, entry.name);
+        return entry.isDirectory() ? listFiles(file) : [file];
+    });
+}
+
+/**
+ * Pages to rewrite: the *.html files at the site root and in CONFIG.pageDirs
+ */
+function listPages() {
+    const root = fs.readdirSync(CONFIG.siteDir).filter(file => file.endsWith('.html'));
+    return [...root, ...CONFIG.pageDirs.flatMap(listFiles).filter(file => file.endsWith('.html'))];
+}
+
+/**
+ * Main function: encode the images the pages show, then write the images and the
+ * rewritten pages to dist/
+ * Returns a summary, or null when sharp is not installed.
+ */
+async function optimizeImages() {
+    console.log('🖼️  Optimizing images...');
+    const started = Date.now();
+
+    let sharp;
+    try {
+        sharp = require('sharp');
+    } catch (error) {
+        console.error('❌ sharp is not installed; run npm install');
+        return null;
+    }
+    // One image at a time keeps memory low on small build machines
+    sharp.concurrency(1);
+    sharp.cache(false);
+
+    const pages = listPages().map(page => ({ page, html: fs.readFileSync(path.join(CONFIG.siteDir, page), 'utf8') }));
+    const referenced = new Set();
+    pages.forEach(({ page, html }) => mapImages(html, tag => {
+        const attributes = parseAttributes(tag);
+        const src = (attributes.find(attribute => attribute.name === 'src') || {}).value;
+        const file = localImage(src, page);
+        if (file && fs.existsSync(path.join(CONFIG.siteDir, file))) referenced.add(file);
+        return tag;
+    }));
+
+    const images = new Map();
+    let encoded = 0;
+    for (const file of [...referenced].sort()) {
+        const image = await processImage(sharp, path.join(CONFIG.siteDir, file));
+        if (!image) continue;
+        images.set(file, image);
+        if (!image.cached) {
+            encoded++;
+            console.log(`✅ Encoded ${file} (${image.widths.join(', ')} px)`);
+        }
+    }
+
+    // Images the pages do not show (CSS backgrounds, social previews) are copied as they are
+    listFiles(CONFIG.imageDir).forEach(file => {
+        if (images.has(file)) {
+            writeVariants(images.get(file), file);
+        } else {
+            const target = path.join(CONFIG.outputDir, file);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.copyFileSync(path.join(CONFIG.siteDir, file), target);
+        }
+    });
+
+    let rewritten = 0;
+    pages.forEach(({ page, html }) => {
+        const result = rewriteImages(html, page, images);
+        const target = path.join(CONFIG.outputDir, page);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, result.html, 'utf8');
+        rewritten += result.count;
+    });
+
+    const summary = { images: images.size, encoded, cached: images.size - encoded, pages: pages.length, tags: rewritten };
+    console.log(`📊 ${summary.images} images (${summary.encoded} encoded, ${summary.cached} from cache), ` +
+        `${summary.tags} <img> tags in ${summary.pages} pages (${Date.now() - started} ms)`);
+    return summary;
+}
+
+// CLI interface
+if (require.main === module) {
+    optimizeImages().then(summary => {
+        if (!summary) process.exitCode = 1;
+    }).catch(error => {
+        console.error('❌ Image optimization failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    CONFIG,
+    optimizeImages,
+    processImage,
+    rewriteImages,
+    variantWidths
+};
@@ -0,0 +1,207 @@
+/**
+ * Rich Text Sanitizer for Roman Korol's Website
+ * Data fields that need a little markup (CH<sub>4</sub>, <sup>13</sup>C, a link in an
+ * abstract) keep an allow-listed set of tags; everything else is stripped and reported.
+ */
+
+// Tags kept in rich text, with the attributes each one may carry
+const ALLOWED_TAGS = {
+    a: ['href', 'title'],
+    b: [],
+    strong: [],
+    i: [],
+    em: [],
+    sub: [],
+    sup: [],
+    small: [],
+    br: []
+};
+
+const VOID_TAGS = ['br'];
+
+// Dropped together with their content
+const DROP_CONTENT_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'textarea'];
+
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const ENTITY_PATTERN = /&(#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);/iy;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0' };
+
+/**
+ * Character of a numeric entity; code points that are out of range or surrogates
+ * become U+FFFD, as in browsers
+ */
+function codePointText(code) {
+    const valid = code >= 0 && code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff);
+    return String.fromCodePoint(valid ? code : 0xfffd);
+}
+
+/**
+ * Decode numeric entities (with or without their semicolon, as browsers do in
+ * attributes) and the named entities of NAMED_ENTITIES
+ */
+function decodeEntities(text) {
+    return String(text).replace(/&(#\d+|#x[0-9a-f]+);?|&([a-z]+);/gi, (entity, number, name) => {
+        if (number) {
+            return codePointText(number[1].toLowerCase() === 'x' ? parseInt(number.slice(2), 16) : parseInt(number.slice(1), 10));
+        }
+        return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * True for relative URLs, fragments and the http(s)/mailto/tel schemes
+ * Entities are decoded first ("java&#115;cript:"); a scheme that still holds an
+ * entity ("javascript&colon;") is refused rather than guessed at.
+ */
+function isSafeUrl(url) {
+    // Browsers ignore whitespace and control characters inside the scheme ("java\tscript:")
+    const normalized = [...decodeEntities(url)]
+        .filter(char => char.charCodeAt(0) > 0x20 && char.charCodeAt(0) !== 0x7f)
+        .join('');
+    // Everything before a "/", "?" or "#" could be a scheme
+    const head = normalized.match(/^[^/?#]*/)[0];
+    if (head.includes('&')) return false;
+    const scheme = head.match(/^([a-z][a-z0-9+.-]*):/i);
+    return !scheme || SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Escape text for HTML without double-escaping entities that are already there
+ */
+function escapeLoose(text) {
+    return String(text)
+        .replace(/&(?!(#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);)/gi, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Keep only allowed attributes, and only safe URLs in href
+ */
+function sanitizeAttributes(tag, source, allowedTags, stripped) {
+    const allowed = allowedTags[tag] || [];
+    let result = '';
+    let match;
+
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+        const name = match[1].toLowerCase();
+        const value = match[2] ?? match[3] ?? match[4] ?? '';
+
+        if (!allowed.includes(name)) {
+            stripped.push(`${name} attribute on <${tag}>`);
+        } else if (name === 'href' && !isSafeUrl(value)) {
+            stripped.push(`unsafe URL "${value}" on <${tag}>`);
+        } else {
+            result += ` ${name}="${escapeLoose(value)}"`;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Sanitize rich text against the allow-list
+ * Returns `{ html, stripped }`; `stripped` describes every tag or attribute removed.
+ * Stray `<`, `>` and `&` are escaped, and tags left open are closed.
+ */
+function sanitizeHtml(input, options = {}) {
+    const allowedTags = options.allowedTags || ALLOWED_TAGS;
+    const html = input === null || input === undefined ? '' : String(input);
+    const stripped = [];
+    const open = [];
+    let out = '';
+    let i = 0;
+
+    while (i < html.length) {
+        const char = html[i];
+
+        if (char === '<') {
+            if (html.startsWith('<!--', i)) {
+                const end = html.indexOf('-->', i + 4);
+                i = end === -1 ? html.length : end + 3;
+                stripped.push('comment');
+                continue;
+            }
+
+            TAG_PATTERN.lastIndex = i;
+            const match = TAG_PATTERN.exec(html);
+            if (!match) {
+                out += '&lt;';
+                i++;
+                continue;
+            }
+
+            const [whole, closing, rawName, attributes] = match;
+            const tag = rawName.toLowerCase();
+            i += whole.length;
+
+            if (DROP_CONTENT_TAGS.includes(tag)) {
+                if (!closing) {
+                    const end = html.toLowerCase().indexOf(`</${tag}`, i);
+                    i = end === -1 ? html.length : html.indexOf('>', end) + 1 || html.length;
+                }
+                stripped.push(`<${tag}>`);
+            } else if (!allowedTags[tag]) {
+                if (!closing) stripped.push(`<${tag}>`);
+            } else if (closing) {
+                const index = open.lastIndexOf(tag);
+                if (index === -1) {
+                    stripped.push(`unmatched </${tag}>`);
+                } else {
+                    while (open.length > index) out += `</${open.pop()}>`;
+                }
+            } else {
+                out += `<${tag}${sanitizeAttributes(tag, attributes, allowedTags, stripped)}>`;
+                if (!VOID_TAGS.includes(tag)) open.push(tag);
+            }
+        } else if (char === '&') {
+            ENTITY_PATTERN.lastIndex = i;
+            const entity = ENTITY_PATTERN.exec(html);
+            out += entity ? entity[0] : '&amp;';
+            i += entity ? entity[0].length : 1;
+        } else if (char === '>') {
+            out += '&gt;';
+            i++;
+        } else {
+            out += char;
+            i++;
+        }
+    }
+
+    while (open.length > 0) out += `</${open.pop()}>`;
+
+    return { html: out, stripped };
+}
+
+/**
+ * Text content of a rich field, for attributes such as alt and title
+ * Entities are decoded so the value can be escaped again for its new context
+ */
+function plainText(input) {
+    return String(input ?? '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(new RegExp(`<(${DROP_CONTENT_TAGS.join('|')})\\b[\\s\\S]*?</\\1\\s*>`, 'gi'), '')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                return codePointText(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+            }
+            return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+module.exports = {
+    ALLOWED_TAGS,
+    isSafeUrl,
+    sanitizeHtml,
+    plainText,
+    codePointText
+};
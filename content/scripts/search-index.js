@@ -0,0 +1,107 @@
+/**
+ * Site Search Index for Roman Korol's Website
+ * Builds the per-locale index loaded by assets/js/search.js: one document per page,
+ * publication, news item, event, team member and opening, and a map from every word
+ * to the documents it appears in, weighted by where it appears.
+ */
+
+const { plainText } = require('./sanitize');
+
+// Weight of a word by the field it appears in
+const FIELD_WEIGHTS = {
+    title: 10,
+    keywords: 4,
+    text: 1
+};
+
+// Shorter words are not indexed
+const MIN_WORD_LENGTH = 2;
+
+// Replaced by a space before the markup is stripped, so words on either side stay apart
+const BLOCK_TAGS = /<\/?(?:p|div|br|li|ul|ol|dl|dt|dd|h[1-6]|section|article|header|footer|table|tr|td|th|blockquote)\b[^>]*>/gi;
+
+/**
+ * Lowercase, strip accents and expand the œ/æ ligatures, so "equipe" finds "équipe"
+ * assets/js/search.js folds queries the same way; keep the two in step.
+ */
+function foldText(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/œ/g, 'oe')
+        .replace(/æ/g, 'ae');
+}
+
+/**
+ * Folded words of a text, in order
+ */
+function wordsOf(text) {
+    return foldText(text).split(/[^a-z0-9]+/).filter(word => word.length >= MIN_WORD_LENGTH);
+}
+
+/**
+ * Plain text of an HTML fragment, with block boundaries kept as spaces
+ */
+function htmlText(html) {
+    return plainText(String(html ?? '').replace(BLOCK_TAGS, ' '));
+}
+
+/**
+ * Build the search index of one locale
+ * `documents` are `{ url, kind, title, keywords, text }`; title and text may contain
+ * markup, keywords is a list of extra terms (authors, journal, tags). Returns
+ * `{ kinds, docs, words }`: docs are `[url, kind, title, text]`, and words maps each
+ * word to a flat `[doc, score, doc, score, ...]` list. A word scores its field weight
+ * once per field, plus a little for each repeat, so long pages do not drown short ones.
+ */
+function buildSearchIndex(documents, kinds = {}) {
+    const docs = [];
+    const postings = new Map();
+
+    documents.forEach((document, index) => {
+        const fields = {
+            title: htmlText(document.title),
+            keywords: [].concat(document.keywords || []).filter(Boolean).map(htmlText).join(' '),
+            text: htmlText(document.text)
+        };
+
+        const scores = new Map();
+        Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+            const counts = new Map();
+            wordsOf(fields[field]).forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+            counts.forEach((count, word) => {
+                scores.set(word, (scores.get(word) || 0) + Math.round(weight * (1 + Math.log2(count))));
+            });
+        });
+
+        scores.forEach((score, word) => {
+            if (!postings.has(word)) postings.set(word, []);
+            postings.get(word).push(index, score);
+        });
+        docs.push([document.url, document.kind, fields.title, fields.text]);
+    });
+
+    return {
+        kinds,
+        docs,
+        words: Object.fromEntries([...postings.keys()].sort().map(word => [word, postings.get(word)]))
+    };
+}
+
+/**
+ * The index as a script, so it also loads from file:// where fetch() is not allowed
+ */
+function searchIndexScript(index) {
+    return '/* Site search index, generated by content/scripts/generate-content.js; do not edit */\n' +
+        `window.siteSearchIndex = ${JSON.stringify(index)};\n`;
+}
+
+module.exports = {
+    FIELD_WEIGHTS,
+    foldText,
+    wordsOf,
+    htmlText,
+    buildSearchIndex,
+    searchIndexScript
+};
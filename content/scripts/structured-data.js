@@ -0,0 +1,158 @@
+/**
+ * Structured Data for Roman Korol's Website
+ * Builds schema.org JSON-LD nodes for the entities a page shows: the group itself
+ * (ResearchOrganization), publications (ScholarlyArticle), news items (NewsArticle) and
+ * openings (JobPosting). Builders take data that is already localized and plain values;
+ * generate-content.js decides which nodes go on which page.
+ */
+
+const { plainText } = require('./sanitize');
+
+const CONTEXT = 'https://schema.org';
+
+/**
+ * `@id` of the group, shared by every page that refers to it
+ */
+function organizationId(baseUrl) {
+    return `${baseUrl}/#organization`;
+}
+
+/**
+ * Short reference to the group, for publisher, author and hiringOrganization
+ */
+function organizationRef(site, strings, homepage) {
+    return {
+        '@type': 'ResearchOrganization',
+        '@id': organizationId(site.baseUrl),
+        name: strings.groupName,
+        url: homepage
+    };
+}
+
+/**
+ * Postal address of the group from `site.organization.address`
+ */
+function postalAddress(organization) {
+    return organization.address ? { '@type': 'PostalAddress', ...organization.address } : undefined;
+}
+
+/**
+ * The group as a ResearchOrganization
+ * `organization` is `site.organization` localized to the page locale
+ */
+function organizationLd(site, strings, organization, homepage) {
+    const leader = organization.leader;
+    return {
+        ...organizationRef(site, strings, homepage),
+        description: strings.mission,
+        email: site.contact && site.contact.email,
+        address: postalAddress(organization),
+        parentOrganization: organization.parent ? {
+            '@type': 'CollegeOrUniversity',
+            name: organization.parent.name,
+            url: organization.parent.url
+        } : undefined,
+        founder: leader ? { '@type': 'Person', name: leader.name, sameAs: leader.sameAs } : undefined,
+        knowsAbout: organization.knowsAbout,
+        sameAs: (site.social || []).map(link => link.url).filter(url => /^https?:/.test(url))
+    };
+}
+
+/**
+ * Where a publication appeared: the journal, wrapped in its volume and issue when known
+ */
+function periodicalLd(pub) {
+    let container = { '@type': 'Periodical', name: pub.journal };
+    if (pub.volume) container = { '@type': 'PublicationVolume', volumeNumber: String(pub.volume), isPartOf: container };
+    if (pub.issue) container = { '@type': 'PublicationIssue', issueNumber: String(pub.issue), isPartOf: container };
+    return container;
+}
+
+/**
+ * One publication as a ScholarlyArticle; `url` is where the page lists it
+ */
+function scholarlyArticleLd(pub, options) {
+    const title = plainText(pub.title);
+    return {
+        '@type': 'ScholarlyArticle',
+        '@id': options.url,
+        url: options.url,
+        headline: title,
+        name: title,
+        author: (pub.authors || []).map(name => ({ '@type': 'Person', name: plainText(name) })),
+        datePublished: pub.year ? String(pub.year) : undefined,
+        isPartOf: pub.journal ? periodicalLd(pub) : undefined,
+        pagination: pub.pages ? String(pub.pages) : undefined,
+        identifier: pub.doi ? { '@type': 'PropertyValue', propertyID: 'DOI', value: pub.doi } : undefined,
+        sameAs: pub.doi ? `https://doi.org/${pub.doi}` : undefined,
+        abstract: pub.abstract ? plainText(pub.abstract) : undefined,
+        image: pub.image ? `${options.baseUrl}/${pub.image}` : undefined,
+        creativeWorkStatus: pub.status && pub.status !== 'published' ? pub.status : undefined
+    };
+}
+
+/**
+ * One news item as a NewsArticle, published by the group
+ */
+function newsArticleLd(item, options) {
+    return {
+        '@type': 'NewsArticle',
+        '@id': options.url,
+        url: options.url,
+        mainEntityOfPage: options.page,
+        headline: plainText(item.title),
+        description: item.summary ? plainText(item.summary) : undefined,
+        datePublished: item.date,
+        dateModified: item.updated || item.date,
+        image: (item.images || []).map(image => `${options.baseUrl}/${image}`),
+        articleSection: options.category || undefined,
+        keywords: item.tags && item.tags.length > 0 ? item.tags.join(', ') : undefined,
+        author: options.organization,
+        publisher: options.organization
+    };
+}
+
+/**
+ * One open position as a JobPosting at the group's location
+ * `validThrough` is the application deadline; positions without one are open until filled.
+ */
+function jobPostingLd(opening, options) {
+    return {
+        '@type': 'JobPosting',
+        '@id': options.url,
+        url: options.url,
+        title: plainText(opening.title),
+        description: plainText(opening.description),
+        identifier: { '@type': 'PropertyValue', name: options.organization.name, value: opening.id },
+        datePosted: opening.posted,
+        validThrough: opening.deadline,
+        jobStartDate: opening.start,
+        employmentType: opening.employmentType,
+        qualifications: opening.requirements ? plainText(opening.requirements) : undefined,
+        hiringOrganization: options.organization,
+        jobLocation: options.address ? { '@type': 'Place', address: options.address } : undefined
+    };
+}
+
+/**
+ * Serialize nodes as the body of a `<script type="application/ld+json">`
+ * `<` is written as \u003c so no value can close the script element.
+ */
+function jsonLd(nodes, indent = '') {
+    const graph = nodes.length === 1 ? { '@context': CONTEXT, ...nodes[0] } : { '@context': CONTEXT, '@graph': nodes };
+    return JSON.stringify(graph, null, '\t')
+        .replace(/[<\u2028\u2029]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`)
+        .split('\n')
+        .join(`\n${indent}`);
+}
+
+module.exports = {
+    organizationId,
+    organizationRef,
+    postalAddress,
+    organizationLd,
+    scholarlyArticleLd,
+    newsArticleLd,
+    jobPostingLd,
+    jsonLd
+};
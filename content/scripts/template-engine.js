@@ -0,0 +1,730 @@
+/**
+ * Template Engine for Roman Korol's Website
+ * Handlebars-style templates for content/templates: variables, #if/#unless/#each/#with
+ * blocks, partials and helpers. Values are escaped for where they appear (text,
+ * attribute, URL or script) unless written as {{{raw}}}.
+ */
+
+const { isSafeUrl, sanitizeHtml, plainText } = require('./sanitize');
+
+const helpers = {};
+const cache = new Map();
+// Attribute values holding template values, numbered across templates and partials
+let attributeValues = 0;
+
+// Attributes whose value is a URL
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'cite', 'poster', 'data', 'srcset', 'background'];
+
+/**
+ * Marks a string as already-safe HTML so it is not escaped again
+ */
+class SafeString {
+    constructor(value) {
+        this.value = String(value);
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+const ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;'
+};
+
+/**
+ * Escape a value for use in HTML text or a double-quoted attribute
+ */
+function escapeHtml(value) {
+    if (value instanceof SafeString) return value.toString();
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"]/g, char => ESCAPES[char]);
+}
+
+/**
+ * Escape a value for an attribute quoted with `quote` ('"', "'" or '' for unquoted)
+ * Only the characters that can end the value are escaped, so prose stays readable
+ */
+function escapeAttribute(value, quote) {
+    if (quote) return String(value).replace(quote === '"' ? /[&<>"]/g : /[&<>']/g, char => ESCAPES[char]);
+    return String(value).replace(/[&<>"'`=\s]/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Escape a value for use inside a JavaScript string literal
+ */
+function escapeJs(value) {
+    return String(value).replace(/[\\'"`<>&\n\r\u2028\u2029]/g, char =>
+        `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+/**
+ * Percent-encode the characters that are never valid in a URL
+ */
+function encodeUrl(value) {
+    return String(value).replace(/[\s"'<>`\\^{|}]/g, char => encodeURIComponent(char));
+}
+
+/**
+ * The URL attribute value rendered so far, up to a template value in it
+ * Values of one attribute render in order, so the output is kept in `options.urlValue`
+ * (see compile) and restarted at the first value of each attribute.
+ */
+function renderedUrl(context, options) {
+    const current = options.urlValue;
+    if (context.first || current.id !== context.valueId) {
+        current.id = context.valueId;
+        current.text = '';
+    }
+    current.text += context.literal;
+    return current.text;
+}
+
+/**
+ * Escape a value for the HTML context it was found in (see scanHtml)
+ * Helpers can return a SafeString to skip escaping, but only in text
+ */
+function escapeFor(value, context, options, where) {
+    if (context.type === 'text') return escapeHtml(value);
+
+    let text = String(value);
+    switch (context.type) {
+    case 'url': {
+        // The scheme is checked on the whole URL written so far, so a value after an
+        // empty one (href="{{a}}{{b}}") cannot start it with javascript:
+        const prefix = renderedUrl(context, options);
+        if (!isSafeUrl(prefix + text)) {
+            warn(options, `${where}: unsafe URL "${prefix + text}" replaced with "#"`);
+            text = '#';
+        }
+        options.urlValue.text += text;
+        return escapeAttribute(encodeUrl(text), context.quote);
+    }
+
+    case 'script':
+        return escapeJs(text);
+
+    case 'js-attribute':
+        return escapeAttribute(escapeJs(text), context.quote);
+
+    default:
+        return escapeAttribute(text, context.quote);
+    }
+}
+
+/**
+ * Report a problem found while rendering; `options.warn` overrides console output
+ */
+function warn(options, message) {
+    if (options.warn) {
+        options.warn(message);
+    } else {
+        console.warn(`⚠️  ${message}`);
+    }
+}
+
+/**
+ * Follow the HTML around template tags so each value knows its context
+ * Tracks text, tags, attribute values (and their quotes), comments and <script>
+ */
+function scanHtml(state, text) {
+    let i = 0;
+
+    const endTag = () => {
+        state.mode = !state.closing && (state.tag === 'script' || state.tag === 'style') ? 'rawtext' : 'data';
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+
+        switch (state.mode) {
+        case 'data':
+            if (text.startsWith('<!--', i)) {
+                state.mode = 'comment';
+                i += 3;
+            } else if (char === '<' && /[a-zA-Z/]/.test(text[i + 1] || '')) {
+                state.closing = text[i + 1] === '/';
+                state.tag = '';
+                state.mode = 'tag-name';
+                if (state.closing) i++;
+            }
+            break;
+
+        case 'comment':
+            if (text.startsWith('-->', i)) {
+                state.mode = 'data';
+                i += 2;
+            }
+            break;
+
+        case 'rawtext':
+            if (text.slice(i, i + state.tag.length + 2).toLowerCase() === `</${state.tag}`) {
+                state.closing = true;
+                state.mode = 'tag';
+                i += state.tag.length + 1;
+            }
+            break;
+
+        case 'tag-name':
+            if (/[\w-]/.test(char)) {
+                state.tag += char.toLowerCase();
+            } else if (char === '>') {
+                endTag();
+            } else {
+                state.mode = 'tag';
+            }
+            break;
+
+        case 'tag':
+        case 'after-attribute':
+            if (char === '>') {
+                endTag();
+            } else if (char === '=' && state.mode === 'after-attribute') {
+                state.mode = 'before-value';
+            } else if (!/[\s/]/.test(char)) {
+                state.attribute = char.toLowerCase();
+                state.mode = 'attribute';
+            }
+            break;
+
+        case 'attribute':
+            if (char === '=') {
+                state.mode = 'before-value';
+            } else if (char === '>') {
+                endTag();
+            } else if (/\s/.test(char)) {
+                state.mode = 'after-attribute';
+            } else {
+                state.attribute += char.toLowerCase();
+            }
+            break;
+
+        case 'before-value':
+            if (char === '"' || char === '\'') {
+                state.quote = char;
+                state.value = '';
+                state.mode = 'value';
+            } else if (char === '>') {
+                endTag();
+            } else if (!/\s/.test(char)) {
+                state.quote = '';
+                state.value = char;
+                state.mode = 'value';
+            }
+            break;
+
+        case 'value':
+            if (state.quote ? char === state.quote : /\s/.test(char)) {
+                state.mode = 'tag';
+            } else if (!state.quote && char === '>') {
+                endTag();
+            } else {
+                state.value += char;
+            }
+            break;
+
+        default:
+            break;
+        }
+
+        i++;
+    }
+}
+
+/**
+ * The escaping context of a value at the current scanner position
+ */
+function contextOf(state) {
+    if (state.mode === 'data' || state.mode === 'comment') return { type: 'text' };
+    if (state.mode === 'rawtext') return state.tag === 'script' ? { type: 'script' } : { type: 'text' };
+
+    if (state.mode === 'before-value') {
+        state.quote = '';
+        state.value = '';
+        state.mode = 'value';
+    }
+    if (state.mode !== 'value') return { type: 'attribute', quote: '' };
+
+    const { attribute, quote, value } = state;
+    const first = !value.includes('\u0000');
+    if (first) state.valueId = ++attributeValues;
+    let context;
+    if (attribute.startsWith('on') || /^\s*javascript:/i.test(value)) {
+        context = { type: 'js-attribute', quote };
+    } else if (URL_ATTRIBUTES.includes(attribute)) {
+        // The template text since the previous value, written before this one
+        context = { type: 'url', quote, valueId: state.valueId, first, literal: value.slice(value.lastIndexOf('\u0000') + 1) };
+    } else {
+        context = { type: 'attribute', quote };
+    }
+
+    // Later values in the same attribute are not at its start
+    state.value += '\u0000';
+    return context;
+}
+
+/**
+ * Line number of an offset, for error messages
+ */
+function lineAt(source, offset) {
+    return source.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Split the inside of a tag into tokens, keeping quoted strings and (sub expressions) whole
+ */
+function tokenize(text, where) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '"' || char === '\'') {
+            const end = text.indexOf(char, i + 1);
+            if (end === -1) throw new Error(`${where}: unterminated string in "${text}"`);
+            tokens.push(text.slice(i, end + 1));
+            i = end + 1;
+        } else if (char === '(') {
+            let depth = 0;
+            let j = i;
+            for (; j < text.length; j++) {
+                if (text[j] === '(') depth++;
+                if (text[j] === ')' && --depth === 0) break;
+            }
+            if (depth !== 0) throw new Error(`${where}: unbalanced parentheses in "${text}"`);
+            tokens.push(text.slice(i, j + 1));
+            i = j + 1;
+        } else {
+            let j = i;
+            while (j < text.length && !/\s/.test(text[j])) {
+                if (text[j] === '=' && (text[j + 1] === '"' || text[j + 1] === '\'' || text[j + 1] === '(')) {
+                    // key="value with spaces" or key=(sub expr)
+                    const rest = tokenize(text.slice(j + 1), where)[0];
+                    j += 1 + rest.length;
+                    break;
+                }
+                j++;
+            }
+            tokens.push(text.slice(i, j));
+            i = j;
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse one argument token into a literal, path or sub expression
+ */
+function parseArgument(token, where) {
+    if (/^(["']).*\1$/s.test(token)) return { type: 'literal', value: token.slice(1, -1) };
+    if (/^-?\d+(\.\d+)?$/.test(token)) return { type: 'literal', value: Number(token) };
+    if (token === 'true' || token === 'false') return { type: 'literal', value: token === 'true' };
+    if (token === 'null' || token === 'undefined') return { type: 'literal', value: null };
+    if (token.startsWith('(')) return { type: 'sub', expr: parseExpression(token.slice(1, -1), where) };
+    return { type: 'path', path: token };
+}
+
+/**
+ * Parse `name arg1 "arg 2" key=value` into a callee, positional args and hash args
+ */
+function parseExpression(text, where) {
+    const tokens = tokenize(text.trim(), where);
+    if (tokens.length === 0) throw new Error(`${where}: empty expression`);
+
+    const [head, ...rest] = tokens;
+    if (rest.length === 0 && head.startsWith('(')) return parseExpression(head.slice(1, -1), where);
+
+    const args = [];
+    const hash = {};
+
+    rest.forEach(token => {
+        const match = token.match(/^([A-Za-z_][\w-]*)=([\s\S]+)$/);
+        if (match) {
+            hash[match[1]] = parseArgument(match[2], where);
+        } else {
+            args.push(parseArgument(token, where));
+        }
+    });
+
+    return { head, args, hash };
+}
+
+/**
+ * Parse template source into a tree of text, variable, block and partial nodes
+ */
+function parse(source, name = 'template') {
+    const root = { type: 'root', body: [] };
+    const stack = [{ node: root, list: root.body }];
+    const tagRegex = /\{\{\{([\s\S]+?)\}\}\}|\{\{(!--[\s\S]*?--|[\s\S]+?)\}\}/g;
+    const html = { mode: 'data' };
+    let scanned = 0;
+    let last = 0;
+    let match;
+
+    while ((match = tagRegex.exec(source)) !== null) {
+        const where = `${name}:${lineAt(source, match.index)}`;
+        const top = stack[stack.length - 1];
+        const tag = match[2] !== undefined ? match[2].trim() : null;
+
+        scanHtml(html, source.slice(scanned, match.index));
+        scanned = tagRegex.lastIndex;
+
+        // Block, comment and partial tags alone on a line take the whole line with them
+        const lineStart = source.lastIndexOf('\n', match.index - 1) + 1;
+        const lineEnd = source.indexOf('\n', tagRegex.lastIndex);
+        const indent = source.slice(lineStart, match.index);
+        const standalone = tag !== null && /^[#/!>]|^else$/.test(tag) && lineStart >= last &&
+            /^[ \t]*$/.test(indent) &&
+            /^[ \t]*\r?$/.test(source.slice(tagRegex.lastIndex, lineEnd === -1 ? source.length : lineEnd));
+        const textEnd = standalone ? lineStart : match.index;
+
+        if (textEnd > last) {
+            top.list.push({ type: 'text', value: source.slice(last, textEnd) });
+        }
+        last = standalone ? (lineEnd === -1 ? source.length : lineEnd + 1) : tagRegex.lastIndex;
+
+        if (tag === null) {
+            top.list.push({ type: 'var', expr: parseExpression(match[1], where), raw: true, context: contextOf(html), where });
+            continue;
+        }
+
+        if (tag.startsWith('!')) {
+            continue;
+        } else if (tag.startsWith('#')) {
+            const [, blockName, params = ''] = tag.match(/^#(\S+)\s*([\s\S]*)$/);
+            const node = {
+                type: 'block',
+                name: blockName,
+                expr: params ? parseExpression(params, where) : null,
+                body: [],
+                inverse: null,
+                where
+            };
+            top.list.push(node);
+            stack.push({ node, list: node.body });
+        } else if (tag === 'else') {
+            if (top.node.type !== 'block') throw new Error(`${where}: {{else}} outside of a block`);
+            top.node.inverse = [];
+            top.list = top.node.inverse;
+        } else if (tag.startsWith('/')) {
+            const blockName = tag.slice(1).trim();
+            if (top.node.type !== 'block') throw new Error(`${where}: unexpected {{/${blockName}}}`);
+            if (top.node.name !== blockName) {
+                throw new Error(`${where}: {{/${blockName}}} does not close {{#${top.node.name}}} opened at ${top.node.where}`);
+            }
+            stack.pop();
+        } else if (tag.startsWith('>')) {
+            const expr = parseExpression(tag.slice(1), where);
+            top.list.push({
+                type: 'partial',
+                name: expr.head,
+                context: expr.args[0] || null,
+                hash: expr.hash,
+                indent: standalone ? indent : '',
+                where
+            });
+        } else {
+            top.list.push({ type: 'var', expr: parseExpression(tag, where), raw: false, context: contextOf(html), where });
+        }
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1].node;
+        throw new Error(`${open.where}: {{#${open.name}}} is never closed`);
+    }
+
+    if (last < source.length) {
+        root.body.push({ type: 'text', value: source.slice(last) });
+    }
+
+    return root;
+}
+
+/**
+ * Resolve a path such as `title`, `this`, `../basePath`, `@root.strings.name` or `@index`
+ */
+function lookup(path, scope) {
+    let current = scope;
+    let rest = path;
+
+    if (rest.startsWith('@root')) {
+        while (current.parent) current = current.parent;
+        rest = rest.slice('@root'.length).replace(/^\./, '');
+    } else if (rest.startsWith('@')) {
+        const [variable, ...props] = rest.slice(1).split('.');
+        while (current && !(current.vars && variable in current.vars)) current = current.parent;
+        return current ? props.reduce((obj, prop) => obj?.[prop], current.vars[variable]) : undefined;
+    }
+
+    while (rest.startsWith('../')) {
+        current = current.parent || current;
+        rest = rest.slice(3);
+    }
+
+    if (rest === '' || rest === 'this' || rest === '.') return current.data;
+    rest = rest.replace(/^this\./, '');
+
+    return rest.split('.').reduce((obj, prop) => obj?.[prop], current.data);
+}
+
+/**
+ * Evaluate an argument node
+ */
+function evaluateArgument(arg, scope, options, where) {
+    if (arg.type === 'literal') return arg.value;
+    if (arg.type === 'sub') return evaluate(arg.expr, scope, options, where);
+    return lookup(arg.path, scope);
+}
+
+/**
+ * Evaluate an expression: a helper call when the head names a helper, otherwise a path
+ */
+function evaluate(expr, scope, options, where) {
+    const helper = (options.helpers && options.helpers[expr.head]) || helpers[expr.head];
+    const isCall = helper || expr.args.length > 0 || Object.keys(expr.hash).length > 0;
+
+    if (!isCall) return lookup(expr.head, scope);
+    if (!helper) throw new Error(`${where}: unknown helper "${expr.head}"`);
+
+    const args = expr.args.map(arg => evaluateArgument(arg, scope, options, where));
+    const hash = {};
+    Object.entries(expr.hash).forEach(([key, arg]) => {
+        hash[key] = evaluateArgument(arg, scope, options, where);
+    });
+
+    return helper(...args, {
+        hash,
+        data: scope.data,
+        root: lookup('@root', scope),
+        where,
+        warn: message => warn(options, message)
+    });
+}
+
+/**
+ * Handlebars truthiness: empty arrays are false as well
+ */
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render a list of nodes in a scope
+ */
+function renderNodes(nodes, scope, options) {
+    return nodes.map(node => renderNode(node, scope, options)).join('');
+}
+
+/**
+ * Render one node
+ */
+function renderNode(node, scope, options) {
+    switch (node.type) {
+    case 'text':
+        return node.value;
+
+    case 'var': {
+        const value = evaluate(node.expr, scope, options, node.where);
+        if (value === null || value === undefined) return '';
+        if (!node.raw) return escapeFor(value, node.context, options, node.where);
+        // Raw values are trusted, but still part of the URL later values are checked in
+        if (node.context.type === 'url') {
+            renderedUrl(node.context, options);
+            options.urlValue.text += String(value);
+        }
+        return String(value);
+    }
+
+    case 'partial': {
+        if (!options.partials) throw new Error(`${node.where}: no partial loader for {{> ${node.name}}}`);
+        let source = options.partials(node.name);
+        if (source === null || source === undefined) throw new Error(`${node.where}: partial "${node.name}" not found`);
+
+        // A standalone partial is indented to the column of its tag
+        if (node.indent) source = source.replace(/^(?=.)/gm, node.indent);
+
+        let data = node.context ? evaluateArgument(node.context, scope, options, node.where) : scope.data;
+        if (Object.keys(node.hash).length > 0) {
+            data = { ...data };
+            Object.entries(node.hash).forEach(([key, arg]) => {
+                data[key] = evaluateArgument(arg, scope, options, node.where);
+            });
+        }
+
+        return renderNodes(compileTree(source, node.name).body, { data, parent: scope, vars: {} }, options);
+    }
+
+    case 'block':
+        return renderBlock(node, scope, options);
+
+    default:
+        return '';
+    }
+}
+
+/**
+ * Render the built-in #if, #unless, #each and #with blocks
+ */
+function renderBlock(node, scope, options) {
+    const value = node.expr ? evaluate(node.expr, scope, options, node.where) : undefined;
+    const inverse = () => (node.inverse ? renderNodes(node.inverse, scope, options) : '');
+
+    switch (node.name) {
+    case 'if':
+        return isTruthy(value) ? renderNodes(node.body, scope, options) : inverse();
+
+    case 'unless':
+        return isTruthy(value) ? inverse() : renderNodes(node.body, scope, options);
+
+    case 'with':
+        return isTruthy(value) ?
+            renderNodes(node.body, { data: value, parent: scope, vars: {} }, options) : inverse();
+
+    case 'each': {
+        const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) :
+            value && typeof value === 'object' ? Object.entries(value) : [];
+        if (entries.length === 0) return inverse();
+
+        return entries.map(([key, item], index) => renderNodes(node.body, {
+            data: item,
+            parent: scope,
+            vars: {
+                index,
+                key,
+                first: index === 0,
+                last: index === entries.length - 1
+            }
+        }, options)).join('');
+    }
+
+    default:
+        throw new Error(`${node.where}: unknown block helper {{#${node.name}}}`);
+    }
+}
+
+/**
+ * Parse a template once and reuse the tree
+ */
+function compileTree(source, name) {
+    if (!cache.has(source)) {
+        cache.set(source, parse(source, name));
+    }
+    return cache.get(source);
+}
+
+/**
+ * Compile a template into a function of (data, options)
+ * Options: `partials(name)` returns partial source; `helpers` adds local helpers;
+ * `warn(message)` receives sanitizer and unsafe-URL warnings instead of the console
+ */
+function compile(source, name = 'template') {
+    const tree = compileTree(source, name);
+    return (data, options = {}) => renderNodes(tree.body, { data, parent: null, vars: {} }, {
+        ...options,
+        urlValue: { id: null, text: '' }
+    });
+}
+
+/**
+ * Render a template string with data
+ */
+function render(source, data, options = {}) {
+    return compile(source, options.name)(data, options);
+}
+
+/**
+ * Register a helper available to every template
+ */
+function registerHelper(name, fn) {
+    helpers[name] = fn;
+}
+
+/**
+ * Parse a date; plain YYYY-MM-DD dates are read as UTC so they never shift a day
+ */
+function toDate(value) {
+    if (value instanceof Date) return value;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return new Date(`${value}T00:00:00Z`);
+    }
+    return new Date(value);
+}
+
+// {{formatDate date}} / {{formatDate date "short" locale="fr"}} / {{formatDate date "iso"}}
+// Feeds use "rfc822" (RSS pubDate) and "datetime" (Atom, RFC 3339)
+registerHelper('formatDate', (value, ...rest) => {
+    const options = rest.pop();
+    const style = rest[0] || 'long';
+    if (!value) return '';
+
+    const date = toDate(value);
+    if (isNaN(date.getTime())) return String(value);
+
+    if (style === 'iso') return date.toISOString().split('T')[0];
+    if (style === 'year') return String(date.getUTCFullYear());
+    if (style === 'rfc822') return date.toUTCString();
+    if (style === 'datetime') return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+    const formats = {
+        long: { year: 'numeric', month: 'long', day: 'numeric' },
+        short: { year: 'numeric', month: 'short', day: 'numeric' },
+        month: { year: 'numeric', month: 'long' }
+    };
+    const locale = options.hash.locale === 'fr' ? 'fr-CA' : options.hash.locale || 'en-US';
+
+    return date.toLocaleDateString(locale, { ...(formats[style] || formats.long), timeZone: 'UTC' });
+});
+
+// {{join tags ", "}}
+registerHelper('join', (list, ...rest) => {
+    rest.pop();
+    const separator = rest.length > 0 ? rest[0] : ', ';
+    return Array.isArray(list) ? list.join(separator) : (list || '');
+});
+
+// {{highlightAuthor authors "Korol"}} -> "<b>R Korol</b>, X Chen, and I. Franco"
+registerHelper('highlightAuthor', (authors, ...rest) => {
+    const options = rest.pop();
+    const surname = rest[0] || 'Korol';
+    const and = options.hash.and || 'and';
+    const pattern = new RegExp(`\\b${surname}$`);
+
+    const names = (authors || []).map(name =>
+        pattern.test(name) ? `<b>${escapeHtml(name)}</b>` : escapeHtml(name));
+
+    if (names.length < 3) return new SafeString(names.join(` ${and} `));
+    return new SafeString(`${names.slice(0, -1).join(', ')}, ${and} ${names[names.length - 1]}`);
+});
+
+// {{rich abstract}}: allow-listed markup (see sanitize.js); anything stripped is reported
+registerHelper('rich', (value, options) => {
+    if (value === null || value === undefined) return '';
+    const { html, stripped } = sanitizeHtml(value);
+    if (stripped.length > 0) {
+        options.warn(`${options.where}: stripped ${stripped.join(', ')} from "${plainText(value).slice(0, 60)}"`);
+    }
+    return new SafeString(html);
+});
+
+// {{plain title}}: text content of a rich field, e.g. for alt and title attributes
+registerHelper('plain', value => plainText(value));
+
+// {{#if (eq status "published")}}
+registerHelper('eq', (a, b) => a === b);
+registerHelper('not', value => !isTruthy(value));
+
+module.exports = {
+    compile,
+    render,
+    registerHelper,
+    toDate,
+    escapeHtml,
+    SafeString
+};
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+
+/**
+ * Data Schema Validation for Roman Korol's Website
+ * Checks every data/*.json file against its JSON Schema in data/schemas/ (news.json ->
+ * news.schema.json): required fields, enums, dates, addresses and id patterns. Problems
+ * are reported with the JSON pointer of the value and its line in the file. The data
+ * files name their schema in "$schema", which editors use for completion and hints.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+// Configuration
+const CONFIG = {
+    dataDir: path.join(__dirname, '../../data'),
+    schemaDir: path.join(__dirname, '../../data/schemas'),
+    schemaSuffix: '.schema.json'
+};
+
+const STRING = /"(?:[^"\\]|\\.)*"/y;
+const LITERAL = /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+
+let validator = null;
+
+/**
+ * Ajv instance with every schema of data/schemas loaded, created once
+ */
+function loadValidator() {
+    if (!validator) {
+        validator = new Ajv({ allErrors: true, verbose: true, strict: true, strictRequired: false, allowUnionTypes: true });
+        addFormats(validator);
+        fs.readdirSync(CONFIG.schemaDir)
+            .filter(file => file.endsWith(CONFIG.schemaSuffix))
+            .forEach(file => validator.addSchema(JSON.parse(fs.readFileSync(path.join(CONFIG.schemaDir, file), 'utf8'))));
+    }
+    return validator;
+}
+
+/**
+ * "a/b~c" -> "a~1b~0c", as a JSON pointer segment
+ */
+function escapePointer(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Offsets of the values (and keys) of a JSON text, by JSON pointer
+ * Returns { values: Map, keys: Map }. Throws a SyntaxError with the `offset` of the
+ * problem when the text is not JSON.
+ */
+function pointerOffsets(text) {
+    const values = new Map();
+    const keys = new Map();
+    let index = 0;
+
+    const skipSpace = () => {
+        while (index < text.length && /\s/.test(text[index])) index++;
+    };
+    const token = pattern => {
+        pattern.lastIndex = index;
+        const match = pattern.exec(text);
+        if (!match) throw Object.assign(new SyntaxError('Unexpected token'), { offset: index });
+        index = pattern.lastIndex;
+        return match[0];
+    };
+    const expect = character => {
+        skipSpace();
+        if (text[index] !== character) throw Object.assign(new SyntaxError(`Expected ${character}`), { offset: index });
+        index++;
+    };
+
+    const value = pointer => {
+        skipSpace();
+        values.set(pointer, index);
+        const open = text[index];
+        if (open !== '{' && open !== '[') {
+            token(open === '"' ? STRING : LITERAL);
+            return;
+        }
+
+        index++;
+        const close = open === '{' ? '}' : ']';
+        let position = 0;
+        skipSpace();
+        while (text[index] !== close) {
+            if (index >= text.length) throw Object.assign(new SyntaxError(`Expected ${close}`), { offset: index });
+            if (open === '{') {
+                const keyStart = index;
+                const key = `${pointer}/${escapePointer(JSON.parse(token(STRING)))}`;
+                keys.set(key, keyStart);
+                expect(':');
+                value(key);
+            } else {
+                value(`${pointer}/${position++}`);
+            }
+            skipSpace();
+            if (text[index] !== close) expect(',');
+            skipSpace();
+        }
+        index++;
+    };
+
+    value('');
+    skipSpace();
+    if (index < text.length) throw Object.assign(new SyntaxError('Unexpected text after the data'), { offset: index });
+    return { values, keys };
+}
+
+/**
+ * Offset of the first syntax error of a JSON text that does not parse
+ */
+function syntaxErrorOffset(text) {
+    try {
+        pointerOffsets(text);
+    } catch (error) {
+        if (error.offset !== undefined) return error.offset;
+    }
+    return 0;
+}
+
+/**
+ * Line (from 1) of an offset in a text
+ */
+function lineAt(text, offset) {
+    return text.slice(0, offset).split('\n').length;
+}
+
+/**
+ * "A month (YYYY-MM) or a date (YYYY-MM-DD)." -> "a month (YYYY-MM) or a date (YYYY-MM-DD)"
+ */
+function expected(description) {
+    return description.charAt(0).toLowerCase() + description.slice(1).replace(/\.$/, '');
+}
+
+/**
+ * Readable message and the pointer it is about, for one Ajv error
+ */
+function describeError(error) {
+    const schema = error.parentSchema || {};
+    const shown = JSON.stringify(error.data);
+    switch (error.keyword) {
+    case 'required':
+        return { pointer: error.instancePath, message: `missing required property "${error.params.missingProperty}"` };
+    case 'additionalProperties':
+        return {
+            pointer: `${error.instancePath}/${escapePointer(error.params.additionalProperty)}`,
+            key: true,
+            message: `unknown property "${error.params.additionalProperty}"`
+        };
+    case 'propertyNames':
+        return {
+            pointer: `${error.instancePath}/${escapePointer(error.params.propertyName)}`,
+            key: true,
+            message: `"${error.params.propertyName}" is not an allowed name here`
+        };
+    case 'enum':
+        return { pointer: error.instancePath, message: `${shown} must be one of: ${error.params.allowedValues.join(', ')}` };
+    case 'anyOf':
+    case 'oneOf':
+        return {
+            pointer: error.instancePath,
+            message: `${error.data !== null && typeof error.data === 'object' ? '' : `${shown}: `}` +
+                `expected ${schema.title || 'one of the allowed forms'}`
+        };
+    case 'pattern':
+    case 'format':
+        return {
+            pointer: error.instancePath,
+            message: schema.description ?
+                `${shown}: expected ${expected(schema.description)}` :
+                `${shown} ${error.message}`
+        };
+    default:
+        return { pointer: error.instancePath, message: error.message };
+    }
+}
+
+/**
+ * True when `pointer` is `parent` or inside it
+ */
+function isWithin(pointer, parent) {
+    return pointer === parent || pointer.startsWith(`${parent}/`);
+}
+
+/**
+ * Described errors worth reporting
+ * Ajv reports the errors of each branch of an anyOf/oneOf right before the anyOf/oneOf
+ * itself. When a branch failed deeper inside the value (an unknown locale in a
+ * translated text), those errors say what is wrong; otherwise the anyOf/oneOf does.
+ */
+function reportedErrors(errors) {
+    const reported = [];
+    errors.forEach(error => {
+        // Each bad property name is reported again by propertyNames
+        if (error.propertyName !== undefined && error.keyword !== 'propertyNames') return;
+
+        const entry = { error, ...describeError(error) };
+        if (error.keyword !== 'anyOf' && error.keyword !== 'oneOf') {
+            reported.push(entry);
+            return;
+        }
+
+        const branches = [];
+        while (reported.length > 0 && isWithin(reported[reported.length - 1].error.instancePath, error.instancePath)) {
+            branches.unshift(reported.pop());
+        }
+        const deeper = branches.filter(branch => branch.pointer !== entry.pointer);
+        reported.push(...(deeper.length > 0 ? deeper : [entry]));
+    });
+    return reported;
+}
+
+/**
+ * Line of a value in a data file, from its JSON pointer ("/news/3/category")
+ * A pointer to a value that is not there gives the line of its nearest parent.
+ */
+function lineOfPointer(file, pointer) {
+    const text = fs.readFileSync(path.join(CONFIG.dataDir, file), 'utf8');
+    let offsets;
+    try {
+        offsets = pointerOffsets(text).values;
+    } catch (error) {
+        return 1;
+    }
+
+    let current = pointer;
+    while (current && !offsets.has(current)) current = current.replace(/\/[^/]*$/, '');
+    return lineAt(text, offsets.get(current) || 0);
+}
+
+/**
+ * Schema problems of one data file, as { rule, file, line, pointer, message }
+ * Rules: invalid-json, no-schema, schema-reference (the "$schema" line) and schema.
+ */
+function validateDataFile(file) {
+    const location = `data/${file}`;
+    const text = fs.readFileSync(path.join(CONFIG.dataDir, file), 'utf8');
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return [{
+            rule: 'invalid-json',
+            file: location,
+            line: lineAt(text, syntaxErrorOffset(text)),
+            pointer: '',
+            message: `invalid JSON: ${error.message}`
+        }];
+    }
+
+    const name = `${path.basename(file, '.json')}${CONFIG.schemaSuffix}`;
+    const validate = loadValidator().getSchema(name);
+    if (!validate) {
+        return [{ rule: 'no-schema', file: location, line: 1, pointer: '', message: `no schema (data/schemas/${name})` }];
+    }
+
+    const problems = [];
+    const expectedRef = `./schemas/${name}`;
+    if (data.$schema !== expectedRef) {
+        problems.push({
+            rule: 'schema-reference',
+            file: location,
+            line: 1,
+            pointer: '/$schema',
+            message: `"$schema" should be "${expectedRef}"`
+        });
+    }
+
+    if (!validate(data)) {
+        const offsets = pointerOffsets(text);
+        reportedErrors(validate.errors).forEach(({ pointer, key, message }) => {
+            const offset = (key && offsets.keys.get(pointer)) ?? offsets.values.get(pointer) ?? 0;
+            problems.push({ rule: 'schema', file: location, line: lineAt(text, offset), pointer: pointer || '/', message });
+        });
+    }
+
+    return problems;
+}
+
+/**
+ * Main function: validate every data/*.json file
+ * Returns the problems in file and line order.
+ */
+function validateDataFiles() {
+    return fs.readdirSync(CONFIG.dataDir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .flatMap(file => validateDataFile(file).sort((a, b) => a.line - b.line));
+}
+
+// CLI interface
+if (require.main === module) {
+    const command = process.argv[2];
+
+    switch (command) {
+    case 'check':
+    case undefined: {
+        console.log('📐 Validating data files against their schemas...');
+        const problems = validateDataFiles();
+        problems.forEach(problem => {
+            console.log(`❌ ${problem.file}:${problem.line}  ${problem.pointer}  ${problem.message}`);
+        });
+
+        if (problems.length > 0) {
+            console.log(`\n❌ ${problems.length} schema problems`);
+            process.exitCode = 1;
+        } else {
+            console.log('✅ Every data file matches its schema');
+        }
+        break;
+    }
+    default:
+        console.log('Usage: node validate-data.js [check]');
+    }
+}
+
+module.exports = {
+    CONFIG,
+    validateDataFile,
+    validateDataFiles,
+    lineOfPointer,
+    pointerOffsets
+};
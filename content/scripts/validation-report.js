@@ -0,0 +1,170 @@
+/**
+ * Validation Reports for Roman Korol's Website
+ * Gives each content issue its severity (error, warning or off, set per rule, with a
+ * strict mode in which warnings fail too) and writes the issues as a JSON report, as
+ * JUnit XML for CI test reporters, and as GitHub Actions annotations on the data files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SEVERITIES = ['error', 'warning', 'off'];
+
+/**
+ * Issues with their severity: `rules` overrides `defaults` (rule -> severity), rules
+ * set to "off" are dropped, and `strict` turns warnings into errors
+ * Rules that are in neither list are errors.
+ */
+function applySeverities(issues, options = {}) {
+    const { defaults = {}, rules = {}, strict = false } = options;
+    return issues
+        .map(issue => ({ ...issue, severity: rules[issue.rule] || defaults[issue.rule] || 'error' }))
+        .filter(issue => issue.severity !== 'off')
+        .map(issue => (strict && issue.severity === 'warning' ? { ...issue, severity: 'error' } : issue));
+}
+
+/**
+ * "rule=warning" options -> { rule: 'warning' }; throws on an unknown severity, and on
+ * a rule that is not in `known` when it is given, so a misspelt rule does not go unused
+ */
+function parseRuleOptions(values = [], known = null) {
+    const rules = {};
+    values.forEach(value => {
+        const [rule, severity] = value.split('=');
+        if (!rule || !SEVERITIES.includes(severity)) {
+            throw new Error(`--rule ${value}: expected <rule>=${SEVERITIES.join('|')}`);
+        }
+        if (known && !known.includes(rule)) {
+            throw new Error(`--rule ${value}: unknown rule "${rule}" (rules: ${known.join(', ')})`);
+        }
+        rules[rule] = severity;
+    });
+    return rules;
+}
+
+/**
+ * Number of errors and warnings
+ */
+function summarize(issues) {
+    return {
+        errors: issues.filter(issue => issue.severity === 'error').length,
+        warnings: issues.filter(issue => issue.severity === 'warning').length
+    };
+}
+
+/**
+ * "data/news.json:8" for an issue, or its file when the line is unknown
+ */
+function locationOf(issue) {
+    return issue.line ? `${issue.file}:${issue.line}` : issue.file;
+}
+
+/**
+ * "/news/0/category: message (suggested fix)"
+ */
+function describeIssue(issue) {
+    return `${issue.pointer ? `${issue.pointer}: ` : ''}${issue.message}${issue.suggestion ? ` (${issue.suggestion})` : ''}`;
+}
+
+/**
+ * JSON report: the options the check ran with, the counts and every issue
+ */
+function toJSON(issues, options = {}) {
+    const report = {
+        generated: new Date().toISOString(),
+        strict: Boolean(options.strict),
+        files: options.files || [],
+        summary: summarize(issues),
+        issues: issues.map(({ severity, rule, file, line, pointer, message, suggestion }) => ({
+            severity, rule, file, line: line || null, pointer: pointer || null, message, suggestion: suggestion || null
+        }))
+    };
+    return JSON.stringify(report, null, 2) + '\n';
+}
+
+/**
+ * Escape text for XML attributes and content
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * JUnit XML report: one test suite per checked file and one test case per issue
+ * Errors are failures; warnings pass with their message in system-out. A file without
+ * issues gets one passing test case, so every checked file is listed.
+ */
+function toJUnit(issues, options = {}) {
+    const files = [...new Set([...(options.files || []), ...issues.map(issue => issue.file)])];
+    const name = options.name || 'content';
+    const lines = [];
+
+    const suites = files.map(file => {
+        const own = issues.filter(issue => issue.file === file);
+        const failures = own.filter(issue => issue.severity === 'error').length;
+        const cases = own.length === 0 ?
+            [`    <testcase classname="${escapeXml(file)}" name="valid" file="${escapeXml(file)}"/>`] :
+            own.map(issue => {
+                const attributes = `classname="${escapeXml(file)}" name="${escapeXml(`${issue.rule} ${issue.pointer || ''}`.trim())}" ` +
+                    `file="${escapeXml(file)}"${issue.line ? ` line="${issue.line}"` : ''}`;
+                const text = `${locationOf(issue)} ${describeIssue(issue)}`;
+                const body = issue.severity === 'error' ?
+                    `<failure type="${escapeXml(issue.rule)}" message="${escapeXml(issue.message)}">${escapeXml(text)}</failure>` :
+                    `<system-out>${escapeXml(`warning: ${text}`)}</system-out>`;
+                return `    <testcase ${attributes}>${body}</testcase>`;
+            });
+        return { file, tests: cases.length, failures, cases };
+    });
+
+    const tests = suites.reduce((total, suite) => total + suite.tests, 0);
+    const failures = suites.reduce((total, suite) => total + suite.failures, 0);
+    lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+    lines.push(`<testsuites name="${escapeXml(name)}" tests="${tests}" failures="${failures}">`);
+    suites.forEach(suite => {
+        lines.push(`  <testsuite name="${escapeXml(suite.file)}" tests="${suite.tests}" failures="${suite.failures}">`);
+        lines.push(...suite.cases);
+        lines.push('  </testsuite>');
+    });
+    lines.push('</testsuites>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * GitHub Actions workflow commands that annotate the data files of a pull request:
+ * ::error file=data/news.json,line=8,title=schema::/news/0/category: ...
+ */
+function toAnnotations(issues) {
+    const data = text => String(text).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+    const property = text => data(text).replace(/:/g, '%3A').replace(/,/g, '%2C');
+    return issues.map(issue => {
+        const properties = [`file=${property(issue.file)}`];
+        if (issue.line) properties.push(`line=${issue.line}`);
+        properties.push(`title=${property(issue.rule)}`);
+        return `::${issue.severity} ${properties.join(',')}::${data(describeIssue(issue))}`;
+    });
+}
+
+/**
+ * Write a report, creating its folder
+ */
+function writeReport(file, content) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, content, 'utf8');
+}
+
+module.exports = {
+    SEVERITIES,
+    applySeverities,
+    parseRuleOptions,
+    summarize,
+    locationOf,
+    describeIssue,
+    toJSON,
+    toJUnit,
+    toAnnotations,
+    writeReport
+};
@@ -0,0 +1,54 @@
+/**
+ * Tests for content/scripts/bibtex.js: node --test content/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseBibtex, latexToHtml } = require('../scripts/bibtex');
+
+test('commands inside a braced argument keep the rest of the group', () => {
+    assert.strictEqual(latexToHtml('\\textit{Caf\\\'{e} au lait}'), '<i>Café au lait</i>');
+    assert.strictEqual(latexToHtml('\\textbf{\\emph{x} y}'), '<b><i>x</i> y</b>');
+    assert.strictEqual(latexToHtml('\\href{http://a}{link} after'), 'link after');
+});
+
+test('protective braces are dropped', () => {
+    assert.strictEqual(latexToHtml('{{CCSD(T)}}'), 'CCSD(T)');
+    assert.strictEqual(latexToHtml('\\ce{CH4} and $^{13}$C'), 'CH<sub>4</sub> and <sup>13</sup>C');
+});
+
+test('@string macros, # concatenation and month names are expanded', () => {
+    const { entries, errors } = parseBibtex([
+        '@string{jcp = "J. Chem. Phys."}',
+        '@article{a1,',
+        '  title = {{CCSD(T)} energies},',
+        '  journal = jcp # " Lett.",',
+        '  month = jan,',
+        '  year = 2020',
+        '}'
+    ].join('\n'));
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].line, 2);
+    assert.deepStrictEqual(entries[0].fields, {
+        title: '{CCSD(T)} energies',
+        journal: 'J. Chem. Phys. Lett.',
+        month: 'January',
+        year: '2020'
+    });
+});
+
+test('errors are reported by line and the other entries are kept', () => {
+    const { entries, errors } = parseBibtex([
+        '@article{ok, title = {a}}',
+        '',
+        '@article{bad',
+        '  title = {x}}',
+        '@article{next, year = nomacro}'
+    ].join('\n'));
+    assert.deepStrictEqual(entries.map(entry => entry.key), ['ok']);
+    assert.deepStrictEqual(errors, [
+        { line: 4, message: '@article{bad} (line 3): expected "," after the key "bad"' },
+        { line: 5, message: '@article{next} (line 5): undefined macro "nomacro"' }
+    ]);
+});
@@ -0,0 +1,15 @@
+/**
+ * Tests for content/scripts/check-links.js: node --test content/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { decodeEntities } = require('../scripts/check-links');
+
+test('entities in attribute values are decoded', () => {
+    assert.strictEqual(decodeEntities('a&amp;b &quot;c&quot; &#233;t&#xE9;'), 'a&b "c" été');
+});
+
+test('out-of-range numeric entities decode to U+FFFD instead of throwing', () => {
+    assert.strictEqual(decodeEntities('#a&#99999999;b&#x110000;c&#xD800;'), '#a�b�c�');
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for content/scripts/citations.js: node --test content/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseName, toBibtex, toRis, toCslJson, formatCitations } = require('../scripts/citations');
+const { parseBibtex, latexToHtml } = require('../scripts/bibtex');
+
+const article = {
+    id: 'korol2020co2',
+    title: 'Dynamics of CO<sub>2</sub> in Schrödinger & co',
+    authors: ['RV Korol', 'T F Miller III', 'L.E. van der Berg'],
+    journal: 'J. Chem. Phys.',
+    year: 2020,
+    volume: 152,
+    issue: 3,
+    pages: '2747-2764',
+    doi: '10.1063/1.5134810',
+    type: 'journal',
+    status: 'published'
+};
+const preprint = { id: 'chen2026draft', title: 'Draft', authors: ['X Chen'], year: 2026, type: 'preprint', status: 'submitted' };
+
+test('author names are split into family, given names and suffix', () => {
+    assert.deepStrictEqual(parseName('RV Korol'), { family: 'Korol', given: 'R. V.', suffix: '' });
+    assert.deepStrictEqual(parseName('T F Miller III'), { family: 'Miller', given: 'T. F.', suffix: 'III' });
+    assert.deepStrictEqual(parseName('L.E. van der Berg'), { family: 'van der Berg', given: 'L. E.', suffix: '' });
+    assert.deepStrictEqual(parseName('Korol, Roman'), { family: 'Korol', given: 'Roman', suffix: '' });
+});
+
+test('BibTeX entries escape LaTeX and protect the title', () => {
+    assert.strictEqual(toBibtex([article, preprint]), [
+        '@article{korol2020co2,',
+        '  author = {Korol, R. V. and Miller, III, T. F. and van der Berg, L. E.},',
+        '  title = {Dynamics of {CO}\\textsubscript{2} in Schr{\\"o}dinger \\& co},',
+        '  journal = {J. Chem. Phys.},',
+        '  year = {2020},',
+        '  volume = {152},',
+        '  number = {3},',
+        '  pages = {2747--2764},',
+        '  doi = {10.1063/1.5134810},',
+        '  url = {https://doi.org/10.1063/1.5134810}',
+        '}',
+        '',
+        '@misc{chen2026draft,',
+        '  author = {Chen, X.},',
+        '  title = {Draft},',
+        '  year = {2026},',
+        '  note = {Submitted}',
+        '}',
+        ''
+    ].join('\n'));
+});
+
+test('BibTeX output reads back through the importer', () => {
+    const { entries, errors } = parseBibtex(toBibtex([article]));
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(latexToHtml(entries[0].fields.title), 'Dynamics of CO<sub>2</sub> in Schrödinger &amp; co');
+});
+
+test('RIS records have one tag per line and end with ER', () => {
+    assert.strictEqual(toRis([article]), [
+        'TY  - JOUR',
+        'ID  - korol2020co2',
+        'AU  - Korol, R. V.',
+        'AU  - Miller, T. F., III',
+        'AU  - van der Berg, L. E.',
+        'TI  - Dynamics of CO2 in Schrödinger & co',
+        'T2  - J. Chem. Phys.',
+        'PY  - 2020',
+        'VL  - 152',
+        'IS  - 3',
+        'SP  - 2747',
+        'EP  - 2764',
+        'DO  - 10.1063/1.5134810',
+        'UR  - https://doi.org/10.1063/1.5134810',
+        'ER  - ',
+        ''
+    ].join('\n'));
+});
+
+test('CSL-JSON items keep rich titles and leave out empty fields', () => {
+    const [item, draft] = JSON.parse(toCslJson([article, preprint]));
+    assert.strictEqual(item.type, 'article-journal');
+    assert.strictEqual(item.title, 'Dynamics of CO<sub>2</sub> in Schrödinger &amp; co');
+    assert.deepStrictEqual(item.author[1], { family: 'Miller', given: 'T. F.', suffix: 'III' });
+    assert.deepStrictEqual(item.issued, { 'date-parts': [[2020]] });
+    assert.strictEqual(item.page, '2747-2764');
+    assert.deepStrictEqual(draft, {
+        id: 'chen2026draft',
+        type: 'article',
+        title: 'Draft',
+        author: [{ family: 'Chen', given: 'X.' }],
+        issued: { 'date-parts': [[2026]] },
+        status: 'Submitted'
+    });
+});
+
+test('unknown formats throw', () => {
+    assert.throws(() => formatCitations([article], 'mla'), { message: 'Unknown citation format "mla"' });
+});
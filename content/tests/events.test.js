@@ -0,0 +1,96 @@
+/**
+ * Tests for content/scripts/events.js: node --test content/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { occurrences, checkEventTimes, validateEvents, generateICalendar } = require('../scripts/events');
+
+const seminar = {
+    id: 'seminar',
+    title: 'Seminar, weekly',
+    start: '2026-03-02T10:00',
+    end: '2026-03-02T11:00',
+    timeZone: 'America/Toronto',
+    recurrence: { frequency: 'weekly', byDay: ['MO', 'WE'], count: 5, except: ['2026-03-04'] }
+};
+
+test('weekly recurrences keep their wall-clock time across a change of offset', () => {
+    // The excepted date still counts towards `count`, as in RFC 5545
+    assert.deepStrictEqual(occurrences(seminar).map(occurrence => [occurrence.date, new Date(occurrence.start).toISOString()]), [
+        ['2026-03-02', '2026-03-02T15:00:00.000Z'],
+        ['2026-03-09', '2026-03-09T14:00:00.000Z'],
+        ['2026-03-11', '2026-03-11T14:00:00.000Z'],
+        ['2026-03-16', '2026-03-16T14:00:00.000Z']
+    ]);
+});
+
+test('monthly recurrences skip months without the day', () => {
+    const event = { start: '2026-01-31', recurrence: { frequency: 'monthly', until: '2026-06-30' } };
+    assert.deepStrictEqual(occurrences(event).map(occurrence => occurrence.date), ['2026-01-31', '2026-03-31', '2026-05-31']);
+});
+
+test('impossible times and broken recurrences are reported', () => {
+    assert.deepStrictEqual(checkEventTimes({ start: '2026-03-08T02:30', timeZone: 'America/Toronto' }),
+        ['start 2026-03-08T02:30 does not exist in America/Toronto (the clocks skip over it)']);
+    assert.deepStrictEqual(checkEventTimes({ start: '2026-03-02T10:00', end: '2026-03-02T09:00' }),
+        ['ends (2026-03-02T09:00) before it starts (2026-03-02T10:00)']);
+    assert.deepStrictEqual(checkEventTimes({ start: '2026-03-03T10:00', recurrence: { frequency: 'weekly', byDay: ['MO'] } }),
+        ['start 2026-03-03T10:00 falls on TU, which is not in byDay (MO)']);
+    assert.deepStrictEqual(checkEventTimes({ ...seminar, recurrence: { ...seminar.recurrence, except: ['2026-03-05'] } }),
+        ['recurrence except 2026-03-05 is not one of its dates']);
+});
+
+test('overlapping timed events are reported once per pair', () => {
+    const events = [
+        { id: 'a', title: 'A', start: '2026-03-02T10:00', end: '2026-03-02T11:00' },
+        { id: 'b', title: 'B', start: '2026-03-02T10:30', end: '2026-03-02T12:00' },
+        { id: 'c', title: 'C', start: '2026-03-02' }
+    ];
+    assert.deepStrictEqual(validateEvents(events), [{ ids: ['a', 'b'], message: 'b overlaps a on 2026-03-02', overlap: true }]);
+});
+
+test('iCalendar output has time zones, rules, exceptions and escaped text', () => {
+    const ics = generateICalendar([seminar, { id: 'deadline', title: 'Deadline', start: '2026-04-01' }],
+        { name: 'Lab', domain: 'example.org', stamp: '2026-01-01' });
+    const lines = ics.split('\r\n');
+
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.deepStrictEqual(lines.slice(0, 6), ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Lab//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH', 'X-WR-CALNAME:Lab']);
+    assert.ok(lines.includes('TZID:America/Toronto'));
+    assert.ok(lines.includes('DTSTART:20260308T020000'));
+    [
+        'UID:seminar@example.org',
+        'DTSTAMP:20260101T000000Z',
+        'DTSTART;TZID=America/Toronto:20260302T100000',
+        'DTEND;TZID=America/Toronto:20260302T110000',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=5',
+        'EXDATE;TZID=America/Toronto:20260304T100000',
+        'SUMMARY:Seminar\\, weekly',
+        'DTSTART;VALUE=DATE:20260401',
+        'DTEND;VALUE=DATE:20260402'
+    ].forEach(line => assert.ok(lines.includes(line), line));
+});
+
+test('iCalendar UNTIL is the end of the day in the event\'s zone, and long lines are folded', () => {
+    const ics = generateICalendar([{
+        id: 'x',
+        title: 'T',
+        start: '2026-03-02T10:00',
+        description: 'y'.repeat(100),
+        recurrence: { frequency: 'weekly', until: '2026-03-30' }
+    }], { stamp: '2026-01-01' });
+    const lines = ics.split('\r\n');
+
+    assert.ok(lines.includes('RRULE:FREQ=WEEKLY;UNTIL=20260331T035959Z'));
+    const description = lines.findIndex(line => line.startsWith('DESCRIPTION:'));
+    assert.strictEqual(Buffer.byteLength(lines[description]), 75);
+    assert.strictEqual(lines[description + 1], ` ${'y'.repeat(100 - 63)}`);
+});
+
+test('events with time problems are left out of the calendar with a warning', () => {
+    const warnings = [];
+    const ics = generateICalendar([{ id: 'bad', title: 'B', start: '2026-02-30' }], { warn: message => warnings.push(message) });
+    assert.ok(!ics.includes('BEGIN:VEVENT'));
+    assert.deepStrictEqual(warnings, ['events[bad]: start "2026-02-30" is not a valid date or time, left out of the calendar']);
+});
@@ -0,0 +1,58 @@
+/**
+ * Tests for content/scripts/localize.js: node --test content/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { isLocalized, localizeValue, localizeData, reportFallbacks } = require('../scripts/localize');
+
+test('only objects keyed by known locales are localized values', () => {
+    assert.strictEqual(isLocalized({ en: 'a', fr: 'b' }), true);
+    assert.strictEqual(isLocalized({ en: 'a', label: 'b' }), false);
+    assert.strictEqual(isLocalized({}), false);
+    assert.strictEqual(isLocalized(['en']), false);
+});
+
+test('missing and empty translations fall back to the default locale, and are recorded', () => {
+    const fallbacks = [];
+    assert.strictEqual(localizeValue({ en: 'Title', fr: 'Titre' }, 'fr', { fallbacks }), 'Titre');
+    assert.strictEqual(localizeValue({ en: 'Title', fr: '' }, 'fr', { fallbacks, path: 'a' }), 'Title');
+    assert.strictEqual(localizeValue({ en: 'Title' }, 'fr', { fallbacks, path: 'b' }), 'Title');
+    assert.strictEqual(localizeValue({ fr: 'Titre' }, 'en', { fallbacks, path: 'c' }), 'Titre');
+    assert.strictEqual(localizeValue({ en: '', fr: '' }, 'fr', { fallbacks, path: 'd' }), '');
+    assert.strictEqual(localizeValue('J. Chem. Phys.', 'fr', { fallbacks }), 'J. Chem. Phys.');
+    assert.deepStrictEqual(fallbacks, [
+        { path: 'a', locale: 'fr', from: 'en' },
+        { path: 'b', locale: 'fr', from: 'en' },
+        { path: 'c', locale: 'en', from: 'fr' }
+    ]);
+});
+
+test('localizeData resolves nested fields and names array items by id', () => {
+    const fallbacks = [];
+    const data = {
+        news: [
+            { id: '2024-09-retreat', title: { en: 'Retreat', fr: '' }, tags: ['lab'] },
+            { title: { en: 'Visit', fr: 'Visite' } }
+        ],
+        count: 2
+    };
+    assert.deepStrictEqual(localizeData(data, 'fr', { fallbacks }), {
+        news: [
+            { id: '2024-09-retreat', title: 'Retreat', tags: ['lab'] },
+            { title: 'Visite' }
+        ],
+        count: 2
+    });
+    assert.deepStrictEqual(fallbacks, [{ path: 'news[2024-09-retreat].title', locale: 'fr', from: 'en' }]);
+});
+
+test('reportFallbacks lists each fallback once', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const entry = { path: 'news[a].title', locale: 'fr', from: 'en' };
+    assert.deepStrictEqual(reportFallbacks([entry, { ...entry }]), [entry]);
+    assert.deepStrictEqual(warn.mock.calls.map(call => call.arguments[0]), [
+        '🌐 1 fr string(s) fell back to another language:',
+        '   news[a].title (en)'
+    ]);
+});
@@ -0,0 +1,26 @@
+/**
+ * Tests for content/scripts/sanitize.js: node --test content/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { isSafeUrl, sanitizeHtml, plainText } = require('../scripts/sanitize');
+
+test('entity-encoded javascript: schemes are refused', () => {
+    ['java&#115;cript:alert(1)', 'javascript&colon;alert(1)', '&#x6a;avascript:alert(1)', '&#106avascript:alert(1)'].forEach(url => {
+        assert.strictEqual(isSafeUrl(url), false, url);
+        const { html, stripped } = sanitizeHtml(`<a href="${url}">x</a>`);
+        assert.strictEqual(html, '<a>x</a>');
+        assert.strictEqual(stripped.length, 1);
+    });
+});
+
+test('ordinary links are kept', () => {
+    ['https://doi.org/10.1063/1.5134810?a=1&b=2', 'publications.html#12', 'mailto:someone@example.org'].forEach(url => {
+        assert.strictEqual(isSafeUrl(url), true, url);
+    });
+});
+
+test('out-of-range numeric entities do not throw', () => {
+    assert.strictEqual(plainText('a &#99999999; b &#x110000; c &#xD800; &#233;'), 'a � b � c � é');
+});
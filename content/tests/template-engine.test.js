@@ -0,0 +1,83 @@
+/**
+ * Tests for content/scripts/template-engine.js: node --test content/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { render } = require('../scripts/template-engine');
+
+test('unsafe URLs are replaced wherever the rendered attribute value starts', () => {
+    const warnings = [];
+    const warn = message => warnings.push(message);
+    const link = '<a href="{{a}}{{b}}">x</a>';
+
+    assert.strictEqual(render(link, { a: '', b: 'javascript:alert(1)' }, { warn }), '<a href="#">x</a>');
+    assert.strictEqual(render('<a href="{{a}}">x</a>', { a: 'javascript:alert(1)' }, { warn }), '<a href="#">x</a>');
+    assert.strictEqual(warnings.length, 2);
+    assert.strictEqual(render(link, { a: 'https://example.org/', b: 'page.html' }, { warn }), '<a href="https://example.org/page.html">x</a>');
+    assert.strictEqual(warnings.length, 2);
+});
+
+test('values are escaped for text, attributes and scripts; {{{raw}}} is not', () => {
+    const data = { text: '<b>"a" & b</b>' };
+    assert.strictEqual(render('<p title="{{text}}">{{text}} {{{text}}}</p>', data),
+        '<p title="&lt;b&gt;&quot;a&quot; &amp; b&lt;/b&gt;">&lt;b&gt;&quot;a&quot; &amp; b&lt;/b&gt; <b>"a" & b</b></p>');
+    assert.strictEqual(render('<script>var s = "{{text}}";</script>', { text: '</script>"' }),
+        '<script>var s = "\\u003c/script\\u003e\\u0022";</script>');
+});
+
+test('#if, #unless and {{else}} follow Handlebars truthiness', () => {
+    const template = '{{#if list}}some{{else}}none{{/if}}|{{#unless flag}}off{{/unless}}';
+    assert.strictEqual(render(template, { list: [1], flag: false }), 'some|off');
+    assert.strictEqual(render(template, { list: [], flag: true }), 'none|');
+    assert.strictEqual(render('{{#if (eq status "published")}}yes{{/if}}', { status: 'published' }), 'yes');
+});
+
+test('#each gives @index, @first, @last and @key, and #with changes the scope', () => {
+    assert.strictEqual(
+        render('{{#each items}}{{#if @first}}[{{/if}}{{@index}}:{{name}}{{#unless @last}},{{/unless}}{{#if @last}}]{{/if}}{{/each}}',
+            { items: [{ name: 'a' }, { name: 'b' }] }),
+        '[0:a,1:b]');
+    assert.strictEqual(render('{{#each map}}{{@key}}={{this}};{{/each}}', { map: { x: 1, y: 2 } }), 'x=1;y=2;');
+    assert.strictEqual(render('{{#each items}}x{{else}}empty{{/each}}', { items: [] }), 'empty');
+    assert.strictEqual(render('{{#with person}}{{name}} of {{../group}} ({{@root.group}}){{/with}}',
+        { person: { name: 'Ann' }, group: 'lab' }), 'Ann of lab (lab)');
+});
+
+test('partials get their context, hash values and indentation', () => {
+    const partials = name => ({ card: '<i>{{name}}</i>{{#if note}} {{note}}{{/if}}\n' })[name];
+    assert.strictEqual(render('{{> card person note="hi"}}', { person: { name: 'Ann' } }, { partials }), '<i>Ann</i> hi\n');
+    assert.strictEqual(render('<div>\n  {{> card}}\n</div>', { name: 'Bo' }, { partials }), '<div>\n  <i>Bo</i>\n</div>');
+});
+
+test('built-in and local helpers', () => {
+    assert.strictEqual(render('{{formatDate d}}', { d: '2024-03-05' }), 'March 5, 2024');
+    assert.strictEqual(render('{{formatDate d "iso"}} {{formatDate d "year"}}', { d: '2024-03-05' }), '2024-03-05 2024');
+    assert.strictEqual(render('{{join tags " / "}}', { tags: ['a', 'b'] }), 'a / b');
+    assert.strictEqual(render('{{highlightAuthor authors}}', { authors: ['R Korol', 'X Chen', 'I Franco'] }),
+        '<b>R Korol</b>, X Chen, and I Franco');
+    assert.strictEqual(render('{{shout word}}', { word: 'hi' }, { helpers: { shout: value => `${value}!` } }), 'hi!');
+});
+
+test('{{rich}} keeps allowed markup and reports what it strips', () => {
+    const warnings = [];
+    const html = render('{{rich text}}', { text: 'CO<sub>2</sub><script>x</script>' }, { warn: message => warnings.push(message) });
+    assert.strictEqual(html, 'CO<sub>2</sub>');
+    assert.strictEqual(warnings.length, 1);
+});
+
+test('template mistakes throw with the template name and line', () => {
+    const errors = [
+        ['{{#if a}}\nx', 't:1: {{#if}} is never closed'],
+        ['{{#if a}}{{/each}}', 't:1: {{/each}} does not close {{#if}} opened at t:1'],
+        ['\n{{else}}', 't:2: {{else}} outside of a block'],
+        ['{{/if}}', 't:1: unexpected {{/if}}'],
+        ['{{join "a}}', 't:1: unterminated string in "join "a"'],
+        ['{{nohelper a}}', 't:1: unknown helper "nohelper"'],
+        ['{{#loop a}}{{/loop}}', 't:1: unknown block helper {{#loop}}'],
+        ['{{> missing}}', 't:1: partial "missing" not found']
+    ];
+    errors.forEach(([source, message]) => {
+        assert.throws(() => render(source, { a: 1 }, { name: 't', partials: () => null }), { message }, source);
+    });
+});
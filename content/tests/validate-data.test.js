@@ -0,0 +1,81 @@
+/**
+ * Tests for content/scripts/validate-data.js: node --test content/tests/
+ * Data files are written to a temporary data folder; the schemas are the real ones.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CONFIG, validateDataFile, lineOfPointer, pointerOffsets } = require('../scripts/validate-data');
+
+const dataDir = CONFIG.dataDir;
+
+test.before(() => {
+    CONFIG.dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-data-'));
+});
+
+test.after(() => {
+    fs.rmSync(CONFIG.dataDir, { recursive: true, force: true });
+    CONFIG.dataDir = dataDir;
+});
+
+const write = (file, text) => fs.writeFileSync(path.join(CONFIG.dataDir, file), text);
+
+test('pointerOffsets finds every value and key, with escaped segments', () => {
+    const { values, keys } = pointerOffsets('{\n "a/b": [1, {"c~d": true}]\n}');
+    assert.deepStrictEqual([...values], [['', 0], ['/a~1b', 10], ['/a~1b/0', 11], ['/a~1b/1', 14], ['/a~1b/1/c~0d', 22]]);
+    assert.deepStrictEqual([...keys], [['/a~1b', 3], ['/a~1b/1/c~0d', 15]]);
+    assert.throws(() => pointerOffsets('{"a": 1 2}'), { name: 'SyntaxError', offset: 8 });
+});
+
+test('schema problems are reported by pointer and line', () => {
+    write('team.json', [
+        '{',
+        '  "$schema": "./schemas/team.schema.json",',
+        '  "roles": { "pi": { "label": "PI" } },',
+        '  "members": [',
+        '    {',
+        '      "id": "ann",',
+        '      "name": "Ann",',
+        '      "role": "pi",',
+        '      "start": "Jan 2026",',
+        '      "featurd": true',
+        '    },',
+        '    { "id": "bo", "role": "pi", "start": "2026-01" }',
+        '  ]',
+        '}'
+    ].join('\n'));
+
+    const problems = validateDataFile('team.json').sort((a, b) => a.line - b.line);
+    assert.deepStrictEqual(problems.map(({ rule, line, pointer }) => ({ rule, line, pointer })), [
+        { rule: 'schema', line: 9, pointer: '/members/0/start' },
+        { rule: 'schema', line: 10, pointer: '/members/0/featurd' },
+        { rule: 'schema', line: 12, pointer: '/members/1' }
+    ]);
+    assert.strictEqual(problems[1].message, 'unknown property "featurd"');
+    assert.strictEqual(problems[2].message, 'missing required property "name"');
+    assert.strictEqual(lineOfPointer('team.json', '/members/1/name'), 12);
+});
+
+test('invalid JSON, a missing schema and a wrong "$schema" are reported', () => {
+    write('broken.json', '{\n  "a": 1,\n  "b": [1 2]\n}');
+    const [invalid] = validateDataFile('broken.json');
+    assert.strictEqual(invalid.rule, 'invalid-json');
+    assert.strictEqual(invalid.line, 3);
+
+    write('unknown.json', '{}');
+    assert.deepStrictEqual(validateDataFile('unknown.json'), [{
+        rule: 'no-schema', file: 'data/unknown.json', line: 1, pointer: '', message: 'no schema (data/schemas/unknown.schema.json)'
+    }]);
+
+    write('team.json', '{\n  "$schema": "./schemas/teams.schema.json",\n  "roles": {},\n  "members": []\n}');
+    assert.deepStrictEqual(validateDataFile('team.json'), [{
+        rule: 'schema-reference',
+        file: 'data/team.json',
+        line: 1,
+        pointer: '/$schema',
+        message: '"$schema" should be "./schemas/team.schema.json"'
+    }]);
+});
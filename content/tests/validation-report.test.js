@@ -0,0 +1,71 @@
+/**
+ * Tests for content/scripts/validation-report.js: node --test content/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { applySeverities, parseRuleOptions, summarize, toJSON, toJUnit, toAnnotations } = require('../scripts/validation-report');
+
+const issues = [
+    { rule: 'schema', file: 'data/news.json', line: 8, pointer: '/news/0/date', message: '"2024-13-01": expected a date' },
+    { rule: 'event-overlap', file: 'data/events.json', line: 12, pointer: '/events/1', message: 'b overlaps a' },
+    { rule: 'orphaned-file', file: 'images/old.jpg', line: null, pointer: null, message: 'not used', suggestion: 'delete it' }
+];
+const defaults = { schema: 'error', 'event-overlap': 'warning', 'orphaned-file': 'off' };
+
+test('severities come from the defaults, overrides and strict mode', () => {
+    const severities = options => applySeverities(issues, { defaults, ...options }).map(issue => `${issue.rule}:${issue.severity}`);
+    assert.deepStrictEqual(severities(), ['schema:error', 'event-overlap:warning']);
+    assert.deepStrictEqual(severities({ strict: true }), ['schema:error', 'event-overlap:error']);
+    assert.deepStrictEqual(severities({ rules: { schema: 'off', 'orphaned-file': 'warning' } }),
+        ['event-overlap:warning', 'orphaned-file:warning']);
+    // Rules without a severity are errors
+    assert.deepStrictEqual(applySeverities([{ rule: 'new-rule' }]).map(issue => issue.severity), ['error']);
+});
+
+test('--rule options need a known rule and severity', () => {
+    const known = ['schema', 'event-overlap'];
+    assert.deepStrictEqual(parseRuleOptions(['schema=warning', 'event-overlap=off'], known), { schema: 'warning', 'event-overlap': 'off' });
+    assert.throws(() => parseRuleOptions(['schema=fatal'], known), { message: '--rule schema=fatal: expected <rule>=error|warning|off' });
+    assert.throws(() => parseRuleOptions(['bogus=error'], known), { message: '--rule bogus=error: unknown rule "bogus" (rules: schema, event-overlap)' });
+    assert.deepStrictEqual(parseRuleOptions(['bogus=error']), { bogus: 'error' });
+});
+
+test('the JSON report has the counts and every issue', () => {
+    const reported = applySeverities(issues, { defaults });
+    const report = JSON.parse(toJSON(reported, { strict: false, files: ['data/news.json', 'data/events.json'] }));
+    assert.deepStrictEqual(summarize(reported), { errors: 1, warnings: 1 });
+    assert.deepStrictEqual(report.summary, { errors: 1, warnings: 1 });
+    assert.deepStrictEqual(report.files, ['data/news.json', 'data/events.json']);
+    assert.deepStrictEqual(report.issues[1], {
+        severity: 'warning', rule: 'event-overlap', file: 'data/events.json', line: 12, pointer: '/events/1', message: 'b overlaps a', suggestion: null
+    });
+});
+
+test('JUnit reports fail on errors, pass warnings and list clean files', () => {
+    const reported = applySeverities(issues, { defaults });
+    const xml = toJUnit(reported, { name: 'test:content', files: ['data/news.json', 'data/events.json', 'data/team.json'] });
+    assert.strictEqual(xml, [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<testsuites name="test:content" tests="3" failures="1">',
+        '  <testsuite name="data/news.json" tests="1" failures="1">',
+        '    <testcase classname="data/news.json" name="schema /news/0/date" file="data/news.json" line="8">' +
+            '<failure type="schema" message="&quot;2024-13-01&quot;: expected a date">' +
+            'data/news.json:8 /news/0/date: &quot;2024-13-01&quot;: expected a date</failure></testcase>',
+        '  </testsuite>',
+        '  <testsuite name="data/events.json" tests="1" failures="0">',
+        '    <testcase classname="data/events.json" name="event-overlap /events/1" file="data/events.json" line="12">' +
+            '<system-out>warning: data/events.json:12 /events/1: b overlaps a</system-out></testcase>',
+        '  </testsuite>',
+        '  <testsuite name="data/team.json" tests="1" failures="0">',
+        '    <testcase classname="data/team.json" name="valid" file="data/team.json"/>',
+        '  </testsuite>',
+        '</testsuites>',
+        ''
+    ].join('\n'));
+});
+
+test('GitHub annotations escape their properties and message', () => {
+    const [annotation] = toAnnotations([{ ...issues[0], severity: 'error', message: 'a: b,\nc' }]);
+    assert.strictEqual(annotation, '::error file=data/news.json,line=8,title=schema::/news/0/date: a: b,%0Ac');
+});
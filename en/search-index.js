@@ -0,0 +1,2 @@
+/* Site search index, generated by content/scripts/generate-content.js; do not edit */
+window.siteSearchIndex = {"kinds":{"page":"Page","publication":"Publication","news":"News","event":"Event","member":"Team","opening":"Position"},"docs":[["index.html","page","Home","We develop theoretical frameworks for understanding quantum systems at Sherbrooke University. Our research bridges fundamental quantum mechanics with practical applications in chemistry and materials science. Research Areas We study quantum statistics of many-body quantum systems, chemical reaction kinetics, and quantum dynamics in open system settings. Our Team We are building a research group with diverse academic and personal backgrounds who are passionate about advancing our understanding of quantum systems. Join Us We welcome applications from motivated Undergraduate, Masters and PhD students interested in theory and computation. Research Opportunities Explore Our Research"],["research.html","page","Research","Research Focus Areas Quantum Dynamics Path integral methods, ring polymer molecular dynamics, semiclassical approaches Chemical Kinetics Reaction rate theory, isotope effects, environmental effects on chemical reactions Open Quantum Systems Quantum transport, electron-phonon interactions, spectral density modeling List of Publications Expand All High-frequency tails in spectral densities × R Korol, X Chen, and I. Franco J. Phys. Chem. A 2025 10.1021/acs.jpca.5c00943. We show that the computations of relaxation rate in solution are highly sensitive to the choice of representation of the environmental spectral density (SD). The key reason is that electronic relaxation is dominated by the resonant contribution from the high-frequency tails of the SD, which can vary significantly between strategies. We provide a simple transformation that recovers the correct relaxation rates in quantum simulations constrained by algorithmic or physical limitations on the shape of the SD. Stable isotope equilibria in the dihydrogen-water-methane-ethane-propane system. Part 2: Experimental determination of hydrogen isotopic equilibrium for ethane-H2 from 30 to 200°C and propane-H2 from 75 to 200°C × A C Turner, R Korol, M Bill, and D A Stolper Geochim. et Cosmochim. Acta 2025 10.1016/j.gca.2025.02.033. We compare experimental hydrogen isotopic equilibrium with high-level theoretical calculations and provide a preferred polynomial fit. Comparison of these fractionation factors with a compilation of ∼500 compiled environmental gas samples supports the proposal that many (∼50%) of these natural gas samples exhibit hydrogen isotopic compositions consistent with having formed in or attained methane-ethane-propane hydrogen isotopic equilibrium over geologically relevant temperatures for formation and storage (50–300°C). Stable isotope equilibria in the dihydrogen-water-methane-ethane-propane system. Part 1: Path-integral calculations with CCSD(T) quality potentials R Korol, A C Turner, A Nandi, J M Bowman, W A Goddard III and D A Stolper Geochim. et Cosmochim. Acta 2025 10.1016/j.gca.2025.02.028. × We analyze the relative importance of various approximations that are commonly employed when isotopic equilibria are evaluated. We find that clumped isotope effects can be calculated using computational methods. In contrast, fractionation and site preferences benefit from the use of the higher level CCSD(T) potentials, accounting for anharmonic effects, and corrections to Born–Oppenheimer approximation. Experimental and theoretical determinations of hydrogen isotopic equilibrium in the system CH4-H2-H2O from 3 to 200°C A C Turner, R Korol, D L Eldridge, M Bill, T F Miller III and D A Stolper Geochim. et Cosmochim. Acta 2021 10.1016/j.gca.2021.04.026. × We provide calibrations of the equilibrium H/D and 13C/12C fractionation based on experiments and PIMC calculations. We find that isotopic compositions of some microbial gases from marine sedimentary, coalbed, and shale environments are consistent with the H and C equilibria. Dimension-free path-integral molecular dynamics without preconditioning × R Korol, J L Rosa-Ra&iacute;ces, N Bou-Rabee and T F Miller III, J. Chem. Phys. 2020 152, 104102, 10.1063/1.5134810. We further improve upon the standard algorithm for T-RPMD via a novel implementation of the Cayley modification [R. Korol et al., J. Chem. Phys. 151, 124103 (2019)]. This allows for a substantial increase in timestep size - three-fold for the simulations of liquid water - at no extra cost. Comparison of Experimental vs Theoretical Abundances of 13CH3D and 12CH2D2 for Isotopically Equilibrated Systems from 1 to 500 °C × D L Elbridge, R Korol, M K Lloyd, A C Turner, M A Webb, T F Miller III and D A Stolper ACS Earth Space Chem. 2019 3, 2747-2764, 10.1021/acsearthspacechem.9b00244. We study equilibrium clumping of heavy isotopes in methane. Using heavy isotope clumping, one can determine the temperature of methane when it was formed. We have extended the range of temperatures to cover all biologically and geologically relevant temperatures. Experimental clumping-temperature calibration is confirmed by state-of-the-art theoretical method - PIMC. Cayley modification for strongly stable path-integral and ring-polymer molecular dynamics R Korol, N Bou-Rabee and T F Miller III, J. Chem. Phys. 2019 151 (12), 124103, 10.1063/1.5120282. × We show that standard algorithm for evolving PIMD trajectories leads to numerical artifacts at certain (resonance) timesteps. We thus propose the Cayley modification, that provides strong symplectic stability to PIMD, RPMD and CMD and ergodicity for T-RPMD at no additional cost. This allows for the use of larger timesteps in these simulations. Machine Learning Prediction of DNA Charge Transport R Korol and D Segal, J. Phys. Chem. B 2019 123 (13), 2801-2811, 10.1021/acs.jpcb.8b12557. × We present a machine learning model that allows the inexpensive prediction of the electrical conductance of millions of long double-stranded DNA (dsDNA) sequences, reducing computational costs by orders of magnitude. The algorithm is trained on short DNA nano-junctions with n = 3–7 base pairs. From exhaustive simulations to key principles in DNA nanoelectronics R Korol and D Segal, J. Phys. Chem. C 2018 122 (8), 4206-4216, 10.1021/acs.jpcc.7b12744. × Conductance of DNA molecules is not well-understood in the light of opposing experimental results. The situation is also complicated, because there are exponentially many different sequences, and many of them conduct current in a drastically different way. Here we study the conductance of DNA molecules computationally and identify several general principles that could guide the experiments. Probe-ZT: Simulation of transport coefficients of molecular electronic junctions under environmental effects using Büttiker’s probes R Korol, M Kilgour, D Segal, Comp. Phys. Comm. 2018 224, 396-404, 10.1016/j.cpc.2017.10.005. × Our in-house quantum transport package, ProbeZT, calculates how readily electricity and heat moves across a given system. One can use it to identify molecules that are: good conductors, perfect insulators, excellent thermoelectrics and many more. In particular, we show the package applied to a linear conducting chain (like a polymer) and to a double-stranded DNA molecule. Thermopower of molecular junctions: Tunneling to hopping crossover in DNA R Korol, M Kilgour, D Segal, J. Chem. Phys. 2016 145 (22), 224702, 10.1063/1.4971167. × We examine the DNA molecules, that show a change in behavior in conductance and thermopower beyond a certain length, studied experimentally in Li et al. [Nat. Commun. 7, 11294 (2016)]. We show that the change in thermoelectric trends is caused by a change of the mechanism, by which a molecule conducts current from quantum mechanical tunneling to classical hopping. Reactions Of Boron-Derived Radicals With Nucleophiles L.E. Longobardi, P. Zatsepin, R. Korol, L. Liu, S. Grimme, D.W. Stephan, J. Am. Chem. Soc. 2016 139 (1), pp 426–-435, 10.1021/jacs.6b11190. × We utilize a series of borocyclic radicals, that are both bulky and with their SOMO density delocalized. Their electrophilic reactivity together with their considerable steric hinderance allows us to make several nice zwitterionic compounds with phosphines and other nucleophiles utilizing Frustrated Lewis Pair chemistry. Size Stabilizers in Two-electrode Synthesis of ZnO Nanorods RV Korol, OM Yanchuk, OV Marchuk, VF Orlov, IA Moroz, OA Vyshnevskyi, Phys. & Chem. of Solid State 2021 22 (2), pp 380–-387, 10.15330/pcss.22.2.380-387. × We modify and optimize a synthesis of ZnO nanoparticles by electrodeposition by adding auxiliary stabilizers to reduce the size and narrow its distribution in the target product."],["team.html","page","Team",""],["publications.html","page","Publications",""],["news.html","page","News",""],["openings.html","page","Openings","Research Opportunities Join our team at the forefront of quantum dynamics and theoretical chemistry Join the Korol Group The group welcomes applications from enthusiastic and talented undergraduate or graduate students as well as postdocs with a knack for theory and simulations and a background in Chemistry, Physics, Engineering, or Computer Science. To apply, please send your C.V. and a short letter of intent to Roman Korol. Contact: Roman.Korol@USherbrooke.ca Research Focus Areas Quantum Dynamics Path integral methods, ring polymer molecular dynamics, semiclassical approaches Chemical Kinetics Reaction rate theory, isotope effects, environmental effects on chemical reactions Open Quantum Systems Quantum transport, electron-phonon interactions, spectral density modeling How to Apply Required Documents: Current curriculum vitae Short letter of intent (1 page) describing your research interests and career goals Optional (if appropriate): Academic transcripts (unofficial copies are OK) Contact information for 1-3 references Application Process: Send your application materials to Roman.Korol@USherbrooke.ca Shortlisted candidates will be invited for an interview (in-person or virtual)"],["publications/korol2025tails.html","publication","High-frequency tails in spectral densities","We show that the computations of relaxation rate in solution are highly sensitive to the choice of representation of the environmental spectral density (SD). The key reason is that electronic relaxation is dominated by the resonant contribution from the high-frequency tails of the SD, which can vary significantly between strategies. We provide a simple transformation that recovers the correct relaxation rates in quantum simulations constrained by algorithmic or physical limitations on the shape of the SD."],["publications/turner2025equilibria2.html","publication","Stable isotope equilibria in the dihydrogen-water-methane-ethane-propane system. Part 2: Experimental determination of hydrogen isotopic equilibrium for ethane-H2 from 30 to 200°C and propane-H2 from 75 to 200°C","We compare experimental hydrogen isotopic equilibrium with high-level theoretical calculations and provide a preferred polynomial fit. Comparison of these fractionation factors with a compilation of ∼500 compiled environmental gas samples supports the proposal that many (∼50%) of these natural gas samples exhibit hydrogen isotopic compositions consistent with having formed in or attained methane-ethane-propane hydrogen isotopic equilibrium over geologically relevant temperatures for formation and storage (50–300°C)."],["publications/korol2025equilibria1.html","publication","Stable isotope equilibria in the dihydrogen-water-methane-ethane-propane system. Part 1: Path-integral calculations with CCSD(T) quality potentials","We analyze the relative importance of various approximations that are commonly employed when isotopic equilibria are evaluated. We find that clumped isotope effects can be calculated using computational methods. In contrast, fractionation and site preferences benefit from the use of the higher level CCSD(T) potentials, accounting for anharmonic effects, and corrections to Born–Oppenheimer approximation."],["publications/turner2021hydrogen.html","publication","Experimental and theoretical determinations of hydrogen isotopic equilibrium in the system CH4-H2-H2O from 3 to 200°C","We provide calibrations of the equilibrium H/D and 13C/12C fractionation based on experiments and PIMC calculations. We find that isotopic compositions of some microbial gases from marine sedimentary, coalbed, and shale environments are consistent with the H and C equilibria."],["publications/korol2020dimension.html","publication","Dimension-free path-integral molecular dynamics without preconditioning","We further improve upon the standard algorithm for T-RPMD via a novel implementation of the Cayley modification [R. Korol et al., J. Chem. Phys. 151, 124103 (2019)]. This allows for a substantial increase in timestep size - three-fold for the simulations of liquid water - at no extra cost."],["publications/eldridge2019methane.html","publication","Comparison of Experimental vs Theoretical Abundances of 13CH3D and 12CH2D2 for Isotopically Equilibrated Systems from 1 to 500 °C","We study equilibrium clumping of heavy isotopes in methane. Using heavy isotope clumping, one can determine the temperature of methane when it was formed. We have extended the range of temperatures to cover all biologically and geologically relevant temperatures. Experimental clumping-temperature calibration is confirmed by state-of-the-art theoretical method - PIMC."],["publications/korol2019cayley.html","publication","Cayley modification for strongly stable path-integral and ring-polymer molecular dynamics","We show that standard algorithm for evolving PIMD trajectories leads to numerical artifacts at certain (resonance) timesteps. We thus propose the Cayley modification, that provides strong symplectic stability to PIMD, RPMD and CMD and ergodicity for T-RPMD at no additional cost. This allows for the use of larger timesteps in these simulations."],["publications/korol2019machine.html","publication","Machine Learning Prediction of DNA Charge Transport","We present a machine learning model that allows the inexpensive prediction of the electrical conductance of millions of long double-stranded DNA (dsDNA) sequences, reducing computational costs by orders of magnitude. The algorithm is trained on short DNA nano-junctions with n = 3–7 base pairs."],["publications/korol2018exhaustive.html","publication","From exhaustive simulations to key principles in DNA nanoelectronics","Conductance of DNA molecules is not well-understood in the light of opposing experimental results. The situation is also complicated, because there are exponentially many different sequences, and many of them conduct current in a drastically different way. Here we study the conductance of DNA molecules computationally and identify several general principles that could guide the experiments."],["publications/korol2018probezt.html","publication","Probe-ZT: Simulation of transport coefficients of molecular electronic junctions under environmental effects using Büttiker’s probes","Our in-house quantum transport package, ProbeZT, calculates how readily electricity and heat moves across a given system. One can use it to identify molecules that are: good conductors, perfect insulators, excellent thermoelectrics and many more. In particular, we show the package applied to a linear conducting chain (like a polymer) and to a double-stranded DNA molecule."],["publications/korol2016thermopower.html","publication","Thermopower of molecular junctions: Tunneling to hopping crossover in DNA","We examine the DNA molecules, that show a change in behavior in conductance and thermopower beyond a certain length, studied experimentally in Li et al. [Nat. Commun. 7, 11294 (2016)]. We show that the change in thermoelectric trends is caused by a change of the mechanism, by which a molecule conducts current from quantum mechanical tunneling to classical hopping."],["publications/longobardi2016boron.html","publication","Reactions Of Boron-Derived Radicals With Nucleophiles","We utilize a series of borocyclic radicals, that are both bulky and with their SOMO density delocalized. Their electrophilic reactivity together with their considerable steric hinderance allows us to make several nice zwitterionic compounds with phosphines and other nucleophiles utilizing Frustrated Lewis Pair chemistry."],["publications/korol2021zno.html","publication","Size Stabilizers in Two-electrode Synthesis of ZnO Nanorods","We modify and optimize a synthesis of ZnO nanoparticles by electrodeposition by adding auxiliary stabilizers to reduce the size and narrow its distribution in the target product."],["news/2026.html#2026-01-group-established","news","Group established at Sherbrooke University","The Korol Group starts at the Department of Chemistry of Sherbrooke University."],["news/2024.html#2024-09-graduate-school","news","Graduate School Presentation","Presented research findings at the graduate school symposium Successfully presented my latest research on quantum dynamics at the annual graduate school symposium. The presentation was well-received and sparked interesting discussions."],["news/2024.html#2024-08-mountain-retreat","news","Research Mountain Retreat","Participated in mountain research retreat with Franco Group Attended the annual Franco Group research retreat in the mountains. Great opportunity for collaboration and discussing future research directions."],["news/2024.html#2024-07-rainbow-lab","news","New Laboratory Setup","Completed setup of new experimental apparatus Successfully completed the setup of our new experimental apparatus for quantum dynamics measurements. The equipment is now operational and ready for research."],["news/2024.html#2024-06-gondolas","news","International Conference Presentation","Presented at international quantum chemistry conference Presented our latest findings on semiclassical methods at the International Conference on Quantum Chemistry. The work was very well received by the international community."],["news/2024.html#2024-05-yosemite","news","Yosemite Research Workshop","Attended computational chemistry workshop in Yosemite Participated in an intensive computational chemistry workshop in Yosemite National Park. Learned new techniques and networked with researchers from around the world."],["news.html#event-2026-fall-group-meeting","event","Group Meeting","Weekly research updates and journal club, open to all group members."],["news.html#event-2026-winter-group-meeting","event","Group Meeting","Weekly research updates and journal club, open to all group members."],["team.html#roman-korol","member","Roman Korol","Roman joined UdeS in January, 2026 after a PhD at Caltech and a postdoc at URochester. Roman is broadly interested in quantum effects in molecular systems, quantum dynamics, and quantum computing applications in chemistry."],["team.html#polaris","member","Polaris","Polaris has a PhD in squirrel hunting from Caltech and a postdoc in deer management from URochester."],["openings.html#phd","opening","PhD Students","We are seeking motivated PhD students to work on cutting-edge research in quantum dynamics and theoretical chemistry. Projects involve developing new theoretical methods and computational approaches for understanding quantum systems."],["openings.html#masters","opening","Masters Students","Masters projects focus on specific aspects of quantum dynamics, semiclassical methods, and computational chemistry. Students will gain hands-on experience with state-of-the-art theoretical and computational techniques."],["openings.html#undergraduate","opening","Undergraduate Students","Undergraduate research opportunities include summer internships, honors projects, and work-study positions. Students will participate in ongoing research projects and gain valuable research experience."],["openings.html#postdoc","opening","Postdoctoral Fellows","Postdoctoral positions are available for exceptional candidates with expertise in quantum dynamics, theoretical chemistry, or related fields. PhD in Chemistry, Physics, or related field 1-3 years Competitive fellowships encouraged"]],"words":{"10":[1,5,25,4,26,4],"11":[25,4,26,4],"12":[1,1],"13":[1,1],"22":[1,3,26,4],"28":[25,4],"30":[1,1,7,10,25,4,26,4],"50":[1,2,7,2],"75":[1,1,7,10],"122":[1,1],"123":[1,1],"139":[1,1],"145":[1,1],"151":[1,2,10,1],"152":[1,1],"200":[1,3,7,20,9,10],"224":[1,1],"300":[1,1,7,1],"380":[1,2],"387":[1,2],"396":[1,1],"404":[1,1],"426":[1,1],"435":[1,1],"500":[1,2,7,1,11,10],"1016":[1,3],"1021":[1,3],"1063":[1,3],"2016":[1,3,16,5,17,4],"2017":[1,1],"2018":[1,2,14,4,15,4],"2019":[1,3,10,1,11,4,12,4,13,4],"2020":[1,1,10,4],"2021":[1,3,9,4,18,4],"2025":[1,3,6,4,7,4,8,4],"2026":[25,4,26,4,27,1],"2747":[1,1],"2764":[1,1],"2801":[1,1],"2811":[1,1],"4206":[1,1],"4216":[1,1],"11294":[1,1,16,1],"15330":[1,1],"104102":[1,1],"124103":[1,2,10,1],"224702":[1,1],"4971167":[1,1],"5120282":[1,1],"5134810":[1,1],"00":[25,4,26,4],"005":[1,1],"02":[1,2],"026":[1,1],"028":[1,1],"033":[1,1],"04":[1,1],"12c":[1,1,9,1],"12ch2d2":[1,1,11,10],"13c":[1,1,9,1],"13ch3d":[1,1,11,10],"5c00943":[1,1],"6b11190":[1,1],"7b12744":[1,1],"8b12557":[1,1],"9b00244":[1,1],"about":[0,1],"abundances":[1,1,11,10],"academic":[0,1,1,4,4,10,5,1,19,4,20,4,21,4,23,4,24,4],"accounting":[1,1,8,1],"across":[1,1,15,1],"acs":[1,3,11,4],"acsearthspacechem":[1,1],"acta":[1,3,7,4,8,4,9,4],"activities":[4,10,19,4,20,4,21,4,23,4,24,4],"adding":[1,1,18,1],"additional":[1,1,12,1],"advancing":[0,1],"after":[27,1],"al":[1,2,10,1,16,1],"algorithm":[1,3,10,1,12,1,13,1],"algorithmic":[1,1,6,1],"all":[1,2,11,1,25,1,26,1],"allows":[1,3,10,1,12,1,13,1,17,1],"also":[1,1,14,1],"am":[1,1,17,4,25,8,26,8],"an":[5,1,24,1],"analyze":[1,1,8,1],"and":[0,7,1,14,2,8,3,4,4,8,5,12,7,12,8,2,9,13,11,11,12,12,14,2,15,3,16,1,17,2,18,2,20,1,21,1,22,1,24,1,25,1,26,1,27,2,28,1,29,2,30,2,31,2],"anharmonic":[1,1,8,1],"announcements":[4,10],"annual":[20,1,21,1],"apparatus":[22,2],"application":[5,2],"applications":[0,2,5,1,27,1],"applied":[1,1,15,1],"apply":[5,2],"approaches":[1,1,5,1,29,1],"appropriate":[5,1],"approximation":[1,1,8,1],"approximations":[1,1,8,1],"april":[26,4],"are":[0,2,1,4,5,1,6,1,8,2,9,1,14,1,15,1,17,1,29,1,32,1],"areas":[0,1,1,1,5,1],"around":[24,1],"art":[1,1,11,1,30,1],"artifacts":[1,1,12,1],"as":[5,2],"aspects":[30,1],"at":[0,5,1,7,2,4,3,4,4,4,5,5,10,1,12,2,19,11,20,2,23,2,27,2],"attained":[1,1,7,1],"attended":[21,1,24,1],"auxiliary":[1,1,18,1],"available":[32,1],"background":[5,1],"backgrounds":[0,1],"base":[1,1,13,1],"based":[1,1,9,1],"be":[1,1,5,1,8,1],"because":[1,1,14,1],"behavior":[1,1,16,1],"benefit":[1,1,8,1],"between":[1,1,6,1],"beyond":[1,1,16,1],"bill":[1,2,7,4,9,4],"biologically":[1,1,11,1],"body":[0,1],"born":[1,1,8,1],"borocyclic":[1,1,17,1],"boron":[1,1,17,10],"both":[1,1,17,1],"bou":[1,2,10,4,12,4],"bowman":[1,1,8,4],"bridges":[0,1],"broadly":[27,1],"browse":[3,4],"building":[0,1],"bulky":[1,1,17,1],"buttiker":[1,1,15,10],"by":[1,4,6,2,11,1,13,1,16,2,18,2,23,1],"ca":[5,2],"calculated":[1,1,8,1],"calculates":[1,1,15,1],"calculations":[1,3,7,1,8,10,9,1],"calibration":[1,1,11,1],"calibrations":[1,1,9,1],"caltech":[27,1,28,1],"can":[1,3,6,1,8,1,11,1,15,1],"candidates":[5,1,32,1],"career":[5,1],"caused":[1,1,16,1],"cayley":[1,3,10,1,12,11],"ccsd":[1,2,8,11],"certain":[1,2,12,1,16,1],"ces":[1,1],"ch4":[1,1,9,10],"chain":[1,1,15,1],"change":[1,3,16,3],"charge":[1,1,13,10],"chem":[1,4,6,4,10,5,11,4,12,4,13,4,14,4,16,4,17,4,18,4],"chemical":[0,9,1,2,5,2],"chemistry":[0,9,1,9,2,8,3,8,5,10,17,1,19,1,23,2,24,6,25,4,26,4,27,1,29,1,30,1,32,2],"chen":[1,1,6,4],"chief":[28,4],"choice":[1,1,6,1],"classical":[1,1,16,1],"club":[25,1,26,1],"clumped":[1,1,8,1],"clumping":[1,3,11,3],"cmd":[1,1,12,1],"coalbed":[1,1,9,1],"coefficients":[1,1,15,10],"collaboration":[21,5],"comm":[1,1,15,4],"commonly":[1,1,8,1],"commun":[1,1,16,1],"community":[23,1],"comp":[1,1,15,4],"compare":[1,1,7,1],"comparison":[1,2,7,1,11,10],"competitive":[32,1],"compilation":[1,1,7,1],"compiled":[1,1,7,1],"completed":[22,2],"complicated":[1,1,14,1],"compositions":[1,2,7,1,9,1],"compounds":[1,1,17,1],"computation":[0,1],"computational":[0,4,1,10,3,8,8,1,13,1,24,6,29,1,30,2],"computationally":[1,1,14,1],"computations":[1,1,6,1],"computer":[5,1],"computing":[27,1],"conduct":[1,1,14,1],"conductance":[1,3,13,1,14,2,16,1],"conducting":[1,1,15,1],"conductors":[1,1,15,1],"conducts":[1,1,16,1],"conference":[23,16],"confirmed":[1,1,11,1],"considerable":[1,1,17,1],"consistent":[1,2,7,1,9,1],"constrained":[1,1,6,1],"contact":[5,2],"contrast":[1,1,8,1],"contribution":[1,1,6,1],"copies":[5,1],"correct":[1,1,6,1],"corrections":[1,1,8,1],"cosmochim":[1,3,7,4,8,4,9,4],"cost":[1,2,10,1,12,1],"costs":[1,1,13,1],"could":[1,1,14,1],"cover":[1,1,11,1],"cpc":[1,1],"crossover":[1,1,16,10],"current":[1,2,2,4,5,1,14,1,16,1],"curriculum":[5,1],"cutting":[29,1],"deer":[28,1],"delocalized":[1,1,17,1],"densities":[1,1,6,10],"density":[1,3,5,1,6,1,17,1],"department":[0,4,19,1,25,4,26,4],"derived":[1,1,17,10],"describing":[5,1],"determination":[1,1,7,10],"determinations":[1,1,9,10],"determine":[1,1,11,1],"develop":[0,1],"developing":[29,1],"developments":[4,4],"develops":[0,4],"different":[1,2,14,2],"dihydrogen":[1,2,7,10,8,10],"dimension":[1,1,10,10],"directions":[21,1],"discussing":[21,1],"discussions":[20,1],"distribution":[1,1,18,1],"diverse":[0,1],"dna":[1,4,13,12,14,12,15,1,16,11],"documents":[5,1],"dominated":[1,1,6,1],"double":[1,2,13,1,15,1],"drastically":[1,1,14,1],"dsdna":[1,1,13,1],"dynamics":[0,11,1,13,2,8,3,10,4,4,5,11,10,10,12,10,20,5,22,1,27,1,29,1,30,1,32,1],"earth":[1,1,11,4],"edge":[29,1],"edt":[25,4,26,4],"effects":[1,3,5,2,8,2,15,10,27,1],"elbridge":[1,1],"eldridge":[1,1,9,4,11,4],"electrical":[1,1,13,1],"electricity":[1,1,15,1],"electrode":[1,1,18,10],"electrodeposition":[1,1,18,1],"electron":[1,1,5,1],"electronic":[1,2,6,1,15,10],"electrophilic":[1,1,17,1],"emotional":[28,4],"employed":[1,1,8,1],"encouraged":[32,1],"engineering":[5,1],"enthusiastic":[5,1],"environmental":[1,3,5,1,6,1,7,1,15,10],"environments":[1,1,9,1],"equilibrated":[1,1,11,10],"equilibria":[1,3,7,10,8,11,9,1],"equilibrium":[1,4,7,12,9,11,11,1],"equipment":[22,5],"ergodicity":[1,1,12,1],"established":[19,10],"et":[1,3,7,4,8,4,9,4,10,1,16,1],"ethane":[1,3,7,21,8,10],"evaluated":[1,1,8,1],"evolving":[1,1,12,1],"examine":[1,1,16,1],"excellent":[1,1,15,1],"exceptional":[32,1],"exhaustive":[1,1,14,10],"exhibit":[1,1,7,1],"expand":[1,1],"experience":[30,1,31,1],"experimental":[1,4,7,11,9,10,11,11,14,1,22,6],"experimentally":[1,1,16,1],"experiments":[1,2,9,1,14,1],"expertise":[32,1],"explore":[0,1,1,4],"exponentially":[1,1,14,1],"extended":[1,1,11,1],"extra":[1,1,10,1],"factors":[1,1,7,1],"fellows":[32,10],"fellowships":[32,1],"field":[32,1],"fields":[32,1],"find":[1,2,8,1,9,1],"findings":[20,1,23,1],"fit":[1,1,7,1],"focus":[1,1,5,1,30,1],"focusing":[0,4],"fold":[1,1,10,1],"for":[0,5,1,4,5,7,7,11,8,1,10,3,11,10,12,13,21,1,22,2,29,1,32,1],"forefront":[5,1],"formation":[1,1,7,1],"formed":[1,2,7,1,11,1],"former":[2,4],"fractionation":[1,3,7,1,8,1,9,1],"frameworks":[0,5],"franco":[1,1,6,4,21,6],"free":[1,1,10,10],"frequency":[1,2,6,11],"from":[0,1,1,4,3,4,4,4,5,1,6,1,7,20,8,1,9,11,11,10,14,10,16,1,24,1,28,2],"frustrated":[1,1,17,1],"fundamental":[0,1],"further":[1,1,10,1],"future":[21,1],"gain":[30,1,31,1],"gas":[1,2,7,2],"gases":[1,1,9,1],"gca":[1,3],"general":[1,1,14,1],"geochim":[1,3,7,4,8,4,9,4],"geologically":[1,2,7,1,11,1],"given":[1,1,15,1],"goals":[5,1],"goddard":[1,1,8,4],"good":[1,1,15,1],"graduate":[5,9,20,12],"great":[21,1],"grimme":[1,1,17,4],"group":[0,11,1,10,2,12,3,10,4,10,5,12,19,11,21,6,25,15,26,15,28,4],"guide":[1,1,14,1],"h2":[1,3,7,20,9,10],"h2o":[1,1,9,10],"hands":[30,1],"has":[28,1],"have":[1,1,11,1],"having":[1,1,7,1],"heat":[1,1,15,1],"heavy":[1,2,11,2],"here":[1,1,14,1],"high":[1,3,6,11,7,1],"higher":[1,1,8,1],"highly":[1,1,6,1],"hinderance":[1,1,17,1],"home":[0,10],"honors":[31,1],"hopping":[1,2,16,11],"house":[1,1,15,1],"how":[1,1,5,1,15,1],"hunting":[28,1],"hydrogen":[1,3,7,13,9,10],"ia":[1,1,18,4],"iacute":[1,1],"identify":[1,2,14,1,15,1],"if":[5,1],"iii":[1,3,8,4,9,4,10,4,11,4,12,4],"implementation":[1,1,10,1],"importance":[1,1,8,1],"improve":[1,1,10,1],"in":[0,3,1,10,5,6,6,12,7,11,8,11,9,10,10,1,11,1,12,1,14,12,15,2,16,13,18,11,21,2,24,3,27,3,28,2,29,1,31,1,32,2],"include":[31,1],"increase":[1,1,10,1],"inexpensive":[1,1,13,1],"information":[5,1],"insulators":[1,1,15,1],"integral":[1,3,5,1,8,10,10,10,12,10],"intensive":[24,1],"intent":[5,2],"interactions":[1,1,5,1],"interested":[0,1,27,1],"interesting":[20,1],"interests":[5,1],"international":[23,17],"internships":[31,1],"interview":[5,1],"investigator":[27,4],"invited":[5,1],"involve":[29,1],"is":[1,4,6,2,11,1,13,1,14,2,16,1,22,1,27,1],"isotope":[1,3,5,1,7,10,8,11,11,1],"isotopes":[1,1,11,1],"isotopic":[1,4,7,13,8,1,9,11],"isotopically":[1,1,11,10],"it":[1,2,11,1,15,1],"its":[1,1,18,1],"jacs":[1,1],"january":[27,1],"job":[5,4],"join":[0,1,5,6],"joined":[27,1],"journal":[25,1,26,1],"jpca":[1,1],"jpcb":[1,1],"jpcc":[1,1],"junctions":[1,3,13,1,15,10,16,10],"key":[1,2,6,1,14,10],"kilgour":[1,2,15,4,16,4],"kinetics":[0,1,1,1,5,1],"knack":[5,1],"korol":[0,10,1,15,2,10,3,10,4,10,5,13,6,4,7,4,8,4,9,4,10,5,11,4,12,4,13,4,14,4,15,4,16,4,17,4,18,4,19,1,27,10],"laboratory":[22,14],"larger":[1,1,12,1],"latest":[4,4,20,1,23,1],"leads":[1,1,12,1],"learned":[24,1],"learning":[1,2,13,11],"length":[1,1,16,1],"letter":[5,2],"level":[1,2,7,1,8,1],"lewis":[1,1,17,1],"li":[1,1,16,1],"light":[1,1,14,1],"like":[1,1,15,1],"limitations":[1,1,6,1],"linear":[1,1,15,1],"liquid":[1,1,10,1],"list":[1,1],"liu":[1,1,17,4],"lloyd":[1,1,11,4],"long":[1,1,13,1],"longobardi":[1,1,17,4],"machine":[1,2,13,11],"magnitude":[1,1,13,1],"make":[1,1,17,1],"management":[28,1],"many":[0,1,1,3,7,1,14,2,15,1],"marchuk":[1,1,18,4],"marine":[1,1,9,1],"mascot":[28,4],"masters":[0,1,30,15],"materials":[0,1,5,1],"measurements":[22,1],"mechanical":[1,1,16,1],"mechanics":[0,1],"mechanism":[1,1,16,1],"meet":[2,4],"meeting":[25,14,26,14],"members":[2,8,25,1,26,1],"methane":[1,3,7,11,8,10,11,2],"method":[1,1,11,1],"methods":[0,4,1,12,3,10,5,1,8,1,23,1,29,1,30,1],"microbial":[1,1,9,1],"miller":[1,3,9,4,10,4,11,4,12,4],"millions":[1,1,13,1],"model":[1,1,13,1],"modeling":[1,1,5,1],"modification":[1,3,10,1,12,11],"modify":[1,1,18,1],"molecular":[1,3,5,1,10,10,12,10,15,10,16,10,27,1],"molecule":[1,2,15,1,16,1],"molecules":[1,3,14,2,15,1,16,1],"morale":[28,4],"more":[1,1,15,1],"moroz":[1,1,18,4],"motivated":[0,1,29,1],"mountain":[21,11],"mountains":[21,1],"moves":[1,1,15,1],"my":[20,1],"nandi":[1,1,8,4],"nano":[1,1,13,1],"nanoelectronics":[1,1,14,10],"nanoparticles":[1,1,18,1],"nanorods":[1,1,18,10],"narrow":[1,1,18,1],"nat":[1,1,16,1],"national":[24,1],"natural":[1,1,7,1],"networked":[24,1],"networking":[24,4],"new":[22,12,24,1,29,1],"news":[4,20],"next":[25,4],"nice":[1,1,17,1],"no":[1,2,10,1,12,1],"not":[1,1,14,1],"novel":[1,1,10,1],"now":[22,1],"nucleophiles":[1,2,17,11],"numerical":[1,1,12,1],"oa":[1,1,18,4],"october":[25,4],"of":[0,6,1,6,5,3,6,3,7,13,8,2,9,12,10,2,11,23,12,1,13,13,14,3,15,20,16,11,17,11,18,15,19,2,22,2,25,4,26,4,30,2],"officer":[28,4],"ok":[5,1],"om":[1,1,18,4],"on":[0,4,1,3,2,4,3,4,5,1,6,1,9,1,13,1,20,1,23,2,29,1,30,2],"one":[1,2,11,1,15,1],"ongoing":[31,1],"open":[0,9,1,1,5,1,25,1,26,1],"openings":[5,18],"operational":[22,1],"oppenheimer":[1,1,8,1],"opportunities":[0,1,5,5,31,1],"opportunity":[21,1],"opposing":[1,1,14,1],"optimize":[1,1,18,1],"optional":[5,1],"or":[1,2,5,3,6,1,7,1,32,2],"orders":[1,1,13,1],"orlov":[1,1,18,4],"other":[1,1,17,1],"our":[0,3,1,1,5,1,15,1,22,1,23,1],"ov":[1,1,18,4],"over":[1,1,7,1],"package":[1,2,15,2],"page":[5,1],"pair":[1,1,17,1],"pairs":[1,1,13,1],"papers":[3,8],"park":[24,1],"part":[1,2,7,10,8,10],"participate":[31,1],"participated":[21,1,24,1],"particular":[1,1,15,1],"passionate":[0,1],"path":[1,3,5,1,8,10,10,10,12,10],"pcss":[1,1],"perfect":[1,1,15,1],"person":[5,1],"personal":[0,1],"phd":[0,1,27,1,28,1,29,15,32,1],"phonon":[1,1,5,1],"phosphines":[1,1,17,1],"phys":[1,4,6,4,10,5,12,4,13,4,14,4,15,4,16,4,18,4],"physical":[1,1,6,1],"physics":[5,1,32,1],"pimc":[1,2,9,1,11,1],"pimd":[1,2,12,2],"please":[5,1],"polaris":[28,11],"polymer":[1,3,5,1,12,10,15,1],"polynomial":[1,1,7,1],"positions":[5,4,31,1,32,1],"postdoc":[27,1,28,1],"postdocs":[5,1],"postdoctoral":[32,15],"potentials":[1,2,8,11],"pp":[1,2],"practical":[0,1],"preconditioning":[1,1,10,10],"prediction":[1,2,13,11],"preferences":[1,1,8,1],"preferred":[1,1,7,1],"present":[1,1,13,1],"presentation":[20,15,23,14],"presented":[20,2,23,2],"principal":[27,4],"principles":[1,2,14,11],"probe":[1,1,15,10],"probes":[1,1,15,10],"probezt":[1,1,15,1],"process":[5,1],"product":[1,1,18,1],"professional":[4,4],"projects":[1,4,29,1,30,1,31,2],"propane":[1,3,7,21,8,10],"proposal":[1,1,7,1],"propose":[1,1,12,1],"provide":[1,3,6,1,7,1,9,1],"provides":[1,1,12,1],"publications":[1,9,3,20],"quality":[1,1,8,10],"quantum":[0,18,1,14,2,8,3,10,4,4,5,11,6,1,15,1,16,1,20,5,22,1,23,2,27,3,29,2,30,1,32,1],"ra":[1,1],"rabee":[1,2,10,4,12,4],"radicals":[1,2,17,11],"raices":[10,4],"range":[1,1,11,1],"rate":[1,2,5,1,6,1],"rates":[0,8,1,1,6,1],"reaction":[0,9,1,1,5,1],"reactions":[1,2,5,1,17,10],"reactivity":[1,1,17,1],"readily":[1,1,15,1],"ready":[22,1],"reason":[1,1,6,1],"received":[20,1,23,1],"recovers":[1,1,6,1],"reduce":[1,1,18,1],"reducing":[1,1,13,1],"references":[5,1],"related":[32,2],"relative":[1,1,8,1],"relaxation":[1,3,6,3],"relevant":[1,2,7,1,11,1],"representation":[1,1,6,1],"required":[5,1],"research":[0,3,1,21,2,4,3,8,4,8,5,11,20,6,21,13,22,5,24,10,25,1,26,1,29,1,31,3],"researchers":[24,1],"resonance":[1,1,12,1],"resonant":[1,1,6,1],"results":[1,1,14,1],"retreat":[21,16],"ring":[1,2,5,1,12,10],"roman":[5,3,27,12],"rosa":[1,1,10,4],"rpmd":[1,3,10,1,12,2],"rv":[1,1,18,4],"samples":[1,2,7,2],"school":[20,12],"science":[0,1,5,1],"sd":[1,3,6,3],"sedimentary":[1,1,9,1],"seeking":[29,1],"segal":[1,3,13,4,14,4,15,4,16,4],"semiclassical":[0,4,1,11,3,10,5,1,23,1,30,1],"send":[5,2],"sensitive":[1,1,6,1],"sequences":[1,2,13,1,14,1],"series":[1,1,17,1],"settings":[0,1],"setup":[22,12],"several":[1,2,14,1,17,1],"shale":[1,1,9,1],"shape":[1,1,6,1],"sherbrooke":[0,11,1,8,2,10,3,8,4,8,5,10,19,15,25,4,26,4],"short":[1,1,5,2,13,1],"shortlisted":[5,1],"show":[1,3,6,1,12,1,15,1,16,2],"significantly":[1,1,6,1],"simple":[1,1,6,1],"simulation":[1,1,15,10],"simulations":[1,3,5,1,6,1,10,1,12,1,14,10],"site":[1,1,8,1],"situation":[1,1,14,1],"size":[1,3,10,1,18,11],"soc":[1,1,17,4],"solid":[1,1,18,4],"solution":[1,1,6,1],"some":[1,1,9,1],"somo":[1,1,17,1],"space":[1,1,11,4],"sparked":[20,1],"specialist":[28,4],"specific":[30,1],"spectral":[1,3,5,1,6,11],"squirrel":[28,1],"stability":[1,1,12,1],"stabilizers":[1,2,18,11],"stable":[1,3,7,10,8,10,12,10],"standard":[1,2,10,1,12,1],"starts":[19,1],"state":[1,2,11,1,18,4,30,1],"statistics":[0,9],"stephan":[1,1,17,4],"steric":[1,1,17,1],"stolper":[1,3,7,4,8,4,9,4,11,4],"storage":[1,1,7,1],"stranded":[1,2,13,1,15,1],"strategies":[1,1,6,1],"strong":[1,1,12,1],"strongly":[1,1,12,10],"students":[0,1,5,11,29,11,30,11,31,11],"studied":[1,1,16,1],"study":[0,1,1,2,11,1,14,1,31,1],"substantial":[1,1,10,1],"successfully":[20,1,22,1],"summer":[31,1],"support":[28,4],"supports":[1,1,7,1],"symplectic":[1,1,12,1],"symposium":[20,2],"synthesis":[1,2,18,11],"system":[0,1,1,3,7,10,8,10,9,10,15,1],"systems":[0,7,1,2,5,1,11,10,27,1,29,1],"tails":[1,2,6,11],"talented":[5,1],"target":[1,1,18,1],"team":[0,1,2,20,5,1],"techniques":[24,1,30,1],"temperature":[1,2,11,2],"temperatures":[1,3,7,1,11,2],"that":[1,5,6,3,7,1,8,2,9,1,12,2,13,1,14,1,15,1,16,2,17,1],"the":[0,4,1,6,2,4,3,4,5,7,6,4,7,11,8,13,9,12,10,3,11,3,12,2,13,3,14,3,15,1,16,3,18,2,19,2,20,3,21,2,22,2,23,3,24,1,30,1],"their":[1,3,17,3],"them":[1,1,14,1],"theoretical":[0,5,1,3,2,8,5,9,7,1,9,10,11,11,29,2,30,1,32,1],"theory":[0,1,1,1,5,2],"there":[1,1,14,1],"thermoelectric":[1,1,16,1],"thermoelectrics":[1,1,15,1],"thermopower":[1,2,16,11],"these":[1,3,7,2,12,1],"this":[1,2,10,1,12,1],"three":[1,1,10,1],"thus":[1,1,12,1],"timestep":[1,1,10,1],"timesteps":[1,2,12,2],"to":[1,5,5,3,6,1,7,20,8,1,9,10,11,11,12,2,14,10,15,3,16,11,17,1,18,1,25,1,26,1,29,1],"together":[1,1,17,1],"trained":[1,1,13,1],"trajectories":[1,1,12,1],"transcripts":[5,1],"transformation":[1,1,6,1],"transport":[1,3,5,1,13,10,15,11],"trends":[1,1,16,1],"tunneling":[1,2,16,11],"turner":[1,3,7,4,8,4,9,4,11,4],"two":[1,1,18,10],"udes":[27,1],"under":[1,1,15,10],"undergraduate":[0,1,5,9,31,15],"understanding":[0,2,29,1],"understood":[1,1,14,1],"university":[0,11,1,8,2,10,3,8,4,8,5,10,19,11,25,4,26,4],"unofficial":[5,1],"updates":[4,10,22,4,25,1,26,1],"upon":[1,1,10,1],"urochester":[27,1,28,1],"us":[0,1,1,1,17,1],"use":[1,3,8,1,12,1,15,1],"usherbrooke":[5,2],"using":[1,3,8,1,11,1,15,10],"utilize":[1,1,17,1],"utilizing":[1,1,17,1],"valuable":[31,1],"various":[1,1,8,1],"vary":[1,1,6,1],"very":[23,1],"vf":[1,1,18,4],"via":[1,1,10,1],"virtual":[5,1],"vitae":[5,1],"vs":[1,1,11,10],"vyshnevskyi":[1,1,18,4],"was":[1,1,11,1,20,1,23,1],"water":[1,3,7,10,8,10,10,1],"way":[1,1,14,1],"we":[0,3,1,5,6,2,7,1,8,2,9,2,10,1,11,2,12,2,13,1,14,1,15,1,16,2,17,1,18,1,29,1],"webb":[1,1,11,4],"wednesday":[25,4,26,4],"weekly":[25,1,26,1],"welcome":[0,1],"welcomes":[5,1],"well":[1,1,5,1,14,1,20,1,23,1],"when":[1,2,8,1,11,1],"which":[1,2,6,1,16,1],"who":[0,1],"will":[5,1,30,1,31,1],"with":[0,2,1,4,5,1,7,3,8,10,9,1,13,1,17,13,21,1,24,1,30,1,32,1],"without":[1,1,10,10],"work":[1,4,23,1,29,1,31,1],"working":[2,4],"workshop":[24,16],"world":[24,1],"yanchuk":[1,1,18,4],"years":[32,1],"yosemite":[24,12],"your":[5,3],"zatsepin":[1,1,17,4],"zno":[1,2,18,11],"zt":[1,1,15,10],"zwitterionic":[1,1,17,1]}};
@@ -0,0 +1,2 @@
+/* Site search index, generated by content/scripts/generate-content.js; do not edit */
+window.siteSearchIndex = {"kinds":{"page":"Page","publication":"Publication","news":"Nouvelle","event":"Événement","member":"Équipe","opening":"Poste"},"docs":[["index.html","page","Accueil","Nous développons des cadres théoriques pour comprendre les systèmes quantiques à l'Université de Sherbrooke. Notre recherche relie la mécanique quantique fondamentale aux applications pratiques en chimie et en science des matériaux. Domaines de recherche Nous étudions les statistiques quantiques des systèmes quantiques à plusieurs corps, la cinétique des réactions chimiques et la dynamique quantique dans des contextes de systèmes ouverts. Notre équipe Nous construisons un groupe de recherche avec des parcours académiques et personnels diversifiés, passionnés par l'avancement de notre compréhension des systèmes quantiques. Rejoignez-nous Nous accueillons les candidatures d'étudiants motivés de premier cycle, de maîtrise et de doctorat intéressés par la théorie et le calcul. Opportunités de recherche Explorer notre recherche"],["recherche.html","page","Recherche","Domaines de recherche Dynamique quantique Méthodes d'intégrale de chemin, dynamique moléculaire des polymères en anneau, approches semiclassiques Cinétique chimique Théorie des taux de réaction, effets isotopiques, effets environnementaux sur les réactions chimiques Systèmes quantiques ouverts Transport quantique, interactions électron-phonon, modélisation de densité spectrale Liste des publications Tout développer High-frequency tails in spectral densities × R Korol, X Chen, and I. Franco J. Phys. Chem. A 2025 10.1021/acs.jpca.5c00943. Nous montrons que les calculs du taux de relaxation en solution sont très sensibles au choix de représentation de la densité spectrale environnementale (DS). La raison principale est que la relaxation électronique est dominée par la contribution résonante des queues haute fréquence de la DS, qui peuvent varier considérablement entre les stratégies. Nous fournissons une transformation simple qui récupère les taux de relaxation corrects dans les simulations quantiques contraintes par des limitations algorithmiques ou physiques sur la forme de la DS. Stable isotope equilibria in the dihydrogen-water-methane-ethane-propane system. Part 2: Experimental determination of hydrogen isotopic equilibrium for ethane-H2 from 30 to 200°C and propane-H2 from 75 to 200°C × A C Turner, R Korol, M Bill, and D A Stolper Geochim. et Cosmochim. Acta 2025 10.1016/j.gca.2025.02.033. Nous comparons l'équilibre isotopique expérimental de l'hydrogène avec des calculs théoriques de haut niveau et fournissons un ajustement polynomial préféré. La comparaison de ces facteurs de fractionnement avec une compilation d'environ 500 échantillons de gaz environnementaux soutient la proposition selon laquelle de nombreux (environ 50%) de ces échantillons de gaz naturel présentent des compositions isotopiques de l'hydrogène cohérentes avec une formation ou l'atteinte d'un équilibre isotopique de l'hydrogène méthane-éthane-propane à des températures géologiquement pertinentes pour la formation et le stockage (50–300°C). Stable isotope equilibria in the dihydrogen-water-methane-ethane-propane system. Part 1: Path-integral calculations with CCSD(T) quality potentials R Korol, A C Turner, A Nandi, J M Bowman, W A Goddard III and D A Stolper Geochim. et Cosmochim. Acta 2025 10.1016/j.gca.2025.02.028. × Nous analysons l'importance relative de diverses approximations couramment employées lors de l'évaluation des équilibres isotopiques. Nous constatons que les effets isotopiques groupés peuvent être calculés à l'aide de méthodes computationnelles. En revanche, le fractionnement et les préférences de site bénéficient de l'utilisation de potentiels CCSD(T) de niveau supérieur, en tenant compte des effets anharmoniques et des corrections à l'approximation de Born-Oppenheimer. Experimental and theoretical determinations of hydrogen isotopic equilibrium in the system CH4-H2-H2O from 3 to 200°C A C Turner, R Korol, D L Eldridge, M Bill, T F Miller III and D A Stolper Geochim. et Cosmochim. Acta 2021 10.1016/j.gca.2021.04.026. × Nous fournissons des calibrations du fractionnement d'équilibre H/D et 13C/12C basées sur des expériences et des calculs PIMC. Nous constatons que les compositions isotopiques de certains gaz microbiens provenant d'environnements sédimentaires marins, de veines de charbon et de schiste sont cohérentes avec les équilibres H et C. Dimension-free path-integral molecular dynamics without preconditioning × R Korol, J L Rosa-Ra&iacute;ces, N Bou-Rabee and T F Miller III, J. Chem. Phys. 2020 152, 104102, 10.1063/1.5134810. Nous améliorons davantage l'algorithme standard pour T-RPMD via une implémentation nouvelle de la modification de Cayley [R. Korol et al., J. Chem. Phys. 151, 124103 (2019)]. Cela permet une augmentation substantielle de la taille du pas de temps - trois fois pour les simulations d'eau liquide - sans coût supplémentaire. Comparison of Experimental vs Theoretical Abundances of 13CH3D and 12CH2D2 for Isotopically Equilibrated Systems from 1 to 500 °C × D L Elbridge, R Korol, M K Lloyd, A C Turner, M A Webb, T F Miller III and D A Stolper ACS Earth Space Chem. 2019 3, 2747-2764, 10.1021/acsearthspacechem.9b00244. Nous étudions le regroupement à l'équilibre des isotopes lourds dans le méthane. En utilisant le regroupement d'isotopes lourds, on peut déterminer la température du méthane au moment de sa formation. Nous avons étendu la gamme de températures pour couvrir toutes les températures biologiquement et géologiquement pertinentes. La calibration expérimentale regroupement-température est confirmée par la méthode théorique de pointe - PIMC. Cayley modification for strongly stable path-integral and ring-polymer molecular dynamics R Korol, N Bou-Rabee and T F Miller III, J. Chem. Phys. 2019 151 (12), 124103, 10.1063/1.5120282. × Nous montrons que l'algorithme standard pour faire évoluer les trajectoires PIMD conduit à des artefacts numériques à certains pas de temps (de résonance). Nous proposons donc la modification de Cayley, qui fournit une forte stabilité symplectique à PIMD, RPMD et CMD et l'ergodicité pour T-RPMD sans coût supplémentaire. Cela permet l'utilisation de pas de temps plus grands dans ces simulations. Machine Learning Prediction of DNA Charge Transport R Korol and D Segal, J. Phys. Chem. B 2019 123 (13), 2801-2811, 10.1021/acs.jpcb.8b12557. × Nous présentons un modèle d'apprentissage automatique qui permet la prédiction peu coûteuse de la conductance électrique de millions de longues séquences d'ADN double brin (ADNdb), réduisant les coûts computationnels de plusieurs ordres de grandeur. L'algorithme est entraîné sur de courtes nano-jonctions d'ADN avec n = 3-7 paires de bases. From exhaustive simulations to key principles in DNA nanoelectronics R Korol and D Segal, J. Phys. Chem. C 2018 122 (8), 4206-4216, 10.1021/acs.jpcc.7b12744. × La conductance des molécules d'ADN n'est pas bien comprise à la lumière des résultats expérimentaux contradictoires. La situation est également compliquée, car il existe exponentiellement beaucoup de séquences différentes, et beaucoup d'entre elles conduisent le courant de manière radicalement différente. Ici, nous étudions la conductance des molécules d'ADN de manière computationnelle et identifions plusieurs principes généraux qui pourraient guider les expériences. Probe-ZT: Simulation of transport coefficients of molecular electronic junctions under environmental effects using Büttiker's probes R Korol, M Kilgour, D Segal, Comp. Phys. Comm. 2018 224, 396-404, 10.1016/j.cpc.2017.10.005. × Notre logiciel de transport quantique interne, ProbeZT, calcule avec quelle facilité l'électricité et la chaleur se déplacent à travers un système donné. On peut l'utiliser pour identifier des molécules qui sont : de bons conducteurs, des isolants parfaits, d'excellents thermoélectriques et bien plus encore. En particulier, nous montrons le logiciel appliqué à une chaîne conductrice linéaire (comme un polymère) et à une molécule d'ADN double brin. Thermopower of molecular junctions: Tunneling to hopping crossover in DNA R Korol, M Kilgour, D Segal, J. Chem. Phys. 2016 145 (22), 224702, 10.1063/1.4971167. × Nous examinons les molécules d'ADN, qui montrent un changement de comportement dans la conductance et le pouvoir thermoélectrique au-delà d'une certaine longueur, étudiées expérimentalement dans Li et al. [Nat. Commun. 7, 11294 (2016)]. Nous montrons que le changement dans les tendances thermoélectriques est causé par un changement du mécanisme par lequel une molécule conduit le courant, passant de l'effet tunnel quantique au saut classique. Reactions Of Boron-Derived Radicals With Nucleophiles L.E. Longobardi, P. Zatsepin, R. Korol, L. Liu, S. Grimme, D.W. Stephan, J. Am. Chem. Soc. 2016 139 (1), pp 426–-435, 10.1021/jacs.6b11190. × Nous utilisons une série de radicaux borocycliques, qui sont à la fois volumineux et avec leur densité SOMO délocalisée. Leur réactivité électrophile combinée avec leur encombrement stérique considérable nous permet de fabriquer plusieurs beaux composés zwitterioniques avec des phosphines et d'autres nucléophiles en utilisant la chimie des paires de Lewis frustrées. Size Stabilizers in Two-electrode Synthesis of ZnO Nanorods RV Korol, OM Yanchuk, OV Marchuk, VF Orlov, IA Moroz, OA Vyshnevskyi, Phys. & Chem. of Solid State 2021 22 (2), pp 380–-387, 10.15330/pcss.22.2.380-387. × Nous modifions et optimisons une synthèse de nanoparticules de ZnO par électrodéposition en ajoutant des stabilisateurs auxiliaires pour réduire la taille et rétrécir sa distribution dans le produit cible."],["equipe.html","page","Équipe",""],["publications.html","page","Publications",""],["nouvelles.html","page","Nouvelles",""],["postes.html","page","Postes","Opportunités de recherche Rejoignez notre équipe à la pointe de la dynamique quantique et de la chimie théorique Rejoignez le Groupe Korol Le groupe accueille les candidatures d'étudiants de premier cycle ou des cycles supérieurs enthousiastes et talentueux ainsi que de postdoctorants ayant un talent pour la théorie et les simulations et une formation en chimie, physique, ingénierie ou informatique. Pour postuler, veuillez envoyer votre C.V. et une courte lettre d'intention à Roman Korol. Contact : Roman.Korol@USherbrooke.ca Domaines de recherche Dynamique quantique Méthodes d'intégrale de chemin, dynamique moléculaire des polymères en anneau, approches semiclassiques Cinétique chimique Théorie des taux de réaction, effets isotopiques, effets environnementaux sur les réactions chimiques Systèmes quantiques ouverts Transport quantique, interactions électron-phonon, modélisation de densité spectrale Comment postuler Documents requis : Curriculum vitae actuel Courte lettre d'intention (1 page) décrivant vos intérêts de recherche et objectifs de carrière Optionnel (si approprié) : Relevés de notes académiques (copies non officielles acceptées) Coordonnées de 1 à 3 références Processus de candidature : Envoyez vos documents de candidature à Roman.Korol@USherbrooke.ca Les candidats présélectionnés seront invités à une entrevue (en personne ou virtuelle)"],["publications/korol2025tails.html","publication","High-frequency tails in spectral densities","Nous montrons que les calculs du taux de relaxation en solution sont très sensibles au choix de représentation de la densité spectrale environnementale (DS). La raison principale est que la relaxation électronique est dominée par la contribution résonante des queues haute fréquence de la DS, qui peuvent varier considérablement entre les stratégies. Nous fournissons une transformation simple qui récupère les taux de relaxation corrects dans les simulations quantiques contraintes par des limitations algorithmiques ou physiques sur la forme de la DS."],["publications/turner2025equilibria2.html","publication","Stable isotope equilibria in the dihydrogen-water-methane-ethane-propane system. Part 2: Experimental determination of hydrogen isotopic equilibrium for ethane-H2 from 30 to 200°C and propane-H2 from 75 to 200°C","Nous comparons l'équilibre isotopique expérimental de l'hydrogène avec des calculs théoriques de haut niveau et fournissons un ajustement polynomial préféré. La comparaison de ces facteurs de fractionnement avec une compilation d'environ 500 échantillons de gaz environnementaux soutient la proposition selon laquelle de nombreux (environ 50%) de ces échantillons de gaz naturel présentent des compositions isotopiques de l'hydrogène cohérentes avec une formation ou l'atteinte d'un équilibre isotopique de l'hydrogène méthane-éthane-propane à des températures géologiquement pertinentes pour la formation et le stockage (50–300°C)."],["publications/korol2025equilibria1.html","publication","Stable isotope equilibria in the dihydrogen-water-methane-ethane-propane system. Part 1: Path-integral calculations with CCSD(T) quality potentials","Nous analysons l'importance relative de diverses approximations couramment employées lors de l'évaluation des équilibres isotopiques. Nous constatons que les effets isotopiques groupés peuvent être calculés à l'aide de méthodes computationnelles. En revanche, le fractionnement et les préférences de site bénéficient de l'utilisation de potentiels CCSD(T) de niveau supérieur, en tenant compte des effets anharmoniques et des corrections à l'approximation de Born-Oppenheimer."],["publications/turner2021hydrogen.html","publication","Experimental and theoretical determinations of hydrogen isotopic equilibrium in the system CH4-H2-H2O from 3 to 200°C","Nous fournissons des calibrations du fractionnement d'équilibre H/D et 13C/12C basées sur des expériences et des calculs PIMC. Nous constatons que les compositions isotopiques de certains gaz microbiens provenant d'environnements sédimentaires marins, de veines de charbon et de schiste sont cohérentes avec les équilibres H et C."],["publications/korol2020dimension.html","publication","Dimension-free path-integral molecular dynamics without preconditioning","Nous améliorons davantage l'algorithme standard pour T-RPMD via une implémentation nouvelle de la modification de Cayley [R. Korol et al., J. Chem. Phys. 151, 124103 (2019)]. Cela permet une augmentation substantielle de la taille du pas de temps - trois fois pour les simulations d'eau liquide - sans coût supplémentaire."],["publications/eldridge2019methane.html","publication","Comparison of Experimental vs Theoretical Abundances of 13CH3D and 12CH2D2 for Isotopically Equilibrated Systems from 1 to 500 °C","Nous étudions le regroupement à l'équilibre des isotopes lourds dans le méthane. En utilisant le regroupement d'isotopes lourds, on peut déterminer la température du méthane au moment de sa formation. Nous avons étendu la gamme de températures pour couvrir toutes les températures biologiquement et géologiquement pertinentes. La calibration expérimentale regroupement-température est confirmée par la méthode théorique de pointe - PIMC."],["publications/korol2019cayley.html","publication","Cayley modification for strongly stable path-integral and ring-polymer molecular dynamics","Nous montrons que l'algorithme standard pour faire évoluer les trajectoires PIMD conduit à des artefacts numériques à certains pas de temps (de résonance). Nous proposons donc la modification de Cayley, qui fournit une forte stabilité symplectique à PIMD, RPMD et CMD et l'ergodicité pour T-RPMD sans coût supplémentaire. Cela permet l'utilisation de pas de temps plus grands dans ces simulations."],["publications/korol2019machine.html","publication","Machine Learning Prediction of DNA Charge Transport","Nous présentons un modèle d'apprentissage automatique qui permet la prédiction peu coûteuse de la conductance électrique de millions de longues séquences d'ADN double brin (ADNdb), réduisant les coûts computationnels de plusieurs ordres de grandeur. L'algorithme est entraîné sur de courtes nano-jonctions d'ADN avec n = 3-7 paires de bases."],["publications/korol2018exhaustive.html","publication","From exhaustive simulations to key principles in DNA nanoelectronics","La conductance des molécules d'ADN n'est pas bien comprise à la lumière des résultats expérimentaux contradictoires. La situation est également compliquée, car il existe exponentiellement beaucoup de séquences différentes, et beaucoup d'entre elles conduisent le courant de manière radicalement différente. Ici, nous étudions la conductance des molécules d'ADN de manière computationnelle et identifions plusieurs principes généraux qui pourraient guider les expériences."],["publications/korol2018probezt.html","publication","Probe-ZT: Simulation of transport coefficients of molecular electronic junctions under environmental effects using Büttiker’s probes","Notre logiciel de transport quantique interne, ProbeZT, calcule avec quelle facilité l'électricité et la chaleur se déplacent à travers un système donné. On peut l'utiliser pour identifier des molécules qui sont : de bons conducteurs, des isolants parfaits, d'excellents thermoélectriques et bien plus encore. En particulier, nous montrons le logiciel appliqué à une chaîne conductrice linéaire (comme un polymère) et à une molécule d'ADN double brin."],["publications/korol2016thermopower.html","publication","Thermopower of molecular junctions: Tunneling to hopping crossover in DNA","Nous examinons les molécules d'ADN, qui montrent un changement de comportement dans la conductance et le pouvoir thermoélectrique au-delà d'une certaine longueur, étudiées expérimentalement dans Li et al. [Nat. Commun. 7, 11294 (2016)]. Nous montrons que le changement dans les tendances thermoélectriques est causé par un changement du mécanisme par lequel une molécule conduit le courant, passant de l'effet tunnel quantique au saut classique."],["publications/longobardi2016boron.html","publication","Reactions Of Boron-Derived Radicals With Nucleophiles","Nous utilisons une série de radicaux borocycliques, qui sont à la fois volumineux et avec leur densité SOMO délocalisée. Leur réactivité électrophile combinée avec leur encombrement stérique considérable nous permet de fabriquer plusieurs beaux composés zwitterioniques avec des phosphines et d'autres nucléophiles en utilisant la chimie des paires de Lewis frustrées."],["publications/korol2021zno.html","publication","Size Stabilizers in Two-electrode Synthesis of ZnO Nanorods","Nous modifions et optimisons une synthèse de nanoparticules de ZnO par électrodéposition en ajoutant des stabilisateurs auxiliaires pour réduire la taille et rétrécir sa distribution dans le produit cible."],["nouvelles/2026.html#2026-01-group-established","news","Groupe établi à l'Université de Sherbrooke","Le Groupe Korol s'installe au Département de chimie de l'Université de Sherbrooke."],["nouvelles/2024.html#2024-09-graduate-school","news","Graduate School Presentation","Presented research findings at the graduate school symposium Successfully presented my latest research on quantum dynamics at the annual graduate school symposium. The presentation was well-received and sparked interesting discussions."],["nouvelles/2024.html#2024-08-mountain-retreat","news","Research Mountain Retreat","Participated in mountain research retreat with Franco Group Attended the annual Franco Group research retreat in the mountains. Great opportunity for collaboration and discussing future research directions."],["nouvelles/2024.html#2024-07-rainbow-lab","news","New Laboratory Setup","Completed setup of new experimental apparatus Successfully completed the setup of our new experimental apparatus for quantum dynamics measurements. The equipment is now operational and ready for research."],["nouvelles/2024.html#2024-06-gondolas","news","International Conference Presentation","Presented at international quantum chemistry conference Presented our latest findings on semiclassical methods at the International Conference on Quantum Chemistry. The work was very well received by the international community."],["nouvelles/2024.html#2024-05-yosemite","news","Yosemite Research Workshop","Attended computational chemistry workshop in Yosemite Participated in an intensive computational chemistry workshop in Yosemite National Park. Learned new techniques and networked with researchers from around the world."],["nouvelles.html#event-2026-fall-group-meeting","event","Réunion de groupe","Point hebdomadaire sur la recherche et club de lecture, ouvert à tous les membres du groupe."],["nouvelles.html#event-2026-winter-group-meeting","event","Réunion de groupe","Point hebdomadaire sur la recherche et club de lecture, ouvert à tous les membres du groupe."],["equipe.html#roman-korol","member","Roman Korol","Roman a rejoint l'UdeS en janvier 2026 après un doctorat à Caltech et un postdoctorat à URochester. Roman s'intéresse largement aux effets quantiques dans les systèmes moléculaires, à la dynamique quantique et aux applications de l'informatique quantique en chimie."],["equipe.html#polaris","member","Polaris","Polaris a un doctorat en chasse aux écureuils de Caltech et un postdoctorat en gestion des cerfs de URochester."],["postes.html#phd","opening","Étudiants au doctorat","Nous recherchons des étudiants au doctorat motivés pour travailler sur des recherches de pointe en dynamique quantique et chimie théorique. Les projets impliquent le développement de nouvelles méthodes théoriques et approches computationnelles pour comprendre les systèmes quantiques."],["postes.html#masters","opening","Étudiants à la maîtrise","Les projets de maîtrise se concentrent sur des aspects spécifiques de la dynamique quantique, des méthodes semiclassiques et de la chimie computationnelle. Les étudiants acquerront une expérience pratique avec des techniques théoriques et computationnelles de pointe."],["postes.html#undergraduate","opening","Étudiants de premier cycle","Les opportunités de recherche pour les étudiants de premier cycle comprennent des stages d'été, des projets d'honneur et des postes d'études-travail. Les étudiants participeront à des projets de recherche en cours et acquerront une expérience de recherche précieuse."],["postes.html#postdoc","opening","Chercheurs postdoctoraux","Des postes postdoctoraux sont disponibles pour des candidats exceptionnels avec une expertise en dynamique quantique, chimie théorique ou domaines connexes. Doctorat en chimie, physique ou domaine connexe 1-3 ans Bourses compétitives encouragées"]],"words":{"10":[1,5,25,4,26,4],"11":[25,4,26,4],"12":[1,1],"13":[1,1],"22":[1,3,26,4],"28":[25,4],"30":[1,1,7,10,25,4,26,4],"50":[1,2,7,2],"75":[1,1,7,10],"122":[1,1],"123":[1,1],"139":[1,1],"145":[1,1],"151":[1,2,10,1],"152":[1,1],"200":[1,3,7,20,9,10],"224":[1,1],"300":[1,1,7,1],"380":[1,2],"387":[1,2],"396":[1,1],"404":[1,1],"426":[1,1],"435":[1,1],"500":[1,2,7,1,11,10],"1016":[1,3],"1021":[1,3],"1063":[1,3],"2016":[1,3,16,5,17,4],"2017":[1,1],"2018":[1,2,14,4,15,4],"2019":[1,3,10,1,11,4,12,4,13,4],"2020":[1,1,10,4],"2021":[1,3,9,4,18,4],"2025":[1,3,6,4,7,4,8,4],"2026":[25,4,26,4,27,1],"2747":[1,1],"2764":[1,1],"2801":[1,1],"2811":[1,1],"4206":[1,1],"4216":[1,1],"11294":[1,1,16,1],"15330":[1,1],"104102":[1,1],"124103":[1,2,10,1],"224702":[1,1],"4971167":[1,1],"5120282":[1,1],"5134810":[1,1],"00":[25,4,26,4],"005":[1,1],"02":[1,2],"026":[1,1],"028":[1,1],"033":[1,1],"04":[1,1],"12c":[1,1,9,1],"12ch2d2":[1,1,11,10],"13c":[1,1,9,1],"13ch3d":[1,1,11,10],"5c00943":[1,1],"6b11190":[1,1],"7b12744":[1,1],"8b12557":[1,1],"9b00244":[1,1],"abundances":[1,1,11,10],"academiques":[0,1,1,4,4,10,5,1,19,4,20,4,21,4,23,4,24,4],"acceptees":[5,1],"accueil":[0,10],"accueille":[5,1],"accueillons":[0,1],"acquerront":[30,1,31,1],"acs":[1,3,11,4],"acsearthspacechem":[1,1],"acta":[1,3,7,4,8,4,9,4],"activites":[4,10,19,4,20,4,21,4,23,4,24,4],"actualites":[22,4],"actuel":[5,1],"actuels":[2,4],"adn":[1,4,13,2,14,2,15,1,16,1],"adndb":[1,1,13,1],"aide":[1,1,8,1],"ainsi":[5,1],"ajoutant":[1,1,18,1],"ajustement":[1,1,7,1],"al":[1,2,10,1,16,1],"algorithme":[1,3,10,1,12,1,13,1],"algorithmiques":[1,1,6,1],"am":[1,1,17,4],"ameliorons":[1,1,10,1],"an":[24,1],"analysons":[1,1,8,1],"anciens":[2,4],"and":[1,5,7,10,9,10,11,10,12,10,20,1,21,1,22,1,24,1],"anharmoniques":[1,1,8,1],"anneau":[1,1,5,1],"annonces":[4,10],"annual":[20,1,21,1],"ans":[32,1],"apparatus":[22,2],"applications":[0,1,27,1],"applique":[1,1,15,1],"apprentissage":[1,1,13,1],"approches":[1,1,5,1,29,1],"approprie":[5,1],"approximation":[1,1,8,1],"approximations":[1,1,8,1],"apres":[27,1],"around":[24,1],"artefacts":[1,1,12,1],"articles":[3,8],"aspects":[30,1],"at":[20,2,23,2],"atteinte":[1,1,7,1],"attended":[21,1,24,1],"au":[1,3,6,1,11,1,16,2,19,1,29,11],"augmentation":[1,1,10,1],"automatique":[1,1,13,1],"autres":[1,1,17,1],"aux":[0,1,27,2,28,1],"auxiliaires":[1,1,18,1],"avancement":[0,1],"avec":[0,1,1,4,7,3,9,1,13,1,15,1,17,3,30,1,32,1],"avons":[1,1,11,1],"avril":[26,4],"ayant":[5,1],"basees":[1,1,9,1],"bases":[1,1,13,1],"beaucoup":[1,2,14,2],"beaux":[1,1,17,1],"beneficient":[1,1,8,1],"bien":[1,2,14,1,15,1],"bill":[1,2,7,4,9,4],"biologiquement":[1,1,11,1],"bons":[1,1,15,1],"born":[1,1,8,1],"borocycliques":[1,1,17,1],"boron":[1,1,17,10],"bou":[1,2,10,4,12,4],"bourses":[32,1],"bowman":[1,1,8,4],"brin":[1,2,13,1,15,1],"buttiker":[1,1,15,10],"by":[23,1],"ca":[5,2],"cadres":[0,5],"calcul":[0,1],"calculations":[1,1,8,10],"calcule":[1,1,15,1],"calcules":[1,1,8,1],"calculs":[1,3,6,1,7,1,9,1],"calibration":[1,1,11,1],"calibrations":[1,1,9,1],"caltech":[27,1,28,1],"candidats":[5,1,32,1],"candidature":[5,2],"candidatures":[0,1,5,1],"car":[1,1,14,1],"carriere":[5,1],"cause":[1,1,16,1],"cayley":[1,3,10,1,12,11],"ccsd":[1,2,8,11],"cela":[1,2,10,1,12,1],"cerfs":[28,1],"certaine":[1,1,16,1],"certains":[1,2,9,1,12,1],"ces":[1,3,7,2,12,1],"ch4":[1,1,9,10],"chaine":[1,1,15,1],"chaleur":[1,1,15,1],"changement":[1,3,16,3],"charbon":[1,1,9,1],"charge":[1,1,13,10],"chasse":[28,1],"chef":[28,4],"chem":[1,4,6,4,10,5,11,4,12,4,13,4,14,4,16,4,17,4,18,4],"chemin":[1,1,5,1],"chemistry":[23,2,24,6],"chen":[1,1,6,4],"chercheur":[27,4],"chercheurs":[32,10],"chimie":[0,9,1,9,2,8,3,8,5,10,17,1,19,1,25,4,26,4,27,1,29,1,30,1,32,2],"chimique":[0,8,1,1,5,1],"chimiques":[0,1,1,1,5,1],"choix":[1,1,6,1],"cible":[1,1,18,1],"cinetique":[0,1,1,1,5,1],"classique":[1,1,16,1],"club":[25,1,26,1],"cmd":[1,1,12,1],"coefficients":[1,1,15,10],"coherentes":[1,2,7,1,9,1],"collaboration":[21,5],"combinee":[1,1,17,1],"comm":[1,1,15,4],"comme":[1,1,15,1],"comment":[5,1],"commun":[1,1,16,1],"community":[23,1],"comp":[1,1,15,4],"comparaison":[1,1,7,1],"comparison":[1,1,11,10],"comparons":[1,1,7,1],"competitives":[32,1],"compilation":[1,1,7,1],"completed":[22,2],"compliquee":[1,1,14,1],"comportement":[1,1,16,1],"composes":[1,1,17,1],"compositions":[1,2,7,1,9,1],"comprehension":[0,1],"comprendre":[0,1,29,1],"comprennent":[31,1],"comprise":[1,1,14,1],"compte":[1,1,8,1],"computational":[24,6],"computationnelle":[0,4,1,9,3,8,14,1,30,1],"computationnelles":[1,1,8,1,29,1,30,1],"computationnels":[1,1,13,1],"concentrant":[0,4],"concentrent":[30,1],"conductance":[1,3,13,1,14,2,16,1],"conducteurs":[1,1,15,1],"conductrice":[1,1,15,1],"conduisent":[1,1,14,1],"conduit":[1,2,12,1,16,1],"conference":[23,16],"confirmee":[1,1,11,1],"connexe":[32,1],"connexes":[32,1],"considerable":[1,1,17,1],"considerablement":[1,1,6,1],"constatons":[1,2,8,1,9,1],"construisons":[0,1],"contact":[5,1],"contextes":[0,1],"contradictoires":[1,1,14,1],"contraintes":[1,1,6,1],"contribution":[1,1,6,1],"coordonnees":[5,1],"copies":[5,1],"corps":[0,1],"corrections":[1,1,8,1],"corrects":[1,1,6,1],"cosmochim":[1,3,7,4,8,4,9,4],"couramment":[1,1,8,1],"courant":[1,2,14,1,16,1],"cours":[31,1],"courte":[5,2],"courtes":[1,1,13,1],"cout":[1,2,10,1,12,1],"couteuse":[1,1,13,1],"couts":[1,1,13,1],"couvrir":[1,1,11,1],"cpc":[1,1],"crossover":[1,1,16,10],"curriculum":[5,1],"cycle":[0,1,5,9,31,15],"cycles":[5,5],"dans":[0,1,1,4,6,1,11,1,12,1,16,3,18,1,27,1],"date":[25,4],"davantage":[1,1,10,1],"de":[0,18,1,17,2,12,3,12,4,12,5,20,6,4,7,4,8,4,9,3,10,3,11,3,12,3,13,4,14,3,15,2,16,2,17,3,18,2,19,13,22,4,25,21,26,21,27,1,28,2,29,2,30,3,31,13],"decrivant":[5,1],"dela":[1,1,16,1],"delocalisee":[1,1,17,1],"densite":[1,3,5,1,6,1,17,1],"densities":[1,1,6,10],"departement":[0,4,19,1,25,4,26,4],"deplacent":[1,1,15,1],"derived":[1,1,17,10],"dernieres":[4,4],"des":[0,8,1,6,4,4,5,7,6,2,7,3,8,3,9,3,11,1,12,1,14,3,15,2,17,2,18,1,28,1,29,2,30,3,31,3,32,2],"determination":[1,1,7,10],"determinations":[1,1,9,10],"determiner":[1,1,11,1],"developpe":[0,4],"developpement":[29,1],"developpements":[4,4],"developper":[1,1],"developpons":[0,1],"differente":[1,1,14,1],"differentes":[1,1,14,1],"dihydrogen":[1,2,7,10,8,10],"dimension":[1,1,10,10],"diplomes":[5,4],"directions":[21,1],"discussing":[21,1],"discussions":[20,1],"disponibles":[32,1],"distribution":[1,1,18,1],"diverses":[1,1,8,1],"diversifies":[0,1],"dna":[1,3,13,10,14,10,16,10],"doctorat":[0,1,27,1,28,1,29,15,32,1],"documents":[5,2],"domaine":[32,1],"domaines":[0,1,1,1,5,1,32,1],"dominee":[1,1,6,1],"donc":[1,1,12,1],"donne":[1,1,15,1],"double":[1,2,13,1,15,1],"ds":[1,3,6,3],"du":[1,7,2,4,3,4,4,4,6,1,9,1,10,1,11,1,16,1,25,1,26,1,28,10],"dynamics":[1,2,10,10,12,10,20,5,22,1],"dynamique":[0,11,1,12,2,8,3,10,4,4,5,11,27,1,29,1,30,1,32,1],"earth":[1,1,11,4],"eau":[1,1,10,1],"echantillons":[1,2,7,2],"ecureuils":[28,1],"effects":[1,1,15,10],"effet":[1,1,16,1],"effets":[1,3,5,2,8,2,27,1],"egalement":[1,1,14,1],"elbridge":[1,1],"eldridge":[1,1,9,4,11,4],"electricite":[1,1,15,1],"electrique":[1,1,13,1],"electrode":[1,1,18,10],"electrodeposition":[1,1,18,1],"electron":[1,1,5,1],"electronic":[1,1,15,10],"electronique":[1,1,6,1],"electrophile":[1,1,17,1],"elles":[1,1,14,1],"emotionnel":[28,4],"emploi":[5,4],"employees":[1,1,8,1],"en":[0,6,1,8,3,4,5,7,6,1,8,2,11,1,15,1,17,1,18,1,27,2,28,2,29,1,31,1,32,2],"encombrement":[1,1,17,1],"encore":[1,1,15,1],"encouragees":[32,1],"enthousiastes":[5,1],"entraine":[1,1,13,1],"entre":[1,2,6,1,14,1],"entrevue":[5,1],"environ":[1,2,7,2],"environmental":[1,1,15,10],"environnementale":[1,1,6,1],"environnementaux":[1,2,5,1,7,1],"environnements":[1,1,9,1],"envoyer":[5,1],"envoyez":[5,1],"equilibrated":[1,1,11,10],"equilibre":[1,3,7,2,9,1,11,1],"equilibres":[1,2,8,1,9,1],"equilibria":[1,2,7,10,8,10],"equilibrium":[1,2,7,10,9,10],"equipe":[0,1,2,20,5,1],"equipment":[22,5],"ergodicite":[1,1,12,1],"est":[1,4,6,2,11,1,13,1,14,2,16,1],"et":[0,7,1,16,2,8,3,8,4,12,5,12,7,6,8,6,9,7,10,1,11,1,12,2,14,2,15,3,16,2,17,2,18,2,25,1,26,1,27,2,28,5,29,2,30,2,31,2],"etabli":[19,10],"ete":[31,1],"etendu":[1,1,11,1],"ethane":[1,3,7,21,8,10],"etre":[1,1,8,1],"etudes":[31,1],"etudiants":[0,1,5,11,29,11,30,11,31,12],"etudiees":[1,1,16,1],"etudions":[0,1,1,2,11,1,14,1],"evaluation":[1,1,8,1],"evoluer":[1,1,12,1],"examinons":[1,1,16,1],"excellents":[1,1,15,1],"exceptionnels":[32,1],"exhaustive":[1,1,14,10],"existe":[1,1,14,1],"experience":[30,1,31,1],"experiences":[1,2,9,1,14,1],"experimental":[1,3,7,11,9,10,11,10,22,6],"experimentale":[1,1,11,1],"experimentalement":[1,1,16,1],"experimentaux":[1,1,14,1],"expertise":[32,1],"explorer":[0,1],"explorez":[1,4],"exponentiellement":[1,1,14,1],"fabriquer":[1,1,17,1],"facilite":[1,1,15,1],"facteurs":[1,1,7,1],"faire":[1,1,12,1],"findings":[20,1,23,1],"fois":[1,2,10,1,17,1],"fondamentale":[0,1],"for":[1,3,7,10,11,10,12,10,21,1,22,2],"formation":[1,3,5,1,7,2,11,1],"forme":[1,1,6,1],"forte":[1,1,12,1],"fournissons":[1,3,6,1,7,1,9,1],"fournit":[1,1,12,1],"fractionnement":[1,3,7,1,8,1,9,1],"franco":[1,1,6,4,21,6],"free":[1,1,10,10],"frequence":[1,1,6,1],"frequency":[1,1,6,10],"from":[1,3,7,20,9,10,11,10,14,10,24,1],"frustrees":[1,1,17,1],"future":[21,1],"gamme":[1,1,11,1],"gaz":[1,3,7,2,9,1],"gca":[1,3],"generaux":[1,1,14,1],"geochim":[1,3,7,4,8,4,9,4],"geologiquement":[1,2,7,1,11,1],"gestion":[28,1],"goddard":[1,1,8,4],"graduate":[20,12],"grandeur":[1,1,13,1],"grands":[1,1,12,1],"great":[21,1],"grimme":[1,1,17,4],"group":[21,6],"groupe":[0,11,1,10,2,12,3,10,4,10,5,12,19,11,25,15,26,15,28,4],"groupes":[1,1,8,1],"guider":[1,1,14,1],"h2":[1,3,7,20,9,10],"h2o":[1,1,9,10],"hae":[25,4,26,4],"haut":[1,1,7,1],"haute":[1,1,6,1],"hebdomadaire":[25,1,26,1],"high":[1,1,6,10],"honneur":[31,1],"hopping":[1,1,16,10],"hydrogen":[1,2,7,10,9,10],"hydrogene":[1,3,7,3],"ia":[1,1,18,4],"iacute":[1,1],"ici":[1,1,14,1],"identifier":[1,1,15,1],"identifions":[1,1,14,1],"iii":[1,3,8,4,9,4,10,4,11,4,12,4],"il":[1,1,14,1],"implementation":[1,1,10,1],"impliquent":[29,1],"importance":[1,1,8,1],"in":[1,4,6,10,7,10,8,10,9,10,14,10,16,10,18,10,21,2,24,3],"informatique":[5,1,27,1],"ingenierie":[5,1],"installe":[19,1],"integral":[1,3,8,10,10,10,12,10],"integrale":[1,1,5,1],"intensive":[24,1],"intention":[5,2],"interactions":[1,1,5,1],"interesse":[27,1],"interesses":[0,1],"interesting":[20,1],"interets":[5,1],"international":[23,17],"interne":[1,1,15,1],"invites":[5,1],"is":[22,1],"isolants":[1,1,15,1],"isotope":[1,2,7,10,8,10],"isotopes":[1,2,11,2],"isotopic":[1,2,7,10,9,10],"isotopically":[1,1,11,10],"isotopique":[1,2,7,2],"isotopiques":[1,3,5,1,7,1,8,2,9,1],"jacs":[1,1],"janvier":[27,1],"jonctions":[1,1,13,1],"jour":[4,10],"jpca":[1,1],"jpcb":[1,1],"jpcc":[1,1],"junctions":[1,2,15,10,16,10],"key":[1,1,14,10],"kilgour":[1,2,15,4,16,4],"korol":[0,10,1,15,2,10,3,10,4,10,5,13,6,4,7,4,8,4,9,4,10,5,11,4,12,4,13,4,14,4,15,4,16,4,17,4,18,4,19,1,27,10],"la":[0,7,1,10,2,8,5,3,6,4,7,3,10,2,11,3,12,1,13,2,14,3,15,1,16,1,17,2,18,1,22,4,25,1,26,1,27,1,30,12],"laboratory":[22,14],"laquelle":[1,1,7,1],"largement":[27,1],"latest":[20,1,23,1],"le":[0,5,1,4,5,6,7,1,8,1,11,3,14,1,15,1,16,3,18,1,19,1,29,1],"learned":[24,1],"learning":[1,1,13,10],"lecture":[25,1,26,1],"lequel":[1,1,16,1],"les":[0,13,1,5,3,4,5,7,6,3,8,2,9,2,10,1,11,1,12,1,13,1,14,1,16,2,25,1,26,1,27,1,29,2,30,2,31,3],"lettre":[5,2],"leur":[1,3,17,3],"lewis":[1,1,17,1],"li":[1,1,16,1],"limitations":[1,1,6,1],"lineaire":[1,1,15,1],"liquide":[1,1,10,1],"liste":[1,1],"liu":[1,1,17,4],"lloyd":[1,1,11,4],"logiciel":[1,2,15,2],"longobardi":[1,1,17,4],"longues":[1,1,13,1],"longueur":[1,1,16,1],"lors":[1,1,8,1],"lourds":[1,2,11,2],"lumiere":[1,1,14,1],"machine":[1,1,13,10],"maitrise":[0,1,30,15],"maniere":[1,2,14,2],"marchuk":[1,1,18,4],"marins":[1,1,9,1],"mascotte":[28,4],"materiaux":[0,1],"measurements":[22,1],"mecanique":[0,1],"mecanisme":[1,1,16,1],"membres":[2,4,25,1,26,1],"mercredi":[25,4,26,4],"methane":[1,3,7,11,8,10,11,2],"methode":[1,1,11,1],"methodes":[0,4,1,12,3,10,5,1,8,1,29,1,30,1],"methods":[23,1],"microbiens":[1,1,9,1],"miller":[1,3,9,4,10,4,11,4,12,4],"millions":[1,1,13,1],"mises":[4,10],"modele":[1,1,13,1],"modelisation":[1,1,5,1],"modification":[1,3,10,1,12,11],"modifions":[1,1,18,1],"moleculaire":[1,1,5,1],"moleculaires":[27,1],"molecular":[1,3,10,10,12,10,15,10,16,10],"molecule":[1,2,15,1,16,1],"molecules":[1,3,14,2,15,1,16,1],"moment":[1,1,11,1],"montrent":[1,1,16,1],"montrons":[1,3,6,1,12,1,15,1,16,1],"moral":[28,4],"moroz":[1,1,18,4],"motives":[0,1,29,1],"mountain":[21,11],"mountains":[21,1],"my":[20,1],"nandi":[1,1,8,4],"nano":[1,1,13,1],"nanoelectronics":[1,1,14,10],"nanoparticules":[1,1,18,1],"nanorods":[1,1,18,10],"nat":[1,1,16,1],"national":[24,1],"naturel":[1,1,7,1],"networked":[24,1],"networking":[24,4],"new":[22,12,24,1],"niveau":[1,2,7,1,8,1],"nombreux":[1,1,7,1],"non":[5,1],"notes":[5,1],"notre":[0,3,1,1,5,1,15,1],"nous":[0,3,1,5,6,2,7,1,8,2,9,2,10,1,11,2,12,2,13,1,14,1,15,1,16,2,17,2,18,1,29,1],"nouvelle":[1,1,10,1],"nouvelles":[4,20,29,1],"now":[22,1],"nucleophiles":[1,2,17,11],"numeriques":[1,1,12,1],"oa":[1,1,18,4],"objectifs":[5,1],"octobre":[25,4],"of":[1,4,7,10,9,10,11,20,13,10,15,20,16,10,17,10,18,14,22,2],"officielles":[5,1],"offres":[5,4],"om":[1,1,18,4],"on":[1,2,11,1,15,1,20,1,23,2],"operational":[22,1],"oppenheimer":[1,1,8,1],"opportunites":[0,1,5,5,31,1],"opportunity":[21,1],"optimisons":[1,1,18,1],"optionnel":[5,1],"ordres":[1,1,13,1],"orlov":[1,1,18,4],"ou":[1,2,5,3,6,1,7,1,32,2],"our":[22,1,23,1],"ouvert":[25,1,26,1],"ouverte":[0,8],"ouverts":[0,1,1,1,5,1],"ov":[1,1,18,4],"page":[5,1],"paires":[1,2,13,1,17,1],"par":[0,2,1,4,6,2,11,1,16,2,18,1],"parcourez":[3,4],"parcours":[0,1],"parfaits":[1,1,15,1],"park":[24,1],"part":[1,2,7,10,8,10],"participated":[21,1,24,1],"participeront":[31,1],"particulier":[1,1,15,1],"pas":[1,3,10,1,12,2,14,1],"passant":[1,1,16,1],"passionnes":[0,1],"path":[1,3,8,10,10,10,12,10],"pcss":[1,1],"permet":[1,3,10,1,12,1,13,1,17,1],"personne":[5,1],"personnels":[0,1],"pertinentes":[1,2,7,1,11,1],"peu":[1,1,13,1],"peut":[1,2,11,1,15,1],"peuvent":[1,2,6,1,8,1],"phonon":[1,1,5,1],"phosphines":[1,1,17,1],"phys":[1,4,6,4,10,5,12,4,13,4,14,4,15,4,16,4,18,4],"physique":[5,1,32,1],"physiques":[1,1,6,1],"pimc":[1,2,9,1,11,1],"pimd":[1,2,12,2],"plus":[1,2,12,1,15,1],"plusieurs":[0,1,1,3,13,1,14,1,17,1],"point":[25,1,26,1],"pointe":[1,1,5,1,11,1,29,1,30,1],"polaris":[28,11],"polymer":[1,1,12,10],"polymere":[1,1,15,1],"polymeres":[1,1,5,1],"polynomial":[1,1,7,1],"postdoctorants":[5,1],"postdoctorat":[27,1,28,1,32,4],"postdoctoraux":[32,11],"postes":[5,18,31,1,32,1],"postuler":[5,2],"potentials":[1,1,8,10],"potentiels":[1,1,8,1],"pour":[0,5,1,4,5,6,7,1,10,2,11,1,12,2,15,1,18,1,29,2,31,1,32,1],"pourraient":[1,1,14,1],"pouvoir":[1,1,16,1],"pp":[1,2],"pratique":[30,1],"pratiques":[0,1],"precieuse":[31,1],"preconditioning":[1,1,10,10],"prediction":[1,2,13,11],"prefere":[1,1,7,1],"preferences":[1,1,8,1],"premier":[0,1,5,9,31,15],"preselectionnes":[5,1],"presentation":[20,15,23,14],"presented":[20,2,23,2],"presentent":[1,1,7,1],"presentons":[1,1,13,1],"principal":[27,4],"principale":[1,1,6,1],"principes":[1,1,14,1],"principles":[1,1,14,10],"probe":[1,1,15,10],"probes":[1,1,15,10],"probezt":[1,1,15,1],"processus":[5,1],"prochaine":[25,4],"produit":[1,1,18,1],"professionnelles":[4,4],"projets":[1,4,29,1,30,1,31,2],"propane":[1,3,7,21,8,10],"proposition":[1,1,7,1],"proposons":[1,1,12,1],"provenant":[1,1,9,1],"publications":[1,9,3,20],"quality":[1,1,8,10],"quantique":[0,12,1,13,2,8,3,10,4,4,5,11,15,1,16,1,27,2,29,1,30,1,32,1],"quantiques":[0,13,1,2,5,1,6,1,27,1,29,1],"quantum":[20,5,22,1,23,2],"que":[1,4,5,1,6,2,8,1,9,1,12,1,16,1],"quelle":[1,1,15,1],"queues":[1,1,6,1],"qui":[1,4,6,2,12,1,13,1,14,1,15,1,16,1,17,1],"ra":[1,1],"rabee":[1,2,10,4,12,4],"radicalement":[1,1,14,1],"radicals":[1,1,17,10],"radicaux":[1,1,17,1],"raices":[10,4],"raison":[1,1,6,1],"reaction":[0,8,1,1,5,1],"reactions":[0,1,1,2,5,1,17,10],"reactivite":[1,1,17,1],"ready":[22,1],"received":[20,1,23,1],"recherche":[0,3,1,21,2,4,3,8,4,8,5,11,22,4,25,1,26,1,31,3],"recherches":[29,1],"recherchons":[29,1],"recupere":[1,1,6,1],"reduire":[1,1,18,1],"reduisant":[1,1,13,1],"references":[5,1],"regroupement":[1,3,11,3],"rejoignez":[0,1,5,6],"rejoint":[27,1],"relative":[1,1,8,1],"relaxation":[1,3,6,3],"releves":[5,1],"relie":[0,1],"rencontrez":[2,4],"representation":[1,1,6,1],"requis":[5,1],"research":[20,6,21,13,22,1,24,10],"researchers":[24,1],"resonance":[1,1,12,1],"resonante":[1,1,6,1],"resultats":[1,1,14,1],"retreat":[21,16],"retrecir":[1,1,18,1],"reunion":[25,14,26,14],"revanche":[1,1,8,1],"ring":[1,1,12,10],"roman":[5,3,27,12],"rosa":[1,1,10,4],"rpmd":[1,3,10,1,12,2],"rv":[1,1,18,4],"sa":[1,2,11,1,18,1],"sans":[1,2,10,1,12,1],"saut":[1,1,16,1],"schiste":[1,1,9,1],"school":[20,12],"science":[0,1],"se":[0,4,1,1,15,1,30,1],"sedimentaires":[1,1,9,1],"segal":[1,3,13,4,14,4,15,4,16,4],"selon":[1,1,7,1],"semiclassical":[23,1],"semiclassiques":[0,4,1,11,3,10,5,1,30,1],"sensibles":[1,1,6,1],"sequences":[1,2,13,1,14,1],"serie":[1,1,17,1],"seront":[5,1],"setup":[22,12],"sherbrooke":[0,11,1,8,2,10,3,8,4,8,5,10,19,15,25,4,26,4],"si":[5,1],"simple":[1,1,6,1],"simulation":[1,1,15,10],"simulations":[1,3,5,1,6,1,10,1,12,1,14,10],"site":[1,1,8,1],"situation":[1,1,14,1],"size":[1,1,18,10],"soc":[1,1,17,4],"solid":[1,1,18,4],"solution":[1,1,6,1],"somo":[1,1,17,1],"sont":[1,3,6,1,9,1,15,1,17,1,32,1],"soutien":[28,4],"soutient":[1,1,7,1],"space":[1,1,11,4],"sparked":[20,1],"specialiste":[28,4],"specifiques":[30,1],"spectral":[1,1,6,10],"spectrale":[1,2,5,1,6,1],"stabilisateurs":[1,1,18,1],"stabilite":[1,1,12,1],"stabilizers":[1,1,18,10],"stable":[1,3,7,10,8,10,12,10],"stages":[31,1],"standard":[1,2,10,1,12,1],"state":[1,1,18,4],"statistiques":[0,9],"stephan":[1,1,17,4],"sterique":[1,1,17,1],"stockage":[1,1,7,1],"stolper":[1,3,7,4,8,4,9,4,11,4],"strategies":[1,1,6,1],"strongly":[1,1,12,10],"substantielle":[1,1,10,1],"successfully":[20,1,22,1],"superieur":[1,1,8,1],"superieurs":[5,5],"supplementaire":[1,2,10,1,12,1],"sur":[0,4,1,3,2,4,5,1,6,1,9,1,13,1,25,1,26,1,29,1,30,1],"symplectique":[1,1,12,1],"symposium":[20,2],"synthese":[1,1,18,1],"synthesis":[1,1,18,10],"system":[1,3,7,10,8,10,9,10],"systeme":[1,1,15,1],"systemes":[0,7,1,1,5,1,27,1,29,1],"systems":[1,1,11,10],"taille":[1,2,10,1,18,1],"tails":[1,1,6,10],"talent":[5,1],"talentueux":[5,1],"taux":[0,8,1,3,5,1,6,2],"techniques":[24,1,30,1],"temperature":[1,2,11,2],"temperatures":[1,3,7,1,11,2],"temps":[1,3,10,1,12,2],"tenant":[1,1,8,1],"tendances":[1,1,16,1],"the":[1,3,7,10,8,10,9,10,20,3,21,2,22,2,23,3,24,1],"theoretical":[1,2,9,10,11,10],"theorie":[0,1,1,1,5,2],"theorique":[1,1,2,8,5,9,11,1,29,1,32,1],"theoriques":[0,5,1,1,7,1,29,1,30,1],"thermoelectrique":[1,1,16,1],"thermoelectriques":[1,2,15,1,16,1],"thermopower":[1,1,16,10],"to":[1,4,7,20,9,10,11,10,14,10,16,10],"tous":[25,1,26,1],"tout":[1,1],"toutes":[1,1,11,1],"trajectoires":[1,1,12,1],"transformation":[1,1,6,1],"transport":[1,3,5,1,13,10,15,11],"travail":[31,1],"travaillant":[2,4],"travailler":[29,1],"travaux":[1,4],"travers":[1,1,15,1],"tres":[1,1,6,1],"trois":[1,1,10,1],"tunnel":[1,1,16,1],"tunneling":[1,1,16,10],"turner":[1,3,7,4,8,4,9,4,11,4],"two":[1,1,18,10],"udes":[27,1],"un":[0,1,1,4,5,1,7,2,13,1,15,2,16,2,27,2,28,2],"under":[1,1,15,10],"une":[1,5,5,3,6,1,7,2,10,2,12,1,15,2,16,2,17,1,18,1,30,1,31,1,32,1],"universite":[0,11,1,8,2,10,3,8,4,8,5,10,19,11,25,4,26,4],"urochester":[27,1,28,1],"usherbrooke":[5,2],"using":[1,1,15,10],"utilisant":[1,2,11,1,17,1],"utilisation":[1,2,8,1,12,1],"utiliser":[1,1,15,1],"utilisons":[1,1,17,1],"varier":[1,1,6,1],"veines":[1,1,9,1],"very":[23,1],"veuillez":[5,1],"vf":[1,1,18,4],"via":[1,1,10,1],"virtuelle":[5,1],"vitae":[5,1],"volumineux":[1,1,17,1],"vos":[5,2],"votre":[5,1],"vs":[1,1,11,10],"vyshnevskyi":[1,1,18,4],"was":[20,1,23,1],"water":[1,2,7,10,8,10],"webb":[1,1,11,4],"well":[20,1,23,1],"with":[1,2,8,10,17,10,21,1,24,1],"without":[1,1,10,10],"work":[23,1],"workshop":[24,16],"world":[24,1],"yanchuk":[1,1,18,4],"yosemite":[24,12],"zatsepin":[1,1,17,4],"zno":[1,2,18,11],"zt":[1,1,15,10],"zwitterioniques":[1,1,17,1]}};
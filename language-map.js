@@ -0,0 +1,2 @@
+/* Page equivalence map, generated by content/scripts/generate-content.js; do not edit */
+window.siteLanguageMap = {"defaultLocale":"en","locales":["en","fr"],"pages":[{"en":"index.html","fr":"index.html"},{"en":"research.html","fr":"recherche.html"},{"en":"team.html","fr":"equipe.html"},{"en":"publications.html","fr":"publications.html"},{"en":"news.html","fr":"nouvelles.html"},{"en":"openings.html","fr":"postes.html"},{"en":"publications/korol2025tails.html","fr":"publications/korol2025tails.html"},{"en":"publications/turner2025equilibria2.html","fr":"publications/turner2025equilibria2.html"},{"en":"publications/korol2025equilibria1.html","fr":"publications/korol2025equilibria1.html"},{"en":"publications/turner2021hydrogen.html","fr":"publications/turner2021hydrogen.html"},{"en":"publications/korol2020dimension.html","fr":"publications/korol2020dimension.html"},{"en":"publications/eldridge2019methane.html","fr":"publications/eldridge2019methane.html"},{"en":"publications/korol2019cayley.html","fr":"publications/korol2019cayley.html"},{"en":"publications/korol2019machine.html","fr":"publications/korol2019machine.html"},{"en":"publications/korol2018exhaustive.html","fr":"publications/korol2018exhaustive.html"},{"en":"publications/korol2018probezt.html","fr":"publications/korol2018probezt.html"},{"en":"publications/korol2016thermopower.html","fr":"publications/korol2016thermopower.html"},{"en":"publications/longobardi2016boron.html","fr":"publications/longobardi2016boron.html"},{"en":"publications/korol2021zno.html","fr":"publications/korol2021zno.html"},{"en":"news/2026.html","fr":"nouvelles/2026.html"},{"en":"news/2024.html","fr":"nouvelles/2024.html"},{"en":"news/category-academic.html","fr":"nouvelles/category-academic.html"},{"en":"news/category-research.html","fr":"nouvelles/category-research.html"},{"en":"news/tag-collaboration.html","fr":"nouvelles/tag-collaboration.html"},{"en":"news/tag-computational-chemistry.html","fr":"nouvelles/tag-computational-chemistry.html"},{"en":"news/tag-conference.html","fr":"nouvelles/tag-conference.html"},{"en":"news/tag-equipment.html","fr":"nouvelles/tag-equipment.html"},{"en":"news/tag-experimental.html","fr":"nouvelles/tag-experimental.html"},{"en":"news/tag-franco-group.html","fr":"nouvelles/tag-franco-group.html"},{"en":"news/tag-international.html","fr":"nouvelles/tag-international.html"},{"en":"news/tag-laboratory.html","fr":"nouvelles/tag-laboratory.html"},{"en":"news/tag-networking.html","fr":"nouvelles/tag-networking.html"},{"en":"news/tag-presentation.html","fr":"nouvelles/tag-presentation.html"},{"en":"news/tag-quantum-dynamics.html","fr":"nouvelles/tag-quantum-dynamics.html"},{"en":"news/tag-research.html","fr":"nouvelles/tag-research.html"},{"en":"news/tag-retreat.html","fr":"nouvelles/tag-retreat.html"},{"en":"news/tag-sherbrooke.html","fr":"nouvelles/tag-sherbrooke.html"},{"en":"news/tag-workshop.html","fr":"nouvelles/tag-workshop.html"}]};